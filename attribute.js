@@ -648,6 +648,61 @@ Attribute.prototype._validate_maximum = function (value) {
     }
 };
 
+/**
+ *  Specify the <code>iot:precision</code> of this attribute,
+ *  the number of digits after the decimal point
+ *  when it's shown to people (see <code>_.format.value</code>).
+ *
+ *  @param {integer} value
+ *
+ *  @return {this}
+ */
+Attribute.prototype.precision = function (value) {
+    var self = this;
+
+    if (arguments.length === 0) {
+        return self.first(constants.iot_precision, null);
+    }
+
+    self._validate_precision(value);
+
+    return self.property_value(constants.iot_precision, value);
+};
+
+Attribute.prototype._validate_precision = function (value) {
+    if (!_.is.Integer(value) || (value < 0)) {
+        throw new Error("Attribute.precision: precision must be a non-negative Integer, not: " + value);
+    }
+};
+
+/**
+ *  Specify the <code>iot:ttl</code> of this attribute,
+ *  i.e. how long an "istate" value is good for
+ *  before it is considered stale.
+ *
+ *  @param {number} value
+ *  Milliseconds
+ *
+ *  @return {this}
+ */
+Attribute.prototype.ttl = function (value) {
+    var self = this;
+
+    if (arguments.length === 0) {
+        return self.first(constants.iot_ttl, null);
+    }
+
+    self._validate_ttl(value);
+
+    return self.property_value(constants.iot_ttl, value);
+};
+
+Attribute.prototype._validate_ttl = function (value) {
+    if (!_.is.Number(value) || (value <= 0)) {
+        throw new Error("Attribute.ttl: ttl must be a positive Number, not: " + value);
+    }
+};
+
 /**
  *  Specify that this attribute is read-only
  *
@@ -832,6 +887,40 @@ Attribute.prototype._format = function (value, formats, paramd) {
         }
     }
 
+    if (formats.indexOf(constants.iot_hsv) > -1) {
+        known = true;
+        otherwise = undefined;
+        if (paramd.use_otherwise) {
+            if (paramd.otherwise_hsv !== undefined) {
+                otherwise = paramd.otherwise_hsv;
+            } else {
+                otherwise = "hsv(0,0,0)";
+            }
+        }
+
+        new_value = self._format_hsv(value, otherwise);
+        if (new_value !== undefined) {
+            return new_value;
+        }
+    }
+
+    if (formats.indexOf(constants.iot_xy) > -1) {
+        known = true;
+        otherwise = undefined;
+        if (paramd.use_otherwise) {
+            if (paramd.otherwise_xy !== undefined) {
+                otherwise = paramd.otherwise_xy;
+            } else {
+                otherwise = "xy(0.3127,0.329)";
+            }
+        }
+
+        new_value = self._format_xy(value, otherwise);
+        if (new_value !== undefined) {
+            return new_value;
+        }
+    }
+
     if (formats.indexOf(constants.iot_datetime) > -1) {
         known = true;
         otherwise = undefined;
@@ -906,6 +995,98 @@ Attribute.prototype._format_rgb = function (value, otherwise) {
     return value;
 };
 
+var _format_numbers = function (value, name) {
+    var match = value.replace(/\s+/g, "").match(new RegExp("^(?:" + name + "\\()?([^()]*?)\\)?$", "i"));
+    if (!match) {
+        return null;
+    }
+
+    var numbers = match[1].split(",").map(function (part) {
+        var percent = part.match(/^(.*)%$/);
+        var number = Number(percent ? percent[1] : part);
+        if (!part.length || isNaN(number)) {
+            return NaN;
+        }
+
+        return percent ? number / 100 : number;
+    });
+
+    if (numbers.some(isNaN)) {
+        return null;
+    }
+
+    return numbers;
+};
+
+var _format_unit = function (value) {
+    return Math.min(1, Math.max(0, value));
+};
+
+var _format_round = function (value, places) {
+    return parseFloat(value.toFixed(places));
+};
+
+/**
+ *  Accepts "hsv(h,s,v)" (s and v as 0..1 or percentages),
+ *  "#RRGGBB" or a color name; returns "hsv(h,s,v)"
+ *
+ *  @private
+ */
+Attribute.prototype._format_hsv = function (value, otherwise) {
+    var hsvd;
+
+    var numbers = _format_numbers(value, "hsv");
+    if (numbers && (numbers.length === 3)) {
+        hsvd = {
+            h: ((numbers[0] % 360) + 360) % 360,
+            s: _format_unit(numbers[1]),
+            v: _format_unit(numbers[2]),
+        };
+    } else {
+        var rgbd = _.color.hex_to_rgb(value);
+        if (!rgbd) {
+            return otherwise;
+        }
+
+        hsvd = _.color.rgb_to_hsv(rgbd);
+    }
+
+    return "hsv(" +
+        _format_round(hsvd.h, 1) + "," +
+        _format_round(hsvd.s, 3) + "," +
+        _format_round(hsvd.v, 3) + ")";
+};
+
+/**
+ *  Accepts "xy(x,y)", "x,y", "#RRGGBB" or a color name;
+ *  returns "xy(x,y)". No gamut clamping is done here,
+ *  as that depends on the device
+ *
+ *  @private
+ */
+Attribute.prototype._format_xy = function (value, otherwise) {
+    var xyd;
+
+    var numbers = _format_numbers(value, "xy");
+    if (numbers && (numbers.length === 2)) {
+        xyd = {
+            x: _format_unit(numbers[0]),
+            y: _format_unit(numbers[1]),
+        };
+    } else {
+        var rgbd = _.color.hex_to_rgb(value);
+        if (!rgbd) {
+            return otherwise;
+        }
+
+        xyd = _.color.rgb_to_xy(rgbd);
+    }
+
+    return "xy(" +
+        _format_round(xyd.x, 4) + "," +
+        _format_round(xyd.y, 4) + ")";
+};
+
 var iso_tz_re = /(\d{4}-[01]\d-[0-3]\dT[0-2]\d:[0-5]\d:[0-5]\d\.\d+([+-][0-2]\d:[0-5]\d|Z))|(\d{4}-[01]\d-[0-3]\dT[0-2]\d:[0-5]\d:[0-5]\d([+-][0-2]\d:[0-5]\d|Z))|(\d{4}-[01]\d-[0-3]\dT[0-2]\d:[0-5]\d([+-][0-2]\d:[0-5]\d|Z))/;
 var iso_notz_re = /(\d{4}-[01]\d-[0-3]\dT[0-2]\d:[0-5]\d:[0-5]\d\.\d+)|(\d{4}-[01]\d-[0-3]\dT[0-2]\d:[0-5]\d:[0-5]\d)|(\d{4}-[01]\d-[0-3]\dT[0-2]\d:[0-5]\d)/;
 
@@ -29,6 +29,7 @@ exports.iot_Model = _.ld.expand("iot:Model");
 exports.iot_Attribute = _.ld.expand("iot:Attribute");
 
 exports.iot_attribute = _.ld.expand("iot:attribute");
+exports.iot_submodel = _.ld.expand("iot:submodel");
 exports.iot_help = _.ld.expand("iot:help");
 exports.iot_type = _.ld.expand("iot:type");
 exports.iot_unit = _.ld.expand("iot:unit");
@@ -44,6 +45,12 @@ exports.iot_thing_id = _.ld.expand('iot:thing-id');
 exports.iot_thing = _.ld.expand('iot:thing');
 exports.iot_model_id = _.ld.expand('iot:model-id');
 
+exports.iot_Thing = _.ld.expand("iot:Thing");
+exports.iot_model = _.ld.expand("iot:model");
+exports.iot_istate = _.ld.expand("iot:istate");
+exports.iot_ostate = _.ld.expand("iot:ostate");
+exports.iot_timestamp = _.ld.expand("iot:timestamp");
+
 exports.iot_boolean = _.ld.expand("iot:type.boolean");
 exports.iot_integer = _.ld.expand("iot:type.integer");
 exports.iot_number = _.ld.expand("iot:type.number");
@@ -54,6 +61,8 @@ exports.iot_list = _.ld.expand("iot:type.list");
 
 exports.iot_minimum = _.ld.expand("iot:minimum");
 exports.iot_maximum = _.ld.expand("iot:maximum");
+exports.iot_ttl = _.ld.expand("iot:ttl");
+exports.iot_precision = _.ld.expand("iot:precision");
 
 exports.iot_read = _.ld.expand("iot:read");
 exports.iot_write = _.ld.expand("iot:write");
@@ -62,8 +71,11 @@ exports.iot_actuator = _.ld.expand("iot:actuator");
 exports.iot_sensor = _.ld.expand("iot:sensor");
 
 exports.iot_clear_value = _.ld.expand("iot:clear-value");
+exports.iot_derived = _.ld.expand("iot:derived");
 
 exports.iot_color = _.ld.expand("iot:format.color");
+exports.iot_hsv = _.ld.expand("iot:format.hsv");
+exports.iot_xy = _.ld.expand("iot:format.xy");
 exports.iot_iri = _.ld.expand("iot:format.iri");
 exports.iot_time = _.ld.expand("iot:format.time");
 exports.iot_date = _.ld.expand("iot:format.date");
@@ -42,6 +42,8 @@ var modules = [
     require('./helpers/timestamp'),
     require('./helpers/error'),
     require('./helpers/convert'),
+    require('./helpers/format'),
+    require('./helpers/rdf'),
     require('./helpers/random'),
     require('./helpers/q'),
     require('./helpers/version'),
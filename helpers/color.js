@@ -29,6 +29,11 @@
 
 "use strict";
 
+var _ = {
+    is: require("./is").is,
+    d: require("./d").d,
+};
+
 /*
  *  From:
  *  http://stackoverflow.com/a/1573141/96338
@@ -523,8 +528,392 @@ var color_to_hex = function (name, otherwise) {
     }
 };
 
+
+/* --- color space conversions --- */
+/*
+ *  These all work with plain dictionaries: rgb is
+ *  { r, g, b } in 0..1, hsv is { h, s, v } and hsl
+ *  is { h, s, l } with h in 0..360 and the rest in 0..1.
+ */
+
+var _clamp = function (value, min, max) {
+    return Math.min(max, Math.max(min, value));
+};
+
+var _clean = function (value) {
+    return parseFloat(value.toPrecision(12));
+};
+
+/**
+ *  "#RRGGBB" (or a color name) to rgb.
+ *  Returns otherwise (default null) if not parseable
+ */
+var hex_to_rgb = function (hex, otherwise) {
+    if (otherwise === undefined) {
+        otherwise = null;
+    }
+
+    if (!_.is.String(hex)) {
+        return otherwise;
+    }
+
+    if (!hex.match(/^#[0-9A-Fa-f]{6}$/)) {
+        hex = color_to_hex(hex, null);
+        if (!hex) {
+            return otherwise;
+        }
+    }
+
+    return {
+        r: parseInt(hex.substring(1, 3), 16) / 255,
+        g: parseInt(hex.substring(3, 5), 16) / 255,
+        b: parseInt(hex.substring(5, 7), 16) / 255,
+    };
+};
+
+var rgb_to_hex = function (rgbd) {
+    var _hex = function (v) {
+        return ("0" + Math.round(_clamp(v, 0, 1) * 255).toString(16)).slice(-2);
+    };
+
+    return ("#" + _hex(rgbd.r) + _hex(rgbd.g) + _hex(rgbd.b)).toUpperCase();
+};
+
+var rgb_to_hsv = function (rgbd) {
+    var r = rgbd.r;
+    var g = rgbd.g;
+    var b = rgbd.b;
+    var max = Math.max(r, g, b);
+    var min = Math.min(r, g, b);
+    var d = max - min;
+    var h = 0;
+
+    if (d !== 0) {
+        if (max === r) {
+            h = (g - b) / d + (g < b ? 6 : 0);
+        } else if (max === g) {
+            h = (b - r) / d + 2;
+        } else {
+            h = (r - g) / d + 4;
+        }
+    }
+
+    return {
+        h: _clean(h * 60),
+        s: max === 0 ? 0 : _clean(d / max),
+        v: _clean(max),
+    };
+};
+
+var hsv_to_rgb = function (hsvd) {
+    var h = ((hsvd.h % 360) + 360) % 360 / 60;
+    var s = _clamp(hsvd.s, 0, 1);
+    var v = _clamp(hsvd.v, 0, 1);
+
+    var i = Math.floor(h);
+    var f = h - i;
+    var p = v * (1 - s);
+    var q = v * (1 - s * f);
+    var t = v * (1 - s * (1 - f));
+
+    var rgbs = [
+        [v, t, p],
+        [q, v, p],
+        [p, v, t],
+        [p, q, v],
+        [t, p, v],
+        [v, p, q],
+    ][i % 6];
+
+    return {
+        r: _clean(rgbs[0]),
+        g: _clean(rgbs[1]),
+        b: _clean(rgbs[2]),
+    };
+};
+
+var rgb_to_hsl = function (rgbd) {
+    var color = new Color();
+    color.set_rgb_1(rgbd.r, rgbd.g, rgbd.b);
+
+    return {
+        h: _clean(color.h * 360),
+        s: _clean(color.s),
+        l: _clean(color.l),
+    };
+};
+
+var hsl_to_rgb = function (hsld) {
+    var color = new Color();
+    color.set_hsl((((hsld.h % 360) + 360) % 360) / 360, _clamp(hsld.s, 0, 1), _clamp(hsld.l, 0, 1));
+
+    return {
+        r: _clean(color.r),
+        g: _clean(color.g),
+        b: _clean(color.b),
+    };
+};
+
+/*
+ *  CIE 1931 xy. Gamuts are triangles of xy points,
+ *  and xy values are clamped to the closest point
+ *  inside the gamut
+ */
+var gamuts = {
+    srgb: {
+        red: { x: 0.64, y: 0.33 },
+        green: { x: 0.30, y: 0.60 },
+        blue: { x: 0.15, y: 0.06 },
+    },
+    hue_a: {
+        red: { x: 0.704, y: 0.296 },
+        green: { x: 0.2151, y: 0.7106 },
+        blue: { x: 0.138, y: 0.08 },
+    },
+    hue_b: {
+        red: { x: 0.675, y: 0.322 },
+        green: { x: 0.409, y: 0.518 },
+        blue: { x: 0.167, y: 0.04 },
+    },
+    hue_c: {
+        red: { x: 0.692, y: 0.308 },
+        green: { x: 0.17, y: 0.7 },
+        blue: { x: 0.153, y: 0.048 },
+    },
+};
+
+var WHITE_POINT = { x: 0.3127, y: 0.3290 };
+
+var _gamut = function (gamut) {
+    if (gamut === undefined) {
+        return gamuts.srgb;
+    } else if (_.is.String(gamut)) {
+        if (!gamuts[gamut]) {
+            throw new Error("_.color: unknown gamut: " + gamut);
+        }
+        return gamuts[gamut];
+    } else {
+        return gamut;
+    }
+};
+
+var _cross = function (p1, p2) {
+    return p1.x * p2.y - p1.y * p2.x;
+};
+
+var _in_gamut = function (xyd, gamutd) {
+    var v1 = { x: gamutd.green.x - gamutd.red.x, y: gamutd.green.y - gamutd.red.y };
+    var v2 = { x: gamutd.blue.x - gamutd.red.x, y: gamutd.blue.y - gamutd.red.y };
+    var q = { x: xyd.x - gamutd.red.x, y: xyd.y - gamutd.red.y };
+
+    var s = _cross(q, v2) / _cross(v1, v2);
+    var t = _cross(v1, q) / _cross(v1, v2);
+
+    return (s >= 0) && (t >= 0) && (s + t <= 1);
+};
+
+var _closest_on_line = function (a, b, p) {
+    var ab = { x: b.x - a.x, y: b.y - a.y };
+    var ap = { x: p.x - a.x, y: p.y - a.y };
+    var t = _clamp((ap.x * ab.x + ap.y * ab.y) / (ab.x * ab.x + ab.y * ab.y), 0, 1);
+
+    return { x: a.x + ab.x * t, y: a.y + ab.y * t };
+};
+
+/**
+ *  Move xy to the closest point inside the gamut,
+ *  which is "srgb" by default. Other keys
+ *  (e.g. brightness) are passed through
+ */
+var xy_clamp = function (xyd, gamut) {
+    var gamutd = _gamut(gamut);
+    if (_in_gamut(xyd, gamutd)) {
+        return _.d.clone.shallow(xyd);
+    }
+
+    var best = null;
+    var best_distance = Infinity;
+
+    [
+        _closest_on_line(gamutd.red, gamutd.green, xyd),
+        _closest_on_line(gamutd.green, gamutd.blue, xyd),
+        _closest_on_line(gamutd.blue, gamutd.red, xyd),
+    ].forEach(function (p) {
+        var distance = Math.pow(p.x - xyd.x, 2) + Math.pow(p.y - xyd.y, 2);
+        if (distance < best_distance) {
+            best = p;
+            best_distance = distance;
+        }
+    });
+
+    var resultd = _.d.clone.shallow(xyd);
+    resultd.x = _clean(best.x);
+    resultd.y = _clean(best.y);
+
+    return resultd;
+};
+
+var _linear = function (v) {
+    return (v > 0.04045) ? Math.pow((v + 0.055) / 1.055, 2.4) : v / 12.92;
+};
+
+var _gamma = function (v) {
+    return (v <= 0.0031308) ? 12.92 * v : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+};
+
+/**
+ *  rgb to { x, y, brightness }, where brightness is
+ *  the luminance Y. Black comes back as the white point
+ *  with zero brightness
+ */
+var rgb_to_xy = function (rgbd, gamut) {
+    var r = _linear(_clamp(rgbd.r, 0, 1));
+    var g = _linear(_clamp(rgbd.g, 0, 1));
+    var b = _linear(_clamp(rgbd.b, 0, 1));
+
+    var X = 0.4124564 * r + 0.3575761 * g + 0.1804375 * b;
+    var Y = 0.2126729 * r + 0.7151522 * g + 0.0721750 * b;
+    var Z = 0.0193339 * r + 0.1191920 * g + 0.9503041 * b;
+
+    var sum = X + Y + Z;
+    if (sum === 0) {
+        return {
+            x: WHITE_POINT.x,
+            y: WHITE_POINT.y,
+            brightness: 0,
+        };
+    }
+
+    var xyd = xy_clamp({
+        x: _clean(X / sum),
+        y: _clean(Y / sum),
+    }, gamut);
+    xyd.brightness = _clean(Y);
+
+    return xyd;
+};
+
+/**
+ *  { x, y, brightness } to rgb. If brightness is not
+ *  given, the result is as bright as possible
+ */
+var xy_to_rgb = function (xyd, gamut) {
+    xyd = xy_clamp(xyd, gamut);
+    if (xyd.y === 0) {
+        return { r: 0, g: 0, b: 0 };
+    }
+
+    var Y = _.is.Number(xyd.brightness) ? xyd.brightness : 1;
+    var X = (Y / xyd.y) * xyd.x;
+    var Z = (Y / xyd.y) * (1 - xyd.x - xyd.y);
+
+    var r = Math.max(0, 3.2404542 * X - 1.5371385 * Y - 0.4985314 * Z);
+    var g = Math.max(0, -0.9692660 * X + 1.8760108 * Y + 0.0415560 * Z);
+    var b = Math.max(0, 0.0556434 * X - 0.2040259 * Y + 1.0572252 * Z);
+
+    var max = Math.max(r, g, b);
+    if ((max > 1) || (!_.is.Number(xyd.brightness) && (max > 0))) {
+        r /= max;
+        g /= max;
+        b /= max;
+    }
+
+    return {
+        r: _clean(_clamp(_gamma(r), 0, 1)),
+        g: _clean(_clamp(_gamma(g), 0, 1)),
+        b: _clean(_clamp(_gamma(b), 0, 1)),
+    };
+};
+
+/*
+ *  Color temperature. Kelvin to rgb uses Tanner Helland's
+ *  approximation (1000K - 40000K); rgb to Kelvin searches
+ *  that curve for the same blue / red ratio (or green / red
+ *  below 2000K, where there is no blue)
+ */
+var KELVIN_MIN = 1000;
+var KELVIN_MAX = 40000;
+
+var kelvin_to_rgb = function (kelvin) {
+    var t = _clamp(kelvin, KELVIN_MIN, KELVIN_MAX) / 100;
+    var r, g, b;
+
+    if (t <= 66) {
+        r = 255;
+        g = 99.4708025861 * Math.log(t) - 161.1195681661;
+    } else {
+        r = 329.698727446 * Math.pow(t - 60, -0.1332047592);
+        g = 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+    }
+
+    if (t >= 66) {
+        b = 255;
+    } else if (t <= 19) {
+        b = 0;
+    } else {
+        b = 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+    }
+
+    return {
+        r: _clean(_clamp(r, 0, 255) / 255),
+        g: _clean(_clamp(g, 0, 255) / 255),
+        b: _clean(_clamp(b, 0, 255) / 255),
+    };
+};
+
+var rgb_to_kelvin = function (rgbd) {
+    if (rgbd.r === 0) {
+        return KELVIN_MAX;
+    }
+
+    var _ratio = function (cd) {
+        return cd.b > 0 ? cd.b / cd.r : cd.g / cd.r - 1;
+    };
+
+    var ratio = _ratio(rgbd);
+    var low = KELVIN_MIN;
+    var high = KELVIN_MAX;
+
+    while (high - low > 0.5) {
+        var middle = (low + high) / 2;
+        var middled = kelvin_to_rgb(middle);
+        if (_ratio(middled) >= ratio) {
+            high = middle;
+        } else {
+            low = middle;
+        }
+    }
+
+    return Math.round((low + high) / 2);
+};
+
+var mired_to_rgb = function (mired) {
+    return kelvin_to_rgb(1000000 / mired);
+};
+
+var rgb_to_mired = function (rgbd) {
+    return Math.round(1000000 / rgb_to_kelvin(rgbd));
+};
+
 exports.color = {
     color_to_hex: color_to_hex,
     colord: colord,
     Color: Color,
+
+    hex_to_rgb: hex_to_rgb,
+    rgb_to_hex: rgb_to_hex,
+    rgb_to_hsv: rgb_to_hsv,
+    hsv_to_rgb: hsv_to_rgb,
+    rgb_to_hsl: rgb_to_hsl,
+    hsl_to_rgb: hsl_to_rgb,
+
+    gamuts: gamuts,
+    xy_clamp: xy_clamp,
+    rgb_to_xy: rgb_to_xy,
+    xy_to_rgb: xy_to_rgb,
+
+    kelvin_to_rgb: kelvin_to_rgb,
+    rgb_to_kelvin: rgb_to_kelvin,
+    mired_to_rgb: mired_to_rgb,
+    rgb_to_mired: rgb_to_mired,
 };
@@ -79,44 +79,451 @@ var conversions = [
 ];
 
 /**
- *  This will return a path of conversion
- *  to convert from <from> to <to>
+ *  Units that are just a multiple of another unit
+ *  of the same dimension. Each value is how many
+ *  <code>base</code> units are in one of the unit.
  */
-var _find = function(from, to, froms) {
-    var ci;
-    var cd;
+var _multiples = function (dimension, base, multipled) {
+    Object.keys(multipled).map(function (unit) {
+        conversions.push({
+            from: 'iot-unit:' + unit,
+            to: 'iot-unit:' + base,
+            multiply: multipled[unit],
+            dimension: dimension,
+        });
+    });
+};
 
-    // stop loops!
-    if (froms.indexOf(from) !== -1) {
-        return;
+_multiples('length', 'length.si.metre', {
+    'length.imperial.inch': 0.0254,
+    'length.imperial.foot': 0.3048,
+    'length.imperial.yard': 0.9144,
+    'length.imperial.mile': 1609.344,
+    'length.imperial.nautical-mile': 1852,
+});
+_multiples('mass', 'mass.si.kilogram', {
+    'mass.si.gram': 0.001,
+    'mass.si.tonne': 1000,
+    'mass.imperial.ounce': 0.028349523125,
+    'mass.imperial.pound': 0.45359237,
+    'mass.imperial.stone': 6.35029318,
+});
+_multiples('pressure', 'pressure.si.pascal', {
+    'pressure.si.bar': 100000,
+    'pressure.si.atmosphere': 101325,
+    'pressure.imperial.psi': 6894.757293168,
+    'pressure.imperial.inch-of-mercury': 3386.389,
+    'pressure.si.millimetre-of-mercury': 133.322387415,
+});
+_multiples('speed', 'speed.si.metre-per-second', {
+    'speed.si.kilometre-per-hour': 1 / 3.6,
+    'speed.imperial.mile-per-hour': 0.44704,
+    'speed.imperial.foot-per-second': 0.3048,
+    'speed.imperial.knot': 1852 / 3600,
+});
+_multiples('volume', 'volume.si.litre', {
+    'volume.si.cubic-metre': 1000,
+    'volume.imperial.gallon': 4.54609,
+    'volume.us.gallon': 3.785411784,
+    'volume.us.quart': 0.946352946,
+    'volume.us.pint': 0.473176473,
+    'volume.us.cup': 0.2365882365,
+    'volume.us.fluid-ounce': 0.0295735295625,
+});
+_multiples('energy', 'energy.si.joule', {
+    'energy.si.calorie': 4.184,
+    'energy.si.electronvolt': 1.602176634e-19,
+    'energy.imperial.btu': 1055.05585262,
+});
+_multiples('power', 'power.si.watt', {
+    'power.imperial.horsepower': 745.69987158227022,
+    'power.imperial.btu-per-hour': 0.29307107017,
+});
+_multiples('illuminance', 'illuminance.si.lux', {
+    'illuminance.imperial.foot-candle': 10.763910416709722,
+});
+_multiples('time', 'time.si.second', {
+    'time.si.minute': 60,
+    'time.si.hour': 3600,
+    'time.si.day': 86400,
+    'time.si.week': 604800,
+});
+
+/**
+ *  Units that can be combined with SI prefixes and
+ *  each other, e.g. "kilowatt-hour", "km/h" or "W/m2".
+ *  Each is a scale and the powers of SI base units
+ *  it's made of.
+ */
+var atoms = [
+    { names: [ "metre", "meter" ], symbols: [ "m" ], scale: 1, base: { m: 1 } },
+    { names: [ "gram" ], symbols: [ "g" ], scale: 0.001, base: { kg: 1 } },
+    { names: [ "second" ], symbols: [ "s" ], scale: 1, base: { s: 1 } },
+    { names: [ "minute" ], symbols: [ "min" ], scale: 60, base: { s: 1 } },
+    { names: [ "hour" ], symbols: [ "h" ], scale: 3600, base: { s: 1 } },
+    { names: [ "day" ], symbols: [ "d" ], scale: 86400, base: { s: 1 } },
+    { names: [ "litre", "liter" ], symbols: [ "l", "L" ], scale: 0.001, base: { m: 3 } },
+    { names: [ "hertz" ], symbols: [ "Hz" ], scale: 1, base: { s: -1 } },
+    { names: [ "newton" ], symbols: [ "N" ], scale: 1, base: { kg: 1, m: 1, s: -2 } },
+    { names: [ "pascal" ], symbols: [ "Pa" ], scale: 1, base: { kg: 1, m: -1, s: -2 } },
+    { names: [ "bar" ], symbols: [ "bar" ], scale: 100000, base: { kg: 1, m: -1, s: -2 } },
+    { names: [ "joule" ], symbols: [ "J" ], scale: 1, base: { kg: 1, m: 2, s: -2 } },
+    { names: [ "calorie" ], symbols: [ "cal" ], scale: 4.184, base: { kg: 1, m: 2, s: -2 } },
+    { names: [ "watt" ], symbols: [ "W" ], scale: 1, base: { kg: 1, m: 2, s: -3 } },
+    { names: [ "ampere" ], symbols: [ "A" ], scale: 1, base: { A: 1 } },
+    { names: [ "volt" ], symbols: [ "V" ], scale: 1, base: { kg: 1, m: 2, s: -3, A: -1 } },
+    { names: [ "lumen" ], symbols: [ "lm" ], scale: 1, base: { cd: 1 } },
+    { names: [ "lux" ], symbols: [ "lx" ], scale: 1, base: { cd: 1, m: -2 } },
+    { names: [ "inch" ], symbols: [ "in" ], scale: 0.0254, base: { m: 1 } },
+    { names: [ "foot" ], symbols: [ "ft" ], scale: 0.3048, base: { m: 1 } },
+    { names: [ "yard" ], symbols: [ "yd" ], scale: 0.9144, base: { m: 1 } },
+    { names: [ "mile" ], symbols: [ "mi" ], scale: 1609.344, base: { m: 1 } },
+    { names: [ "pound" ], symbols: [ "lb" ], scale: 0.45359237, base: { kg: 1 } },
+    { names: [ "ounce" ], symbols: [ "oz" ], scale: 0.028349523125, base: { kg: 1 } },
+    { names: [ "tonne" ], symbols: [ "t" ], scale: 1000, base: { kg: 1 } },
+    { names: [ "knot" ], symbols: [ "kn" ], scale: 1852 / 3600, base: { m: 1, s: -1 } },
+    { names: [ "atmosphere" ], symbols: [ "atm" ], scale: 101325, base: { kg: 1, m: -1, s: -2 } },
+    { names: [ "psi" ], symbols: [ "psi" ], scale: 6894.757293168, base: { kg: 1, m: -1, s: -2 } },
+    { names: [ "btu" ], symbols: [ "BTU", "Btu" ], scale: 1055.05585262, base: { kg: 1, m: 2, s: -2 } },
+    { names: [ "horsepower" ], symbols: [ "hp" ], scale: 745.69987158227022, base: { kg: 1, m: 2, s: -3 } },
+];
+
+var prefixes = [
+    { name: "tera", symbol: "T", scale: 1e12 },
+    { name: "giga", symbol: "G", scale: 1e9 },
+    { name: "mega", symbol: "M", scale: 1e6 },
+    { name: "kilo", symbol: "k", scale: 1e3 },
+    { name: "hecto", symbol: "h", scale: 1e2 },
+    { name: "deca", symbol: "da", scale: 1e1 },
+    { name: "deci", symbol: "d", scale: 1e-1 },
+    { name: "centi", symbol: "c", scale: 1e-2 },
+    { name: "milli", symbol: "m", scale: 1e-3 },
+    { name: "micro", symbol: "u", scale: 1e-6 },
+    { name: "micro", symbol: "\u00b5", scale: 1e-6 },
+    { name: "nano", symbol: "n", scale: 1e-9 },
+    { name: "pico", symbol: "p", scale: 1e-12 },
+];
+
+var _atom = function (text, key) {
+    for (var ai = 0; ai < atoms.length; ai++) {
+        if (atoms[ai][key].indexOf(text) !== -1) {
+            return atoms[ai];
+        }
+    }
+
+    return null;
+};
+
+/**
+ *  A single unit, maybe with a prefix, e.g. "kilowatt" or "kW".
+ *  Returns { scale: number, base: { ... } } or null
+ */
+var _parse_term = function (text, power, is_name) {
+    var key = is_name ? "names" : "symbols";
+    var pkey = is_name ? "name" : "symbol";
+
+    var _make = function (atom, scale) {
+        var based = {};
+        Object.keys(atom.base).map(function (unit) {
+            based[unit] = atom.base[unit] * power;
+        });
+
+        return {
+            scale: Math.pow(atom.scale * scale, power),
+            base: based,
+        };
+    };
+
+    var atom = _atom(text, key);
+    if (atom) {
+        return _make(atom, 1);
+    }
+
+    for (var pi = 0; pi < prefixes.length; pi++) {
+        var prefix = prefixes[pi];
+        if (text.indexOf(prefix[pkey]) !== 0) {
+            continue;
+        }
+
+        atom = _atom(text.substring(prefix[pkey].length), key);
+        if (atom) {
+            return _make(atom, prefix.scale);
+        }
     }
 
-    froms = froms.slice();
-    froms.push(from);
+    return null;
+};
 
-    // matches right away
-    for (ci in conversions) {
-        cd = conversions[ci];
-        if ((cd.from !== from) || (cd.to !== to)) {
+var _multiply = function (ad, bd) {
+    var based = _.d.clone.shallow(ad.base);
+    Object.keys(bd.base).map(function (unit) {
+        based[unit] = (based[unit] || 0) + bd.base[unit];
+        if (based[unit] === 0) {
+            delete based[unit];
+        }
+    });
+
+    return {
+        scale: ad.scale * bd.scale,
+        base: based,
+    };
+};
+
+/**
+ *  Names are joined by "-", e.g. "kilowatt-hour" or "square-metre"
+ */
+var _parse_names = function (text) {
+    var resultd = { scale: 1, base: {} };
+    var power = 1;
+    var parts = text.split("-");
+
+    for (var pi = 0; pi < parts.length; pi++) {
+        var part = parts[pi];
+        if (part === "square") {
+            power = 2;
             continue;
+        } else if (part === "cubic") {
+            power = 3;
+            continue;
+        }
+
+        var termd = _parse_term(part, power, true);
+        if (!termd) {
+            return null;
         }
 
-        return [ cd ];
+        resultd = _multiply(resultd, termd);
+        power = 1;
+    }
+
+    return resultd;
+};
+
+/**
+ *  Symbols are run together, e.g. "kWh" or "m2"
+ */
+var _parse_symbols = function (text) {
+    if (text.length === 0) {
+        return { scale: 1, base: {} };
     }
 
-    // do a depth-first search
-    for (ci in conversions) {
-        cd = conversions[ci];
-        if (cd.from !== from) {
+    // longest first, so "min" isn't milli-inches
+    for (var end = text.length; end > 0; end--) {
+        var match = text.substring(end).match(/^\^?(\d+)/);
+        var power = match ? parseInt(match[1]) : 1;
+        var after = match ? end + match[0].length : end;
+
+        var termd = _parse_term(text.substring(0, end), power, false);
+        if (!termd) {
             continue;
         }
 
-        var nds = _find(cd.to, to, froms);
-        if (nds) {
-            nds.splice(0, 0, cd);
-            return nds;
+        var restd = _parse_symbols(text.substring(after));
+        if (restd) {
+            return _multiply(termd, restd);
+        }
+    }
+
+    return null;
+};
+
+/**
+ *  Parse the last part of a unit, e.g. 'iot-unit:speed.si.kilometre-per-hour'
+ *  or 'iot-unit:speed.si.km/h', into a scale and SI base units.
+ *  Returns null if it can't be understood.
+ */
+var _parse = function (unit) {
+    var match = unit.match(/^iot-unit:[^.]+[.][^.]+[.]([^.]+)$/);
+    if (!match) {
+        return null;
+    }
+
+    var parts = match[1].split(/-per-|\//);
+    if (parts.length > 2) {
+        return null;
+    }
+
+    var parse = function (text) {
+        return _parse_names(text) || _parse_symbols(text);
+    };
+
+    var numerator = parse(parts[0]);
+    var denominator = (parts.length === 2) ? parse(parts[1]) : { scale: 1, base: {} };
+    if (!numerator || !denominator) {
+        return null;
+    }
+
+    var inverted = { scale: 1 / denominator.scale, base: {} };
+    Object.keys(denominator.base).map(function (unit) {
+        inverted.base[unit] = -denominator.base[unit];
+    });
+
+    return _multiply(numerator, inverted);
+};
+
+/**
+ *  A conversion between two units built from atoms
+ *  and prefixes, or null if they're not the same kind of thing
+ */
+var _compound = function (from, to) {
+    var fromd = _parse(from);
+    var tod = _parse(to);
+    if (!fromd || !tod || !_.is.Equal(fromd.base, tod.base)) {
+        return null;
+    }
+
+    var factor = fromd.scale / tod.scale;
+
+    return {
+        from: from,
+        to: to,
+        convert: function (paramd) {
+            return paramd.value * factor;
+        },
+    };
+};
+
+/**
+ *  Unit to dimension, e.g.
+ *  'iot-unit:temperature.si.celsius' to 'temperature'
+ */
+var dimensions = {};
+
+/**
+ *  The dimension is the first part of the unit's name,
+ *  unless it has been registered otherwise
+ */
+var dimension = function (unit) {
+    if (!_.is.String(unit)) {
+        return null;
+    }
+
+    if (dimensions[unit]) {
+        return dimensions[unit];
+    }
+
+    var match = unit.match(/^iot-unit:([^.]+)[.]/);
+    if (match) {
+        return match[1];
+    }
+
+    return null;
+};
+
+var _register = function (cd) {
+    if (cd.dimension) {
+        dimensions[cd.from] = cd.dimension;
+        dimensions[cd.to] = cd.dimension;
+    }
+};
+
+/**
+ *  Conversions by from, and paths found by from/to.
+ *  Both are thrown away whenever a conversion is added
+ */
+var _graphd = null;
+var _pathd = {};
+
+var _graph = function () {
+    if (_graphd) {
+        return _graphd;
+    }
+
+    _graphd = {};
+    conversions.map(function (cd) {
+        var cds = _graphd[cd.from];
+        if (!cds) {
+            cds = _graphd[cd.from] = [];
+        }
+
+        cds.push(cd);
+    });
+
+    return _graphd;
+};
+
+/**
+ *  Breadth-first search of the conversions from <from>,
+ *  stopping early if <to> is found. Returns how each
+ *  unit was reached
+ */
+var _search = function (from, to) {
+    var graphd = _graph();
+    var previousd = {};
+    var queue = [ from ];
+
+    previousd[from] = null;
+
+    while (queue.length && (previousd[to] === undefined)) {
+        var nexts = graphd[queue.shift()] || [];
+
+        for (var ni = 0; ni < nexts.length; ni++) {
+            var next = nexts[ni];
+            if (previousd[next.to] !== undefined) {
+                continue;
+            }
+
+            previousd[next.to] = next;
+            queue.push(next.to);
+        }
+    }
+
+    return previousd;
+};
+
+var _path = function (previousd, to) {
+    if (previousd[to] === undefined) {
+        return null;
+    }
+
+    var cds = [];
+    for (var cd = previousd[to]; cd; cd = previousd[cd.from]) {
+        cds.splice(0, 0, cd);
+    }
+
+    return cds;
+};
+
+/**
+ *  This will return the shortest path of conversions
+ *  to convert from <from> to <to>, or null.
+ *  If there isn't one, compound and prefixed units
+ *  are tried, maybe using conversions on either side,
+ *  e.g. 'volume.us.gallon' to 'volume.si.litre' to 'volume.si.millilitre'
+ */
+var _find = function (from, to) {
+    var key = from + " " + to;
+    if (_pathd[key] !== undefined) {
+        return _pathd[key];
+    }
+
+    var from_previousd = _search(from, to);
+    var cds = _path(from_previousd, to);
+
+    if (!cds) {
+        var to_previousd = _search(to, null);
+        var froms = Object.keys(from_previousd);
+        var tos = Object.keys(to_previousd);
+
+        for (var fi = 0; !cds && (fi < froms.length); fi++) {
+            for (var ti = 0; !cds && (ti < tos.length); ti++) {
+                var compound = _compound(froms[fi], tos[ti]);
+                if (!compound) {
+                    continue;
+                }
+
+                // conversions have inverses, so this is the way back to <to>
+                var backs = _path(_search(tos[ti], to), to);
+                if (backs) {
+                    cds = _path(from_previousd, froms[fi]).concat([ compound ], backs);
+                }
+            }
         }
     }
+
+    _pathd[key] = cds;
+
+    return cds;
 };
 
 
@@ -162,6 +569,11 @@ var _massage = function(cd) {
 
         conversions.push(id);
     }
+
+    _register(cd);
+
+    _graphd = null;
+    _pathd = {};
 };
 
 /**
@@ -233,8 +645,15 @@ var convert = function(paramd) {
     } else {
         _massage_all();
 
+        // different dimensions can't be converted
+        var from_dimension = dimension(paramd.from);
+        var to_dimension = dimension(paramd.to);
+        if (from_dimension && to_dimension && (from_dimension !== to_dimension)) {
+            return null;
+        }
+
         // find a conversion
-        var cds = _find(paramd.from, paramd.to, []);
+        var cds = _find(paramd.from, paramd.to);
         if (!cds) {
             return null;
             // throw new Error("no conversion found from '" + paramd.from + "' to '" + paramd.to + "'");
@@ -276,16 +695,72 @@ var convert = function(paramd) {
     return result;
 };
 
+var _validate_add = function (paramd) {
+    if (!_.is.String(paramd.from) || !_.is.String(paramd.to)) {
+        throw new Error("_.convert.add: 'from' and 'to' must be Strings");
+    }
+    if (paramd.from === paramd.to) {
+        throw new Error("_.convert.add: 'from' and 'to' must be different: " + paramd.from);
+    }
+
+    var hows = [ "convert", "add", "multiply" ].filter(function (key) {
+        return paramd[key] !== undefined;
+    });
+    if (hows.length !== 1) {
+        throw new Error("_.convert.add: exactly one of 'convert', 'add' or 'multiply' is needed, not: " + hows);
+    }
+    if ((paramd.convert !== undefined) && !_.is.Function(paramd.convert)) {
+        throw new Error("_.convert.add: 'convert' must be a Function");
+    }
+    if ((paramd.add !== undefined) && (!_.is.Number(paramd.add) || (paramd.add === 0))) {
+        throw new Error("_.convert.add: 'add' must be a non-zero Number, not: " + paramd.add);
+    }
+    if ((paramd.multiply !== undefined) && (!_.is.Number(paramd.multiply) || (paramd.multiply === 0))) {
+        throw new Error("_.convert.add: 'multiply' must be a non-zero Number, not: " + paramd.multiply);
+    }
+
+    if (paramd.dimension !== undefined) {
+        if (!_.is.String(paramd.dimension)) {
+            throw new Error("_.convert.add: 'dimension' must be a String, not: " + paramd.dimension);
+        }
+
+        [ paramd.from, paramd.to ].map(function (unit) {
+            if (dimensions[unit] && (dimensions[unit] !== paramd.dimension)) {
+                throw new Error("_.convert.add: '" + unit + "' is already a " + dimensions[unit] + ", not a " + paramd.dimension);
+            }
+        });
+    } else if (dimension(paramd.from) && dimension(paramd.to) && (dimension(paramd.from) !== dimension(paramd.to))) {
+        throw new Error("_.convert.add: cannot convert between dimensions: " +
+            dimension(paramd.from) + " and " + dimension(paramd.to));
+    }
+};
+
 /**
+ *  Add a conversion, or an Array of them.
+ *  Throws an Error if it doesn't make sense
+ *
+ *  @param {string} paramd.from
+ *  @param {string} paramd.to
+ *  @param {function|undefined} paramd.convert
+ *  @param {number|undefined} paramd.add
+ *  @param {number|undefined} paramd.multiply
+ *
+ *  @param {string|undefined} paramd.dimension
+ *  If not the first part of the unit's name, e.g. "temperature"
  */
 var add = function(paramd) {
     if (_.is.Array(paramd)) {
         paramd.map(add);
     } else if (_.is.Object(paramd)) {
+        _validate_add(paramd);
+
         var cd = _.d.clone.shallow(paramd);
         _massage(cd);
 
         conversions.push(cd);
+
+        _graphd = null;
+        _pathd = {};
     } else {
         throw new Error("_.convert.add: unexpected argument type: " + paramd);
     }
@@ -297,4 +772,5 @@ var add = function(paramd) {
 exports.convert = {
     convert: convert,
     add: add,
+    dimension: dimension,
 };
@@ -0,0 +1,269 @@
+/*
+ *  format.js
+ *
+ *  David Janes
+ *  IOTDB.org
+ *  2016-06-20
+ *
+ *  Format attribute values for people to read
+ *
+ *  Copyright [2013-2016] [David P. Janes]
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+"use strict";
+
+var _ = {
+    is: require("./is").is,
+    d: require("./d").d,
+    ld: require("./ld").ld,
+};
+
+var symbold = {
+    "iot-unit:temperature.si.celsius": "°C",
+    "iot-unit:temperature.imperial.fahrenheit": "°F",
+    "iot-unit:temperature.si.kelvin": "K",
+    "iot-unit:math.fraction.percent": "%",
+    "iot-unit:math.angle.degree": "°",
+    "iot-unit:length.si.metre": "m",
+    "iot-unit:length.imperial.inch": "in",
+    "iot-unit:length.imperial.foot": "ft",
+    "iot-unit:length.imperial.mile": "mi",
+    "iot-unit:mass.si.kilogram": "kg",
+    "iot-unit:mass.si.gram": "g",
+    "iot-unit:mass.imperial.pound": "lb",
+    "iot-unit:pressure.si.pascal": "Pa",
+    "iot-unit:pressure.imperial.psi": "psi",
+    "iot-unit:speed.si.metre-per-second": "m/s",
+    "iot-unit:speed.si.kilometre-per-hour": "km/h",
+    "iot-unit:speed.imperial.mile-per-hour": "mph",
+    "iot-unit:volume.si.litre": "L",
+    "iot-unit:energy.si.joule": "J",
+    "iot-unit:energy.si.kilowatt-hour": "kWh",
+    "iot-unit:power.si.watt": "W",
+    "iot-unit:illuminance.si.lux": "lx",
+    "iot-unit:time.si.second": "s",
+    "iot-unit:math.si.second": "s",
+    "iot-unit:math.si.hertz": "Hz",
+};
+
+// these go right after the number
+var unspaceds = [ "°" ];
+
+var relatives = [
+    { unit: "year", seconds: 365 * 24 * 60 * 60 },
+    { unit: "month", seconds: 30 * 24 * 60 * 60 },
+    { unit: "day", seconds: 24 * 60 * 60 },
+    { unit: "hour", seconds: 60 * 60 },
+    { unit: "minute", seconds: 60 },
+    { unit: "second", seconds: 1 },
+];
+
+var _first = function (attribute, key, otherwise) {
+    return _.ld.compact(_.ld.first(attribute, _.ld.expand(key), otherwise));
+};
+
+var _list = function (attribute, key) {
+    return _.ld.compact(_.ld.list(attribute, _.ld.expand(key), []));
+};
+
+/**
+ *  "iot-unit:speed.si.kilometre-per-hour" is "km/h", but
+ *  a unit we don't know is just its name, e.g. "kilometre per hour"
+ */
+var _unit_symbol = function (unit) {
+    unit = unit.replace(/[.]-?\d+$/, "");
+
+    if (symbold[unit]) {
+        return symbold[unit];
+    }
+
+    return unit.replace(/^.*[.:]/, "").replace(/-/g, " ");
+};
+
+/**
+ *  "iot-attribute:mode.heat-cool" is "Heat cool"
+ */
+var _label = function (value) {
+    var label = String(value).replace(/^.*[:.#\/]/, "").replace(/[-_]/g, " ");
+
+    return label.charAt(0).toUpperCase() + label.substring(1);
+};
+
+var _enumeration_label = function (attribute, value) {
+    var enumerations = _list(attribute, "iot:enumeration");
+    var cvalue = _.ld.compact(value);
+
+    for (var ei = 0; ei < enumerations.length; ei++) {
+        var enumeration = enumerations[ei];
+        if (!_.is.Dictionary(enumeration)) {
+            continue;
+        } else if ((enumeration["@id"] !== value) && (enumeration["@id"] !== cvalue)) {
+            continue;
+        }
+
+        var name = enumeration["schema:name"];
+        if (_.is.Array(name)) {
+            name = name[0];
+        }
+        if (_.is.String(name)) {
+            return name;
+        }
+    }
+
+    if (enumerations.length) {
+        return _label(value);
+    }
+
+    return null;
+};
+
+var _number = function (attribute, value, paramd) {
+    var precision = paramd.precision;
+    if (precision === undefined) {
+        precision = _first(attribute, "iot:precision", null);
+    }
+
+    var optionsd = {};
+    if (_.is.Integer(precision)) {
+        optionsd.minimumFractionDigits = precision;
+        optionsd.maximumFractionDigits = precision;
+    } else if (_list(attribute, "iot:type").indexOf("iot:type.integer") > -1) {
+        optionsd.maximumFractionDigits = 0;
+    } else {
+        optionsd.maximumFractionDigits = 2;
+    }
+
+    return value.toLocaleString(paramd.locale, optionsd);
+};
+
+var _relative = function (value, paramd) {
+    var when = new Date(value);
+    if (isNaN(when.getTime())) {
+        return String(value);
+    }
+
+    var now = paramd.now ? new Date(paramd.now) : new Date();
+    var seconds = Math.round((when.getTime() - now.getTime()) / 1000);
+
+    var relatived = relatives[relatives.length - 1];
+    for (var ri = 0; ri < relatives.length; ri++) {
+        if (Math.abs(seconds) >= relatives[ri].seconds) {
+            relatived = relatives[ri];
+            break;
+        }
+    }
+
+    var count = Math.round(seconds / relatived.seconds);
+
+    if (global.Intl && global.Intl.RelativeTimeFormat) {
+        return new global.Intl.RelativeTimeFormat(paramd.locale, { numeric: "auto" }).format(count, relatived.unit);
+    }
+
+    var text = Math.abs(count) + " " + relatived.unit + ((Math.abs(count) === 1) ? "" : "s");
+    return (count < 0) ? text + " ago" : "in " + text;
+};
+
+/**
+ *  Render an attribute's value for people, e.g. "21.5 °C",
+ *  "45 %", "On", an enumeration's <code>schema:name</code>
+ *  or "5 minutes ago". Uses the attribute's <code>iot:unit</code>,
+ *  <code>iot:format</code>, <code>iot:enumeration</code>
+ *  and <code>iot:precision</code>.
+ *
+ *  @param {Attribute|dictionary} attribute
+ *  @param {*} value
+ *
+ *  @param {string|undefined} paramd.locale
+ *  e.g. "en-CA". Default is the system's
+ *
+ *  @param {integer|undefined} paramd.precision
+ *  Digits after the decimal point, overriding the attribute's
+ *
+ *  @param {string|undefined} paramd.now
+ *  What relative datetimes are relative to. Default is now
+ *
+ *  @param {string} paramd.otherwise
+ *  Returned for null or undefined. Default is ""
+ *
+ *  @return {string}
+ */
+var value = function (attribute, value, paramd) {
+    paramd = _.d.compose.shallow(paramd, {
+        locale: undefined,
+        precision: undefined,
+        now: null,
+        otherwise: "",
+    });
+
+    if ((value === null) || (value === undefined)) {
+        return paramd.otherwise;
+    }
+
+    if (_.is.Array(value)) {
+        return value
+            .map(function (v) {
+                return exports.format.value(attribute, v, paramd);
+            })
+            .join(", ");
+    }
+
+    if (_.is.Boolean(value)) {
+        return value ? "On" : "Off";
+    }
+
+    var formats = _list(attribute, "iot:format");
+    var unit = _first(attribute, "iot:unit", null);
+
+    if (_.is.Number(value)) {
+        if (unit === "iot-unit:math.fraction.unit") {
+            value = value * 100;
+            unit = "iot-unit:math.fraction.percent";
+        }
+
+        var text = _number(attribute, value, paramd);
+        if (!unit) {
+            return text;
+        }
+
+        var symbol = _unit_symbol(unit);
+        if (unspaceds.indexOf(symbol) > -1) {
+            return text + symbol;
+        }
+
+        return text + " " + symbol;
+    }
+
+    var label = _enumeration_label(attribute, value);
+    if (label !== null) {
+        return label;
+    }
+
+    if (formats.indexOf("iot:format.datetime") > -1) {
+        return _relative(value, paramd);
+    } else if (formats.indexOf("iot:format.date") > -1) {
+        var date = new Date(value);
+        if (!isNaN(date.getTime())) {
+            return date.toLocaleDateString(paramd.locale, { timeZone: "UTC" });
+        }
+    } else if (formats.indexOf("iot:format.color") > -1) {
+        return String(value).toUpperCase();
+    }
+
+    return String(value);
+};
+
+exports.format = {
+    value: value,
+};
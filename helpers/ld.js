@@ -24,6 +24,8 @@
 
 "use strict";
 
+var url = require("url");
+
 var _ = require("../helpers");
 
 var _namespace = {
@@ -39,6 +41,93 @@ var _namespace = {
     "iot-unit": "https://iotdb.org/pub/iot-unit#",
 };
 
+var _builtins = Object.keys(_namespace);
+
+/*
+ *  Namespace registry. These are not enumerable,
+ *  so _namespace can still be used as a dictionary
+ */
+var _validate_register = function (prefix, iri) {
+    if (!_.is.String(prefix) || !prefix.match(/^[a-z][-a-z0-9_]*$/)) {
+        throw new Error("_.ld.namespace.register: 'prefix' must be a lower case name, not: " + prefix);
+    }
+    if (!_.is.AbsoluteURL(iri)) {
+        throw new Error("_.ld.namespace.register: 'iri' must be an absolute IRI, not: " + iri);
+    }
+
+    var existing = _namespace[prefix];
+    if ((existing !== undefined) && (existing !== iri)) {
+        throw new Error("_.ld.namespace.register: '" + prefix + "' is already registered as: " + existing);
+    }
+
+    _.keys(_namespace).forEach(function (other) {
+        if ((other !== prefix) && (_namespace[other] === iri)) {
+            throw new Error("_.ld.namespace.register: '" + iri + "' is already registered as: " + other);
+        }
+    });
+};
+
+/**
+ *  Add a prefix, e.g. "ind" for "https://example.com/industrial#".
+ *  Registering the same prefix and IRI again does nothing;
+ *  a prefix or IRI that's already used otherwise is an Error
+ */
+var _namespace_register = function (prefix, iri) {
+    _validate_register(prefix, iri);
+
+    _namespace[prefix] = iri;
+};
+
+var _namespace_unregister = function (prefix) {
+    if (_builtins.indexOf(prefix) > -1) {
+        throw new Error("_.ld.namespace.unregister: cannot unregister: " + prefix);
+    }
+
+    delete _namespace[prefix];
+};
+
+/**
+ *  The namespaces (prefix to IRI) used by IRIs in
+ *  the keys or String values of 'v'
+ */
+var _namespace_used = function (v, usedd) {
+    usedd = usedd || {};
+
+    if (_.is.Array(v)) {
+        v.forEach(function (item) {
+            _namespace_used(item, usedd);
+        });
+    } else if (_.is.Dictionary(v)) {
+        _.keys(v).forEach(function (key) {
+            if (key === "@context") {
+                return;
+            }
+
+            _namespace_used(key, usedd);
+            _namespace_used(v[key], usedd);
+        });
+    } else if (_.is.String(v)) {
+        _.keys(_namespace).forEach(function (prefix) {
+            var iri = _namespace[prefix];
+            if ((v.substring(0, iri.length) === iri) || (v.substring(0, prefix.length + 1) === prefix + ":")) {
+                usedd[prefix] = iri;
+            }
+        });
+    }
+
+    return usedd;
+};
+
+Object.defineProperty(_namespace, "register", {
+    value: _namespace_register,
+});
+Object.defineProperty(_namespace, "unregister", {
+    value: _namespace_unregister,
+});
+Object.defineProperty(_namespace, "used", {
+    value: _namespace_used,
+});
+
 /*
  *  JSON-LD section. NEW 0.4.X
  */
@@ -274,13 +363,19 @@ var _ld_compact = function (v, paramd) {
         }
         return nvd;
     } else if (_.is.String(v)) {
+        // the longest matching namespace wins
+        var best;
         for (var ns in _namespace) {
             var prefix = _namespace[ns];
             if (v.substring(0, prefix.length) !== prefix) {
                 continue;
+            } else if ((best === undefined) || (prefix.length > _namespace[best].length)) {
+                best = ns;
             }
+        }
 
-            return ns + ":" + v.substring(prefix.length);
+        if (best !== undefined) {
+            return best + ":" + v.substring(_namespace[best].length);
         }
 
         return v;
@@ -383,6 +478,865 @@ var _ld_expand = function (v, paramd) {
 
 };
 
+/*
+ *  JSON-LD documents. This is an offline subset of the
+ *  JSON-LD 1.0 expansion and compaction algorithms: @context
+ *  (dictionaries, arrays and cached IRIs), @base, @vocab,
+ *  @language, term definitions with @id, @type, @language
+ *  and @container (@list, @set, @language, @index), keyword
+ *  aliases, @graph and @list. @reverse is not supported.
+ *
+ *  Remote contexts are never fetched - they must be put
+ *  in the local cache first with _.ld.context.add
+ */
+var _contextd = {};
+
+var _has = function (d, key) {
+    return Object.prototype.hasOwnProperty.call(d, key);
+};
+
+var _is_keyword = function (v) {
+    return _.is.String(v) && (v.charAt(0) === "@");
+};
+
+var _is_list = function (v) {
+    return _.is.Dictionary(v) && _has(v, "@list");
+};
+
+var _is_node_reference = function (v) {
+    return _.is.Dictionary(v) && _has(v, "@id") &&
+        _.keys(v).every(function (key) {
+            return (key === "@id") || (key === "@index");
+        });
+};
+
+/**
+ *  Add a context to the local cache, so documents
+ *  can refer to it by IRI
+ */
+var _context_add = function (iri, context) {
+    if (!_.is.String(iri) || !iri.length) {
+        throw new Error("_.ld.context.add: 'iri' must be a non-empty String, not: " + iri);
+    }
+    if (!_.is.Dictionary(context) && !_.is.Array(context)) {
+        throw new Error("_.ld.context.add: 'context' must be a Dictionary or Array, not: " + context);
+    }
+
+    if (_.is.Dictionary(context) && _has(context, "@context")) {
+        context = context["@context"];
+    }
+
+    _contextd[iri] = _.d.clone.deep(context);
+};
+
+var _context_get = function (iri, otherwise) {
+    if (_has(_contextd, iri)) {
+        return _.d.clone.deep(_contextd[iri]);
+    }
+
+    return otherwise;
+};
+
+var _context_remove = function (iri) {
+    delete _contextd[iri];
+};
+
+/**
+ *  paramd.namespace puts the known prefixes
+ *  (e.g. "iot:", "schema:") in the initial context
+ */
+var _initial_context = function (paramd) {
+    var cd = {
+        base: paramd.base || null,
+        vocab: null,
+        language: null,
+        termd: {},
+    };
+
+    if (paramd.namespace) {
+        _.mapObject(_namespace, function (iri, prefix) {
+            cd.termd[prefix] = {
+                id: iri,
+            };
+        });
+    }
+
+    return cd;
+};
+
+var _clone_context = function (cd) {
+    return {
+        base: cd.base,
+        vocab: cd.vocab,
+        language: cd.language,
+        termd: _.clone(cd.termd),
+    };
+};
+
+var _term = function (cd, term) {
+    if (!_.is.String(term) || !_has(cd.termd, term)) {
+        return null;
+    }
+
+    return cd.termd[term];
+};
+
+var _resolve = function (base, iri) {
+    if (!base) {
+        return iri;
+    }
+
+    return url.resolve(base, iri);
+};
+
+/**
+ *  paramd.vocab: may be a term or relative to @vocab
+ *  paramd.base: may be relative to @base
+ */
+var _expand_iri = function (cd, value, paramd) {
+    if (!_.is.String(value) || _is_keyword(value)) {
+        return value;
+    }
+
+    if (paramd.vocab && _has(cd.termd, value)) {
+        var td = cd.termd[value];
+        return td ? td.id : null;
+    }
+
+    var colon = value.indexOf(":");
+    if (colon > 0) {
+        var prefix = value.substring(0, colon);
+        var suffix = value.substring(colon + 1);
+        if ((prefix === "_") || (suffix.substring(0, 2) === "//")) {
+            return value;
+        }
+
+        var prefixd = _term(cd, prefix);
+        if (prefixd && prefixd.id) {
+            return prefixd.id + suffix;
+        }
+
+        return value;
+    }
+
+    if (paramd.vocab && cd.vocab) {
+        return cd.vocab + value;
+    } else if (paramd.base) {
+        return _resolve(cd.base, value);
+    }
+
+    return value;
+};
+
+var _define_term = function (cd, contextd, term, definedd) {
+    if (definedd[term] === true) {
+        return;
+    } else if (definedd[term] === false) {
+        throw new Error("_.ld.jsonld: cyclic term definition: " + term);
+    }
+
+    definedd[term] = false;
+    delete cd.termd[term];
+
+    var value = contextd[term];
+    if ((value === null) || (_.is.Dictionary(value) && (value["@id"] === null))) {
+        cd.termd[term] = null;
+        definedd[term] = true;
+        return;
+    } else if (_.is.String(value)) {
+        value = {
+            "@id": value,
+        };
+    } else if (!_.is.Dictionary(value)) {
+        throw new Error("_.ld.jsonld: invalid term definition: " + term);
+    }
+
+    // terms and prefixes used by this definition must be defined first
+    var _dependency = function (v) {
+        var colon = v.indexOf(":");
+        var dependency = (colon > 0) ? v.substring(0, colon) : v;
+        if ((dependency !== term) && _has(contextd, dependency)) {
+            _define_term(cd, contextd, dependency, definedd);
+        }
+    };
+
+    var td = {};
+
+    if (value["@reverse"] !== undefined) {
+        throw new Error("_.ld.jsonld: @reverse is not supported: " + term);
+    }
+
+    if (value["@type"] !== undefined) {
+        if (!_.is.String(value["@type"])) {
+            throw new Error("_.ld.jsonld: invalid @type in term definition: " + term);
+        }
+
+        _dependency(value["@type"]);
+        if ((value["@type"] === "@id") || (value["@type"] === "@vocab")) {
+            td.type = value["@type"];
+        } else {
+            td.type = _expand_iri(cd, value["@type"], { vocab: true });
+        }
+    }
+
+    if (value["@id"] !== undefined) {
+        if (!_.is.String(value["@id"])) {
+            throw new Error("_.ld.jsonld: invalid @id in term definition: " + term);
+        }
+
+        _dependency(value["@id"]);
+        td.id = _expand_iri(cd, value["@id"], { vocab: true });
+    } else if (term.indexOf(":") > 0) {
+        _dependency(term);
+        td.id = _expand_iri(cd, term, { vocab: true });
+    } else if (cd.vocab) {
+        td.id = cd.vocab + term;
+    } else {
+        throw new Error("_.ld.jsonld: term has no IRI: " + term);
+    }
+
+    if (value["@container"] !== undefined) {
+        if ([ "@list", "@set", "@language", "@index" ].indexOf(value["@container"]) === -1) {
+            throw new Error("_.ld.jsonld: invalid @container in term definition: " + term);
+        }
+
+        td.container = value["@container"];
+    }
+
+    if (value["@language"] !== undefined) {
+        if ((value["@language"] !== null) && !_.is.String(value["@language"])) {
+            throw new Error("_.ld.jsonld: invalid @language in term definition: " + term);
+        }
+
+        td.language = value["@language"] ? value["@language"].toLowerCase() : null;
+    }
+
+    cd.termd[term] = td;
+    definedd[term] = true;
+};
+
+var _process_context = function (cd, context, paramd, seens) {
+    var result = _clone_context(cd);
+
+    (_.is.Array(context) ? context : [ context ]).forEach(function (contextd) {
+        if (contextd === null) {
+            result = _initial_context(paramd);
+            return;
+        } else if (_.is.String(contextd)) {
+            if (seens.indexOf(contextd) > -1) {
+                throw new Error("_.ld.jsonld: recursive context inclusion: " + contextd);
+            }
+
+            var cached = _context_get(contextd);
+            if (cached === undefined) {
+                throw new Error("_.ld.jsonld: context is not in the local cache: " + contextd);
+            }
+
+            result = _process_context(result, cached, paramd, seens.concat([ contextd ]));
+            return;
+        } else if (!_.is.Dictionary(contextd)) {
+            throw new Error("_.ld.jsonld: invalid local context: " + contextd);
+        }
+
+        if (_has(contextd, "@base")) {
+            if (contextd["@base"] === null) {
+                result.base = null;
+            } else if (_.is.String(contextd["@base"])) {
+                result.base = _resolve(result.base, contextd["@base"]);
+            } else {
+                throw new Error("_.ld.jsonld: invalid @base: " + contextd["@base"]);
+            }
+        }
+
+        if (_has(contextd, "@vocab")) {
+            if (contextd["@vocab"] === null) {
+                result.vocab = null;
+            } else if (_.is.String(contextd["@vocab"])) {
+                result.vocab = _expand_iri(result, contextd["@vocab"], {});
+            } else {
+                throw new Error("_.ld.jsonld: invalid @vocab: " + contextd["@vocab"]);
+            }
+        }
+
+        if (_has(contextd, "@language")) {
+            if (contextd["@language"] === null) {
+                result.language = null;
+            } else if (_.is.String(contextd["@language"])) {
+                result.language = contextd["@language"].toLowerCase();
+            } else {
+                throw new Error("_.ld.jsonld: invalid @language: " + contextd["@language"]);
+            }
+        }
+
+        var definedd = {};
+        _.keys(contextd).forEach(function (term) {
+            if (!_is_keyword(term)) {
+                _define_term(result, contextd, term, definedd);
+            }
+        });
+    });
+
+    return result;
+};
+
+var _expand_value = function (cd, property, value) {
+    var td = _term(cd, property) || {};
+
+    if ((td.type === "@id") && _.is.String(value)) {
+        return {
+            "@id": _expand_iri(cd, value, { base: true }),
+        };
+    } else if ((td.type === "@vocab") && _.is.String(value)) {
+        return {
+            "@id": _expand_iri(cd, value, { vocab: true, base: true }),
+        };
+    }
+
+    var resultd = {
+        "@value": value,
+    };
+
+    if (td.type && (td.type !== "@id") && (td.type !== "@vocab")) {
+        resultd["@type"] = td.type;
+    } else if (_.is.String(value)) {
+        var language = (td.language !== undefined) ? td.language : cd.language;
+        if (language) {
+            resultd["@language"] = language;
+        }
+    }
+
+    return resultd;
+};
+
+var _expand_element = function (cd, property, element, paramd) {
+    if ((element === null) || (element === undefined)) {
+        return null;
+    }
+
+    if (_.is.Array(element)) {
+        var results = [];
+        element.forEach(function (item) {
+            var expanded = _expand_element(cd, property, item, paramd);
+            if (_.is.Array(expanded)) {
+                results = results.concat(expanded);
+            } else if (expanded !== null) {
+                results.push(expanded);
+            }
+        });
+
+        return results;
+    } else if (!_.is.Dictionary(element)) {
+        if ((property === null) || (property === "@graph")) {
+            return null;
+        }
+
+        return _expand_value(cd, property, element);
+    }
+
+    if (_has(element, "@context")) {
+        cd = _process_context(cd, element["@context"], paramd, []);
+    }
+
+    var resultd = {};
+
+    _.keys(element).forEach(function (key) {
+        var value = element[key];
+        var evalue;
+
+        if (key === "@context") {
+            return;
+        }
+
+        var eproperty = _expand_iri(cd, key, { vocab: true });
+        if (!_.is.String(eproperty)) {
+            return;
+        } else if (!_is_keyword(eproperty) && (eproperty.indexOf(":") === -1)) {
+            return;
+        }
+
+        if (_is_keyword(eproperty)) {
+            if (eproperty === "@id") {
+                if (!_.is.String(value)) {
+                    throw new Error("_.ld.jsonld: @id must be a String, not: " + value);
+                }
+
+                evalue = _expand_iri(cd, value, { base: true });
+            } else if (eproperty === "@type") {
+                evalue = _.map(_.is.Array(value) ? value : [ value ], function (type) {
+                    if (!_.is.String(type)) {
+                        throw new Error("_.ld.jsonld: @type must be a String, not: " + type);
+                    }
+
+                    return _expand_iri(cd, type, { vocab: true, base: true });
+                });
+
+                if (!_.is.Array(value)) {
+                    evalue = evalue[0];
+                }
+            } else if (eproperty === "@graph") {
+                evalue = _expand_element(cd, "@graph", value, paramd);
+                evalue = _.is.Array(evalue) ? evalue : [ evalue ];
+            } else if ((eproperty === "@value") || (eproperty === "@index")) {
+                evalue = value;
+            } else if (eproperty === "@language") {
+                if (!_.is.String(value)) {
+                    throw new Error("_.ld.jsonld: @language must be a String, not: " + value);
+                }
+
+                evalue = value.toLowerCase();
+            } else if (eproperty === "@list") {
+                if ((property === null) || (property === "@graph")) {
+                    return;
+                }
+
+                evalue = _expand_element(cd, property, value, paramd);
+                evalue = _.is.Array(evalue) ? evalue : (evalue === null ? [] : [ evalue ]);
+            } else if (eproperty === "@set") {
+                evalue = _expand_element(cd, property, value, paramd);
+            } else if (eproperty === "@reverse") {
+                throw new Error("_.ld.jsonld: @reverse is not supported");
+            } else {
+                return;
+            }
+
+            resultd[eproperty] = evalue;
+            return;
+        }
+
+        var td = _term(cd, key) || {};
+
+        if ((td.container === "@language") && _.is.Dictionary(value)) {
+            evalue = [];
+            _.keys(value).sort().forEach(function (language) {
+                [].concat(value[language]).forEach(function (item) {
+                    if (item === null) {
+                        return;
+                    } else if (!_.is.String(item)) {
+                        throw new Error("_.ld.jsonld: language map values must be Strings, not: " + item);
+                    }
+
+                    evalue.push({
+                        "@value": item,
+                        "@language": language.toLowerCase(),
+                    });
+                });
+            });
+        } else if ((td.container === "@index") && _.is.Dictionary(value)) {
+            evalue = [];
+            _.keys(value).sort().forEach(function (index) {
+                [].concat(_expand_element(cd, key, [].concat(value[index]), paramd)).forEach(function (item) {
+                    if (!_has(item, "@index")) {
+                        item["@index"] = index;
+                    }
+
+                    evalue.push(item);
+                });
+            });
+        } else {
+            evalue = _expand_element(cd, key, value, paramd);
+        }
+
+        if (evalue === null) {
+            return;
+        }
+
+        if ((td.container === "@list") && !_is_list(evalue)) {
+            evalue = {
+                "@list": _.is.Array(evalue) ? evalue : [ evalue ],
+            };
+        }
+
+        resultd[eproperty] = (resultd[eproperty] || []).concat(evalue);
+    });
+
+    if (_has(resultd, "@value")) {
+        if (resultd["@value"] === null) {
+            return null;
+        }
+    } else if (_has(resultd, "@type") && !_.is.Array(resultd["@type"])) {
+        resultd["@type"] = [ resultd["@type"] ];
+    }
+
+    if (_has(resultd, "@set")) {
+        return resultd["@set"];
+    }
+
+    var keys = _.keys(resultd);
+    if ((keys.length === 1) && _has(resultd, "@language")) {
+        return null;
+    }
+
+    // free-floating values and references
+    if ((property === null) || (property === "@graph")) {
+        if ((keys.length === 0) || _has(resultd, "@value") || _has(resultd, "@list")) {
+            return null;
+        } else if ((keys.length === 1) && _has(resultd, "@id")) {
+            return null;
+        }
+    }
+
+    return resultd;
+};
+
+/**
+ *  Expand a JSON-LD document. This always returns an
+ *  Array of node objects with full IRIs.
+ *
+ *  @param {dictionary|array} document
+ *  @param {dictionary} paramd
+ *  @param {string} paramd.base
+ *  Document IRI, if the document doesn't have @base
+ *
+ *  @param {*} paramd.context
+ *  An extra context to apply before the document's own
+ *
+ *  @param {boolean} paramd.namespace
+ *  Known prefixes like "iot:" work without being
+ *  declared (default true)
+ */
+var _jsonld_expand = function (document, paramd) {
+    paramd = _.defaults(paramd, {
+        base: null,
+        context: null,
+        namespace: true,
+    });
+
+    var cd = _initial_context(paramd);
+    if (paramd.context) {
+        cd = _process_context(cd, paramd.context, paramd, []);
+    }
+
+    var result = _expand_element(cd, null, _.d.clone.deep(document), paramd);
+    if (_.is.Dictionary(result) && (_.keys(result).length === 1) && _has(result, "@graph")) {
+        result = result["@graph"];
+    }
+
+    if (result === null) {
+        return [];
+    } else if (!_.is.Array(result)) {
+        return [ result ];
+    }
+
+    return result;
+};
+
+/*
+ *  How well term definition 'td' fits an expanded value,
+ *  -1 meaning not at all. A value of undefined is just
+ *  looking for a name (e.g. for a keyword alias)
+ */
+var _term_score = function (td, value) {
+    if (value === undefined) {
+        return (td.container || td.type || (td.language !== undefined)) ? 0 : 1;
+    } else if (_is_list(value)) {
+        if (td.container === "@list") {
+            return 3;
+        }
+
+        return (td.container || td.type || (td.language !== undefined)) ? -1 : 0;
+    } else if (td.container === "@list") {
+        return -1;
+    } else if (td.container === "@language") {
+        return (_has(value, "@language") && !_has(value, "@type")) ? 3 : -1;
+    } else if (td.container === "@index") {
+        return _has(value, "@index") ? 3 : -1;
+    } else if (_has(value, "@index")) {
+        return -1;
+    }
+
+    if ((td.type === "@id") || (td.type === "@vocab")) {
+        if (_has(value, "@value")) {
+            return -1;
+        }
+
+        return _is_node_reference(value) ? 2 : 1;
+    } else if (td.type) {
+        return (value["@type"] === td.type) ? 2 : -1;
+    } else if (td.language !== undefined) {
+        if (!_has(value, "@value") || _has(value, "@type") || !_.is.String(value["@value"])) {
+            return -1;
+        }
+
+        return ((value["@language"] || null) === td.language) ? 2 : -1;
+    }
+
+    return 1;
+};
+
+var _select_term = function (cd, iri, value) {
+    var best = null;
+    var best_score = -1;
+
+    _.keys(cd.termd).forEach(function (term) {
+        var td = cd.termd[term];
+        if (!td || (td.id !== iri)) {
+            return;
+        }
+
+        var score = _term_score(td, value);
+        if (score < 0) {
+            return;
+        } else if ((best === null) || (score > best_score) ||
+            ((score === best_score) && ((term.length < best.length) || ((term.length === best.length) && (term < best))))) {
+            best = term;
+            best_score = score;
+        }
+    });
+
+    return best;
+};
+
+/**
+ *  paramd.vocab: use terms and @vocab, otherwise
+ *  make it relative to @base
+ *  paramd.value: the value, to pick the best term
+ */
+var _compact_iri = function (cd, iri, paramd) {
+    if (!_.is.String(iri)) {
+        return iri;
+    }
+
+    if (paramd.vocab) {
+        var term = _select_term(cd, iri, paramd.value);
+        if (term !== null) {
+            return term;
+        }
+
+        if (cd.vocab && (iri.indexOf(cd.vocab) === 0) && (iri.length > cd.vocab.length)) {
+            var suffix = iri.substring(cd.vocab.length);
+            if (!_has(cd.termd, suffix)) {
+                return suffix;
+            }
+        }
+    }
+
+    if (_is_keyword(iri)) {
+        return iri;
+    }
+
+    var best = null;
+    _.keys(cd.termd).forEach(function (prefix) {
+        var td = cd.termd[prefix];
+        if (!td || !td.id || (td.id === iri) || (prefix.indexOf(":") > -1) || (iri.indexOf(td.id) !== 0)) {
+            return;
+        }
+
+        var candidate = prefix + ":" + iri.substring(td.id.length);
+        if (_has(cd.termd, candidate)) {
+            return;
+        } else if ((best === null) || (candidate.length < best.length) ||
+            ((candidate.length === best.length) && (candidate < best))) {
+            best = candidate;
+        }
+    });
+
+    if (best !== null) {
+        return best;
+    }
+
+    if (!paramd.vocab && cd.base && (iri.indexOf(cd.base) === 0)) {
+        var relative = iri.substring(cd.base.length);
+        if ((relative === "") || relative.match(/^[#?]/) || cd.base.match(/\/$/)) {
+            return relative;
+        }
+    }
+
+    return iri;
+};
+
+/*
+ *  A value object or node reference as a plain
+ *  value, or undefined if it can't be
+ */
+var _compact_value = function (cd, property, element) {
+    var td = _term(cd, property) || {};
+
+    if (_has(element, "@index") && (td.container !== "@index")) {
+        return undefined;
+    }
+
+    if (_is_node_reference(element)) {
+        if (td.type === "@id") {
+            return _compact_iri(cd, element["@id"], {});
+        } else if (td.type === "@vocab") {
+            return _compact_iri(cd, element["@id"], { vocab: true });
+        }
+
+        return undefined;
+    } else if (!_has(element, "@value")) {
+        return undefined;
+    }
+
+    var value = element["@value"];
+
+    if (_has(element, "@type")) {
+        return (element["@type"] === td.type) ? value : undefined;
+    } else if (_has(element, "@language")) {
+        if (td.container === "@language") {
+            return value;
+        } else if (td.language !== undefined) {
+            return (td.language === element["@language"]) ? value : undefined;
+        } else if (!td.type && (cd.language === element["@language"])) {
+            return value;
+        }
+
+        return undefined;
+    } else if (td.type) {
+        return undefined;
+    } else if (!_.is.String(value)) {
+        return value;
+    } else if (td.language === null) {
+        return value;
+    } else if ((td.language === undefined) && !cd.language) {
+        return value;
+    }
+
+    return undefined;
+};
+
+var _add_value = function (d, key, value, as_array) {
+    if (!_has(d, key)) {
+        d[key] = as_array ? [ value ] : value;
+    } else if (_.is.Array(d[key])) {
+        d[key].push(value);
+    } else {
+        d[key] = [ d[key], value ];
+    }
+};
+
+var _compact_element = function (cd, property, element, paramd) {
+    var td = _term(cd, property) || {};
+
+    if (_.is.Array(element)) {
+        var results = [];
+        element.forEach(function (item) {
+            var compacted = _compact_element(cd, property, item, paramd);
+            if (compacted !== null) {
+                results.push(compacted);
+            }
+        });
+
+        if (paramd.compact_arrays && (results.length === 1) &&
+            (td.container !== "@list") && (td.container !== "@set") && (property !== "@graph")) {
+            return results[0];
+        }
+
+        return results;
+    } else if (!_.is.Dictionary(element)) {
+        return element;
+    }
+
+    var value = _compact_value(cd, property, element);
+    if (value !== undefined) {
+        return value;
+    }
+
+    if (_is_list(element) && (td.container === "@list")) {
+        return _compact_element(cd, property, element["@list"], _.defaults({ compact_arrays: false }, paramd));
+    }
+
+    var resultd = {};
+
+    _.keys(element).forEach(function (key) {
+        var evalue = element[key];
+        var alias = _compact_iri(cd, key, { vocab: true });
+
+        if (key === "@id") {
+            resultd[alias] = _compact_iri(cd, evalue, {});
+        } else if (key === "@type") {
+            var types = _.map([].concat(evalue), function (type) {
+                return _compact_iri(cd, type, { vocab: true });
+            });
+
+            resultd[alias] = ((types.length === 1) && paramd.compact_arrays) ? types[0] : types;
+        } else if (key === "@graph") {
+            resultd[alias] = _compact_element(cd, "@graph", evalue, paramd);
+        } else if (key === "@list") {
+            resultd[alias] = _compact_element(cd, property, evalue, _.defaults({ compact_arrays: false }, paramd));
+        } else if (_is_keyword(key)) {
+            resultd[alias] = evalue;
+        } else if (_.is.Array(evalue) && (evalue.length === 0)) {
+            resultd[alias] = [];
+        } else {
+            [].concat(evalue).forEach(function (item) {
+                var term = _compact_iri(cd, key, { vocab: true, value: item });
+                var ttd = _term(cd, term) || {};
+                var compacted = _compact_element(cd, term, item, paramd);
+
+                if (ttd.container === "@language") {
+                    resultd[term] = resultd[term] || {};
+                    _add_value(resultd[term], item["@language"], compacted, !paramd.compact_arrays);
+                } else if (ttd.container === "@index") {
+                    resultd[term] = resultd[term] || {};
+                    _add_value(resultd[term], item["@index"], compacted, !paramd.compact_arrays);
+                } else if (ttd.container === "@list") {
+                    resultd[term] = compacted;
+                } else {
+                    _add_value(resultd, term, compacted, !paramd.compact_arrays || (ttd.container === "@set"));
+                }
+            });
+        }
+    });
+
+    return resultd;
+};
+
+/**
+ *  Compact a JSON-LD document (expanded or not)
+ *  using 'context', which is also put in the result.
+ *
+ *  @param {dictionary|array} document
+ *  @param {*} context
+ *  A context dictionary, array or cached IRI
+ *
+ *  @param {dictionary} paramd
+ *  @param {string} paramd.base
+ *  @param {boolean} paramd.compact_arrays
+ *  Single values aren't put in arrays (default true)
+ *
+ *  @param {boolean} paramd.namespace
+ *  Known prefixes like "iot:" are used even if
+ *  'context' doesn't declare them (default false)
+ */
+var _jsonld_compact = function (document, context, paramd) {
+    paramd = _.defaults(paramd, {
+        base: null,
+        compact_arrays: true,
+        namespace: false,
+    });
+
+    if (_.is.Dictionary(context) && _has(context, "@context")) {
+        context = context["@context"];
+    }
+
+    var cd = _initial_context(paramd);
+    if (context) {
+        cd = _process_context(cd, context, paramd, []);
+    }
+
+    var expanded = _jsonld_expand(document, {
+        base: paramd.base,
+    });
+
+    var result = _compact_element(cd, null, expanded, paramd);
+    if (_.is.Array(result)) {
+        var graphd = {};
+        if (result.length) {
+            graphd[_compact_iri(cd, "@graph", { vocab: true })] = result;
+        }
+
+        result = graphd;
+    }
+
+    if (context && !_.isEmpty(context)) {
+        result = _.extend({
+            "@context": context,
+        }, result);
+    }
+
+    return result;
+};
+
 exports.ld = {
     namespace: _namespace,
     compact: _ld_compact,
@@ -396,4 +1350,14 @@ exports.ld = {
 
     intersects: ld_intersects,
     intersection: ld_intersection,
+
+    jsonld: {
+        expand: _jsonld_expand,
+        compact: _jsonld_compact,
+    },
+    context: {
+        add: _context_add,
+        get: _context_get,
+        remove: _context_remove,
+    },
 };
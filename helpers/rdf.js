@@ -0,0 +1,448 @@
+/*
+ *  rdf.js
+ *
+ *  David Janes
+ *  IOTDB.org
+ *  2016-06-20
+ *
+ *  Turn JSON-LD (e.g. from Model.jsonld) into RDF
+ *  triples, as N-Triples or Turtle
+ *
+ *  Copyright [2013-2016] [David P. Janes]
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+"use strict";
+
+var _ = require("../helpers");
+
+var RDF = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+var XSD = "http://www.w3.org/2001/XMLSchema#";
+
+var RDF_TYPE = RDF + "type";
+var RDF_FIRST = RDF + "first";
+var RDF_REST = RDF + "rest";
+var RDF_NIL = RDF + "nil";
+
+var XSD_STRING = XSD + "string";
+var XSD_BOOLEAN = XSD + "boolean";
+var XSD_INTEGER = XSD + "integer";
+var XSD_DOUBLE = XSD + "double";
+
+var FORMATS = [ "turtle", "ntriples" ];
+
+var _iri = function (value) {
+    return {
+        type: "iri",
+        value: value,
+    };
+};
+
+var _is_absolute = function (iri) {
+    return _.is.String(iri) && !!iri.match(/^[a-z][-a-z0-9+.]*:/i);
+};
+
+/*
+ *  String values in a known namespace are IRIs -
+ *  Model.jsonld writes e.g. iot:type values as plain strings,
+ *  and metadata often has them compacted
+ */
+var _namespaced = function (value) {
+    if (value.match(/\s/)) {
+        return null;
+    }
+
+    var expanded = _.ld.expand(value);
+    var known = _.keys(_.ld.namespace).some(function (prefix) {
+        var iri = _.ld.namespace[prefix];
+        return (expanded.length > iri.length) && (expanded.substring(0, iri.length) === iri);
+    });
+
+    return known ? expanded : null;
+};
+
+var _double = function (value) {
+    return value.toExponential()
+        .replace(/e\+?/, "E")
+        .replace(/^(-?\d)E/, "$1.0E");
+};
+
+var _literal = function (valued, paramd) {
+    var value = valued["@value"];
+
+    if (valued["@type"]) {
+        return {
+            type: "literal",
+            value: String(value),
+            datatype: valued["@type"],
+        };
+    } else if (_.is.Boolean(value)) {
+        return {
+            type: "literal",
+            value: value ? "true" : "false",
+            datatype: XSD_BOOLEAN,
+        };
+    } else if (_.is.Number(value)) {
+        if ((value % 1 === 0) && (Math.abs(value) < 1e21)) {
+            return {
+                type: "literal",
+                value: value.toFixed(0),
+                datatype: XSD_INTEGER,
+            };
+        }
+
+        return {
+            type: "literal",
+            value: _double(value),
+            datatype: XSD_DOUBLE,
+        };
+    } else if (valued["@language"]) {
+        return {
+            type: "literal",
+            value: String(value),
+            language: valued["@language"],
+        };
+    }
+
+    var iri = (paramd.iris && _.is.String(value)) ? _namespaced(value) : null;
+    if (iri) {
+        return _iri(iri);
+    }
+
+    return {
+        type: "literal",
+        value: String(value),
+        datatype: XSD_STRING,
+    };
+};
+
+var _escape = function (value) {
+    return value
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, "\\n")
+        .replace(/\r/g, "\\r")
+        .replace(/\t/g, "\\t");
+};
+
+var _escape_iri = function (value) {
+    return value.replace(/[\u0000- <>"{}|^`\\]/g, function (c) {
+        return "\\u" + ("000" + c.charCodeAt(0).toString(16).toUpperCase()).slice(-4);
+    });
+};
+
+var _nterm = function (term) {
+    if (term.type === "iri") {
+        return "<" + _escape_iri(term.value) + ">";
+    } else if (term.type === "blank") {
+        return "_:" + term.value;
+    } else if (term.language) {
+        return '"' + _escape(term.value) + '"@' + term.language;
+    } else if (term.datatype && (term.datatype !== XSD_STRING)) {
+        return '"' + _escape(term.value) + '"^^<' + _escape_iri(term.datatype) + ">";
+    } else {
+        return '"' + _escape(term.value) + '"';
+    }
+};
+
+var _ntriple = function (triple) {
+    return _nterm(triple.subject) + " " + _nterm(triple.predicate) + " " + _nterm(triple.object) + " .";
+};
+
+/**
+ *  Return the RDF triples in a JSON-LD document, as
+ *  <code>{ subject, predicate, object }</code>, each being
+ *  <code>{ type: "iri"|"blank"|"literal", value }</code>.
+ *  Literals also have a datatype or language.
+ *
+ *  @param {dictionary|array} document
+ *  @param {dictionary} paramd
+ *  @param {string} paramd.base
+ *  @param {boolean} paramd.iris
+ *  Strings in a known namespace are IRIs (default true)
+ */
+var triples = function (document, paramd) {
+    paramd = _.defaults(paramd, {
+        base: null,
+        iris: true,
+    });
+
+    var results = [];
+    var seend = {};
+    var blanks = 0;
+    var blankd = {};
+    var _object, _list, _node;
+
+    // blank nodes from the document and new ones share one set of labels
+    var _blank = function (label) {
+        if (label && blankd[label]) {
+            return blankd[label];
+        }
+
+        var blank = {
+            type: "blank",
+            value: "b" + (blanks++),
+        };
+        if (label) {
+            blankd[label] = blank;
+        }
+
+        return blank;
+    };
+
+    var _add = function (subject, predicate, object) {
+        if ((subject.type === "iri") && !_is_absolute(subject.value)) {
+            return;
+        } else if (!_is_absolute(predicate.value)) {
+            return;
+        } else if ((object.type === "iri") && !_is_absolute(object.value)) {
+            return;
+        }
+
+        var triple = {
+            subject: subject,
+            predicate: predicate,
+            object: object,
+        };
+
+        var line = _ntriple(triple);
+        if (!seend[line]) {
+            seend[line] = true;
+            results.push(triple);
+        }
+    };
+
+    _object = function (value) {
+        if (!_.is.Dictionary(value)) {
+            return null;
+        } else if (value["@list"] !== undefined) {
+            return _list(value["@list"]);
+        } else if (value["@value"] !== undefined) {
+            return _literal(value, paramd);
+        } else {
+            return _node(value);
+        }
+    };
+
+    _list = function (items) {
+        if (items.length === 0) {
+            return _iri(RDF_NIL);
+        }
+
+        var head = _blank();
+        var current = head;
+
+        items.forEach(function (item, index) {
+            var object = _object(item);
+            if (object) {
+                _add(current, _iri(RDF_FIRST), object);
+            }
+
+            var next = (index === items.length - 1) ? _iri(RDF_NIL) : _blank();
+            _add(current, _iri(RDF_REST), next);
+            current = next;
+        });
+
+        return head;
+    };
+
+    _node = function (noded) {
+        var subject;
+        if (!noded["@id"]) {
+            subject = _blank();
+        } else if (noded["@id"].substring(0, 2) === "_:") {
+            subject = _blank(noded["@id"]);
+        } else {
+            subject = _iri(noded["@id"]);
+        }
+
+        (noded["@type"] || []).forEach(function (type) {
+            _add(subject, _iri(RDF_TYPE), _iri(type));
+        });
+
+        _.keys(noded).forEach(function (key) {
+            if (key === "@graph") {
+                noded[key].forEach(_node);
+                return;
+            } else if (key.charAt(0) === "@") {
+                return;
+            }
+
+            noded[key].forEach(function (value) {
+                var object = _object(value);
+                if (object) {
+                    _add(subject, _iri(key), object);
+                }
+            });
+        });
+
+        return subject;
+    };
+
+    _.ld.jsonld.expand(document, {
+        base: paramd.base,
+    }).forEach(_node);
+
+    return results;
+};
+
+/**
+ *  Triples as N-Triples, one per line
+ */
+var ntriples = function (triples) {
+    return triples.map(function (triple) {
+        return _ntriple(triple) + "\n";
+    }).join("");
+};
+
+/*
+ *  The shortest prefixed name for an IRI,
+ *  or null if none is safe to use in Turtle
+ */
+var _prefixed = function (iri, usedd) {
+    var best = null;
+
+    _.keys(_.ld.namespace).forEach(function (prefix) {
+        var namespace = _.ld.namespace[prefix];
+        if (iri.substring(0, namespace.length) !== namespace) {
+            return;
+        }
+
+        var local = iri.substring(namespace.length);
+        if (!local.match(/^[A-Za-z0-9_]([-A-Za-z0-9_.]*[-A-Za-z0-9_])?$/)) {
+            return;
+        }
+
+        var candidate = prefix + ":" + local;
+        if ((best === null) || (candidate.length < best.length)) {
+            best = candidate;
+        }
+    });
+
+    if (best !== null) {
+        usedd[best.replace(/:.*$/, "")] = true;
+    }
+
+    return best;
+};
+
+var _tterm = function (term, usedd) {
+    if (term.type === "iri") {
+        return _prefixed(term.value, usedd) || _nterm(term);
+    } else if (term.type !== "literal") {
+        return _nterm(term);
+    } else if (term.datatype === XSD_INTEGER) {
+        return term.value;
+    } else if (term.datatype === XSD_BOOLEAN) {
+        return term.value;
+    } else if ((term.datatype === XSD_DOUBLE) && term.value.match(/^-?\d+\.\d+E-?\d+$/)) {
+        return term.value;
+    } else if (term.datatype && !term.language && (term.datatype !== XSD_STRING)) {
+        var datatype = _prefixed(term.datatype, usedd) || _nterm(_iri(term.datatype));
+        return '"' + _escape(term.value) + '"^^' + datatype;
+    } else {
+        return _nterm(term);
+    }
+};
+
+/**
+ *  Triples as Turtle, grouped by subject, using
+ *  the prefixes from _.ld.namespace
+ */
+var turtle = function (triples) {
+    var usedd = {};
+    var subjects = [];
+    var subjectd = {};
+
+    triples.forEach(function (triple) {
+        var subject = _tterm(triple.subject, usedd);
+        var predicate = (triple.predicate.value === RDF_TYPE) ? "a" : _tterm(triple.predicate, usedd);
+        var object = _tterm(triple.object, usedd);
+
+        var predicated = subjectd[subject];
+        if (!predicated) {
+            predicated = subjectd[subject] = {
+                predicates: [],
+                objectsd: {},
+            };
+            subjects.push(subject);
+        }
+
+        if (!predicated.objectsd[predicate]) {
+            predicated.objectsd[predicate] = [];
+            predicated.predicates.push(predicate);
+        }
+
+        predicated.objectsd[predicate].push(object);
+    });
+
+    var lines = [];
+
+    _.keys(usedd).sort().forEach(function (prefix) {
+        lines.push("@prefix " + prefix + ": <" + _escape_iri(_.ld.namespace[prefix]) + "> .");
+    });
+
+    subjects.forEach(function (subject) {
+        var predicated = subjectd[subject];
+
+        lines.push("");
+        predicated.predicates.forEach(function (predicate, index) {
+            var line = (index === 0) ? subject + " " : "    ";
+            line += predicate + " " + predicated.objectsd[predicate].join(", ");
+            line += (index === predicated.predicates.length - 1) ? " ." : " ;";
+
+            lines.push(line);
+        });
+    });
+
+    if (lines.length && (lines[0] === "")) {
+        lines.shift();
+    }
+
+    return lines.length ? lines.join("\n") + "\n" : "";
+};
+
+/**
+ *  A JSON-LD document as RDF.
+ *
+ *  @param {dictionary|array} document
+ *  @param {dictionary} paramd
+ *  @param {string} paramd.format
+ *  "turtle" (the default) or "ntriples".
+ *  Other paramd values are passed to triples()
+ */
+var serialize = function (document, paramd) {
+    paramd = _.defaults(paramd, {
+        format: "turtle",
+    });
+
+    if (FORMATS.indexOf(paramd.format) === -1) {
+        throw new Error("_.rdf.serialize: 'format' must be one of " + FORMATS.join(", ") + ", not: " + paramd.format);
+    }
+
+    var ts = triples(document, paramd);
+    if (paramd.format === "ntriples") {
+        return ntriples(ts);
+    } else {
+        return turtle(ts);
+    }
+};
+
+exports.rdf = {
+    formats: FORMATS,
+    triples: triples,
+    ntriples: ntriples,
+    turtle: turtle,
+    serialize: serialize,
+};
@@ -27,13 +27,185 @@
 
 var _ = require("../helpers");
 
+/*
+ *  Hybrid logical clock mode - off by default.
+ *
+ *  When on, timestamps are the wall clock, a logical
+ *  counter and the node id, e.g.
+ *  "2016-06-20T12:00:00.000Z-0003-runner-a". These still
+ *  sort after plain ISO timestamps from the same millisecond.
+ *  Timestamps seen in updates move our clock forward,
+ *  so runners with skewed clocks don't drop each other's
+ *  writes; timestamps more than "skew" ms ahead of our
+ *  wall clock are rejected instead.
+ */
+var hlcd = null;
+
+var HLC_RE = /^(\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.\d{3}Z)(?:-(\d+)(?:-(.+))?)?$/;
+
+var _validate_hlc = function (paramd) {
+    if (!_.is.Dictionary(paramd)) {
+        throw new Error("_.timestamp.hlc: 'paramd' must be a Dictionary or null, not: " + paramd);
+    }
+    if ((paramd.node_id !== undefined) && (!_.is.String(paramd.node_id) || !paramd.node_id.length)) {
+        throw new Error("_.timestamp.hlc: 'node_id' must be a non-empty String, not: " + paramd.node_id);
+    }
+    if ((paramd.skew !== undefined) && (!_.is.Number(paramd.skew) || (paramd.skew < 0))) {
+        throw new Error("_.timestamp.hlc: 'skew' must be a non-negative Number, not: " + paramd.skew);
+    }
+};
+
+/**
+ *  Turn on hybrid logical clock timestamps.
+ *
+ *  @param {dictionary|null} paramd
+ *  @param {string} paramd.node_id
+ *  Breaks ties between runners, random by default
+ *
+ *  @param {number} paramd.skew
+ *  How far ahead of our clock (in ms) a timestamp
+ *  may be and still be accepted, default 60 seconds
+ *
+ *  Pass null to turn it off. With no arguments, return
+ *  the current settings (or null)
+ */
+var hlc = function (paramd) {
+    if (arguments.length === 0) {
+        return hlcd ? { node_id: hlcd.node_id, skew: hlcd.skew } : null;
+    } else if (paramd === null) {
+        hlcd = null;
+        return;
+    }
+
+    _validate_hlc(paramd);
+
+    paramd = _.defaults(paramd, {
+        node_id: _.random.id(8),
+        skew: 60 * 1000,
+    });
+
+    hlcd = {
+        node_id: paramd.node_id,
+        skew: paramd.skew,
+        physical: 0,
+        counter: 0,
+    };
+};
+
+/**
+ *  Break a timestamp into { physical, counter, node_id }.
+ *  Plain ISO timestamps have counter 0 and no node_id.
+ *  Returns null if it's not a timestamp
+ */
+var parse = function (value) {
+    if (!_.is.String(value)) {
+        return null;
+    }
+
+    var match = value.match(HLC_RE);
+    if (!match) {
+        return null;
+    }
+
+    var physical = Date.parse(match[1]);
+    if (isNaN(physical)) {
+        return null;
+    }
+
+    return {
+        physical: physical,
+        counter: match[2] ? parseInt(match[2], 10) : 0,
+        node_id: match[3] || "",
+    };
+};
+
+var _format = function (physical, counter, node_id) {
+    return (new Date(physical)).toISOString() +
+        "-" + ("000" + counter).slice(-Math.max(4, ("" + counter).length)) +
+        "-" + node_id;
+};
+
+/**
+ *  Order two timestamps: -1, 0 or 1. Falls back
+ *  to comparing strings if either can't be parsed
+ */
+var compare = function (a, b) {
+    var ad = parse(a);
+    var bd = parse(b);
+
+    if (!ad || !bd) {
+        return a < b ? -1 : (a > b ? 1 : 0);
+    } else if (ad.physical !== bd.physical) {
+        return ad.physical < bd.physical ? -1 : 1;
+    } else if (ad.counter !== bd.counter) {
+        return ad.counter < bd.counter ? -1 : 1;
+    } else if (ad.node_id !== bd.node_id) {
+        return ad.node_id < bd.node_id ? -1 : 1;
+    } else {
+        return 0;
+    }
+};
+
+var _too_far_ahead = function (parsed) {
+    return parsed.physical > Date.now() + hlcd.skew;
+};
+
+/**
+ *  In HLC mode, move our clock forward past a timestamp
+ *  we've seen from elsewhere. Returns true if the clock
+ *  was moved, false if not in HLC mode, the timestamp
+ *  couldn't be parsed or it is too far in the future.
+ */
+var receive = function (value) {
+    if (!hlcd) {
+        return false;
+    }
+
+    var rd = parse(value);
+    if (!rd || _too_far_ahead(rd)) {
+        return false;
+    }
+
+    var now = Date.now();
+    var physical = Math.max(hlcd.physical, rd.physical, now);
+
+    if ((physical === hlcd.physical) && (physical === rd.physical)) {
+        hlcd.counter = Math.max(hlcd.counter, rd.counter) + 1;
+    } else if (physical === hlcd.physical) {
+        hlcd.counter += 1;
+    } else if (physical === rd.physical) {
+        hlcd.counter = rd.counter + 1;
+    } else {
+        hlcd.counter = 0;
+    }
+
+    hlcd.physical = physical;
+
+    return true;
+};
+
 /**
  *  Return a timestamp in the standard format.
  *  Which just happens to be the JavaScript 
  *  ISOString format.
+ *
+ *  In HLC mode, this is a hybrid logical clock timestamp
+ *  that's always later than any other we've made or seen.
  */
 var timestamp = function () {
-    return (new Date()).toISOString();
+    if (!hlcd) {
+        return (new Date()).toISOString();
+    }
+
+    var now = Date.now();
+    if (now > hlcd.physical) {
+        hlcd.physical = now;
+        hlcd.counter = 0;
+    } else {
+        hlcd.counter += 1;
+    }
+
+    return _format(hlcd.physical, hlcd.counter, hlcd.node_id);
 };
 
 /**
@@ -43,6 +215,11 @@ var timestamp = function () {
  *  and use that
  */
 var advance = function (reference) {
+    if (hlcd) {
+        receive(reference);
+        return exports.timestamp.make();
+    }
+
     var now = exports.timestamp.make();
     if (!reference || !_.is.String(reference) || (reference < now)) {
         return now;
@@ -64,6 +241,13 @@ var check_values = function(otimestamp, ntimestamp) {
         return true;
     } else if (!ntimestamp && otimestamp) {
         return false;
+    } else if (hlcd) {
+        var nd = parse(ntimestamp);
+        if (nd && _too_far_ahead(nd)) {
+            return false;
+        }
+
+        return compare(ntimestamp, otimestamp) >= 0;
     } else if (ntimestamp < otimestamp) {
         return false;
     } else {
@@ -156,6 +340,10 @@ exports.timestamp = {
     add: add_timestamp,
     update: update_timestamp,
     epoch: epoch,
+    hlc: hlc,
+    parse: parse,
+    compare: compare,
+    receive: receive,
     check: {
         dictionary: check_dictionary,
         values: check_values,
@@ -187,6 +187,30 @@ _.id.thing_urn.set({
     machine_id: controller_machine,
 });
 
+/**
+ *  Register namespaces from the keystore, e.g.
+ *  <code>"namespaces": { "ind": "https://example.com/industrial#" }</code>
+ */
+var load_namespaces = function () {
+    _.mapObject(exports.keystore().get("/namespaces", {}) || {}, function (iri, prefix) {
+        try {
+            _.ld.namespace.register(prefix, iri);
+        } catch (x) {
+            logger.error({
+                method: "load_namespaces",
+                prefix: prefix,
+                iri: iri,
+                cause: "the keystore's namespace conflicts with an existing one",
+                error: _.error.message(x),
+            }, "namespace not registered");
+        }
+    });
+};
+
+load_namespaces();
+
+exports.load_namespaces = load_namespaces;
+
 
 /**
  *  Really HomeStar related, but having them in 
@@ -165,6 +165,8 @@ Meta.prototype.update = function (ind, paramd) {
 
     ind = _.ld.expand(ind);
 
+    _.timestamp.receive(in_timestamp);
+
     if (paramd.check_timestamp && !_.timestamp.check.dictionary(self._updated, ind)) {
         return;
     }
@@ -47,6 +47,185 @@ var EVENT_THINGS_CHANGED = "things_changed";
 var EVENT_THING_CHANGED = "state";
 var EVENT_META_CHANGED = "meta";
 var EVENT_CONNECTION_CHANGED = "connection";
+var EVENT_COMMAND_QUEUED = "queued";
+var EVENT_COMMAND_EXPIRED = "expired";
+var EVENT_COMMAND_REPLAYED = "replayed";
+var EVENT_COMMAND_CONFIRMED = "confirmed";
+var EVENT_COMMAND_DIVERGED = "diverged";
+var EVENT_ATTRIBUTE_STALE = "stale";
+
+var ORIGIN_UPDATE = "update";
+var ORIGIN_BRIDGE = "bridge";
+var ORIGIN_SET = "set";
+var ORIGIN_RESTORE = "restore";
+var ORIGIN_STALE = "stale";
+
+var SNAPSHOT_BANDS = ["istate", "ostate", "meta", "connection", "model", ];
+
+/**
+ *  The sub-model path of a code, e.g.
+ *  "oven" for "oven/temperature", or ""
+ */
+var _code_path = function (code) {
+    var slash = code.lastIndexOf("/");
+
+    return (slash === -1) ? "" : code.substring(0, slash);
+};
+
+var UNITS_KEY = "/homestar/runner/settings/units";
+var XSD_DATETIME = "http://www.w3.org/2001/XMLSchema#dateTime";
+
+var MAPPING_KEYS = ["@scale", "@offset", "@unit", "@invert", "@template", "@pull", "@push"];
+
+// gets rid of floating point noise from scaling, e.g. 255.00000000000003
+var _mapping_clean = function (value) {
+    return parseFloat(value.toPrecision(12));
+};
+
+var _mapping_template_regex = function (template) {
+    var parts = template.split("{value}").map(function (part) {
+        return part.replace(/[-\/\\^$*+?.()|[\]{}]/g, "\\$&");
+    });
+
+    return new RegExp("^" + parts.join("(.*)") + "$");
+};
+
+var _mapping_unit = function (value, from, to) {
+    if (!_.is.Number(value) || !from || !to) {
+        return value;
+    }
+
+    var result = _.convert.convert({
+        from: from,
+        to: to,
+        value: value,
+    });
+    if (result === null) {
+        logger.error({
+            method: "_mapping_unit",
+            from: from,
+            to: to,
+            value: value,
+            cause: "likely the binding",
+        }, "cannot convert units");
+
+        return undefined;
+    }
+
+    return result;
+};
+
+/**
+ *  A value pulled from the Bridge, to its Model value.
+ *  Undefined means drop it.
+ */
+var _mapping_pull = function (md, value, attribute) {
+    // reverse lookup in dictionary
+    var cvalue = _.ld.compact(value);
+    for (var mkey in md) {
+        if (mkey.match(/^@/)) {
+            continue;
+        }
+
+        var mvalue = md[mkey];
+        if ((mvalue === value) || (mvalue === cvalue)) {
+            return mkey;
+        }
+    }
+
+    if (md["@template"] && _.is.String(value)) {
+        var match = value.match(_mapping_template_regex(md["@template"]));
+        if (match) {
+            value = match[1];
+
+            if (attribute && _.is.Number(attribute.validate_value(value))) {
+                value = parseFloat(value);
+            }
+        }
+    }
+
+    if (md["@pull"]) {
+        value = md["@pull"](value, attribute);
+    }
+
+    if (md["@unit"] && attribute) {
+        value = _mapping_unit(value, md["@unit"], attribute.unit());
+    }
+
+    if (_.is.Number(value) && ((md["@scale"] !== undefined) || (md["@offset"] !== undefined))) {
+        value = _mapping_clean(value * _.d.get(md, "@scale", 1) + _.d.get(md, "@offset", 0));
+    }
+
+    if (md["@invert"] && _.is.Boolean(value)) {
+        value = !value;
+    }
+
+    return value;
+};
+
+/**
+ *  A Model value, to the value pushed to the Bridge.
+ *  The reverse of _mapping_pull. Undefined means drop it.
+ */
+var _mapping_push = function (md, value, attribute) {
+    var v = md[value];
+    if (v === undefined) {
+        v = md[_.ld.compact(value)];
+    }
+    if ((v !== undefined) && !(_.is.String(value) && value.match(/^@/))) {
+        return v;
+    }
+
+    if (md["@invert"] && _.is.Boolean(value)) {
+        value = !value;
+    }
+
+    if (_.is.Number(value) && ((md["@scale"] !== undefined) || (md["@offset"] !== undefined))) {
+        value = _mapping_clean((value - _.d.get(md, "@offset", 0)) / _.d.get(md, "@scale", 1));
+    }
+
+    if (md["@unit"]) {
+        value = _mapping_unit(value, attribute.unit(), md["@unit"]);
+    }
+
+    if (md["@push"] && (value !== undefined)) {
+        value = md["@push"](value, attribute);
+    }
+
+    if (md["@template"] && (value !== undefined) && (value !== null)) {
+        value = md["@template"].split("{value}").join(String(value));
+    }
+
+    return value;
+};
+
+var FILTER_KEYS = ["average", "median", "round", "deadband", "min_interval", "debounce"];
+
+var _filter_average = function (values) {
+    return values.reduce(function (sum, value) {
+        return sum + value;
+    }, 0) / values.length;
+};
+
+var _filter_median = function (values) {
+    var sorteds = values.slice().sort(function (a, b) {
+        return a - b;
+    });
+    var middle = Math.floor(sorteds.length / 2);
+
+    if (sorteds.length % 2) {
+        return sorteds[middle];
+    } else {
+        return (sorteds[middle - 1] + sorteds[middle]) / 2;
+    }
+};
+
+// toFixed gets rid of floating point noise, e.g. 0.30000000000000004
+var _filter_round = function (value, precision) {
+    var decimals = (String(precision).split(".")[1] || "").length;
+
+    return parseFloat((Math.round(value / precision) * precision).toFixed(decimals));
+};
 
 
 /**
@@ -290,6 +469,14 @@ Model.prototype._state_connection = function () {
         stated["iot:reachable"] = false;
     }
 
+    if (!_.isEmpty(self.__divergedd)) {
+        stated["iot:diverged"] = _.keys(self.__divergedd);
+    }
+
+    if (!_.isEmpty(self.__staled)) {
+        stated["iot:stale"] = _.keys(self.__staled);
+    }
+
     _.extend(stated, iotdb.controller_meta());
 
     return _.ld.compact(stated);
@@ -354,6 +541,116 @@ Model.prototype._validate_state = function (band) {
     }
 };
 
+/**
+ *  Return all the bands of this Thing in one
+ *  serializable document, e.g. for saving
+ *  and {@link Thing#restore restoring} later.
+ *  Each band has its own <code>@timestamp</code>
+ *
+ *  @return {dictionary}
+ *  <code>istate</code>, <code>ostate</code>, <code>meta</code>,
+ *  <code>connection</code> and <code>model</code> bands
+ */
+Model.prototype.snapshot = function () {
+    var self = this;
+
+    var snapshotd = {
+        "@timestamp": _.timestamp.make(),
+    };
+
+    SNAPSHOT_BANDS.map(function (band) {
+        snapshotd[band] = _.d.clone.deep(self.state(band));
+    });
+
+    return snapshotd;
+};
+
+/**
+ *  Feed a {@link Thing#snapshot snapshot} back into
+ *  this Thing using {@link Thing#update Model.update}.
+ *  Bands older than what the Thing already
+ *  has are ignored.
+ *
+ *  <p>
+ *  Restoring "ostate" will push to the Bridge.
+ *  The "connection" and "model" bands cannot be restored.
+ *
+ *  @param {dictionary} snapshotd
+ *  From {@link Thing#snapshot Model.snapshot}
+ *
+ *  @param {array} paramd.bands
+ *  The bands to restore, default istate, ostate and meta
+ *
+ *  @return {this}
+ */
+Model.prototype.restore = function (snapshotd, paramd) {
+    var self = this;
+
+    paramd = _.defaults(paramd, {
+        bands: ["istate", "ostate", "meta"],
+    });
+
+    self._validate_restore(snapshotd, paramd);
+
+    var model_id = snapshotd.meta ? _.ld.first(_.ld.expand(snapshotd.meta), constants.iot_model_id) : null;
+    if (model_id && (model_id !== self.code())) {
+        throw new Error("Model.restore: snapshot is for model '" + model_id + "', not '" + self.code() + "'");
+    }
+
+    self.transaction(function () {
+        if ((paramd.bands.indexOf("istate") !== -1) && snapshotd.istate) {
+            self.update("istate", snapshotd.istate, {
+                check_timestamp: true,
+                origin: ORIGIN_RESTORE,
+            });
+        }
+
+        if ((paramd.bands.indexOf("ostate") !== -1) && snapshotd.ostate) {
+            // null means 'nothing requested'
+            var ostated = _.d.clone.shallow(snapshotd.ostate);
+            _.keys(ostated).map(function (key) {
+                if (ostated[key] === null) {
+                    delete ostated[key];
+                }
+            });
+
+            self.update("ostate", ostated, {
+                check_timestamp: true,
+                origin: ORIGIN_RESTORE,
+            });
+        }
+
+        if ((paramd.bands.indexOf("meta") !== -1) && snapshotd.meta) {
+            // identity comes from the Thing, not the snapshot
+            var metad = _.ld.expand(snapshotd.meta);
+            delete metad[constants.iot_thing_id];
+            delete metad[constants.iot_model_id];
+
+            self.update("meta", metad, {
+                check_timestamp: true,
+                set_timestamp: true,
+            });
+        }
+    });
+
+    return self;
+};
+
+Model.prototype._validate_restore = function (snapshotd, paramd) {
+    if (!_.is.Dictionary(snapshotd)) {
+        throw new Error("Model.restore: 'snapshotd' must be a Dictionary, not: " + snapshotd);
+    }
+    if (!_.is.Array(paramd.bands)) {
+        throw new Error("Model.restore: 'paramd.bands' must be an Array, not: " + paramd.bands);
+    }
+
+    paramd.bands.map(function (band) {
+        if (["istate", "ostate", "meta"].indexOf(band) === -1) {
+            throw new Error("Model.restore: cannot restore band: " + band);
+        }
+    });
+};
+
 /**
  */
 Model.prototype.attributes = function () {
@@ -377,8 +674,6 @@ Model.prototype.attributes = function () {
  */
 Model.prototype.jsonld = function (paramd) {
     var self = this;
-    var key;
-    var value;
     var cd;
 
     paramd = (paramd !== undefined) ? paramd : {};
@@ -433,19 +728,58 @@ Model.prototype.jsonld = function (paramd) {
     }
 
     // attributes
+    var ads = self._jsonld_attributes("", paramd, nss);
+    if (ads.length > 0) {
+        rd[constants.iot_attribute] = ads;
+        nss["iot-purpose"] = true;
+    }
+
+    // sub-models
+    var sds = self._jsonld_submodels("", paramd, nss);
+    if (sds.length > 0) {
+        rd[constants.iot_submodel] = sds;
+    }
+
+    cd = rd["@context"];
+    if (cd) {
+        _.extend(nss, _.ld.namespace.used(rd));
+
+        for (var nkey in nss) {
+            var ns = _.ld.namespace[nkey];
+            if (ns) {
+                cd[nkey] = ns;
+            }
+        }
+    }
+
+    return rd;
+};
+
+/**
+ *  The JSON-LD of the attributes of the sub-model at path
+ *
+ *  @protected
+ */
+Model.prototype._jsonld_attributes = function (path, paramd, nss) {
+    var self = this;
+
     var ads = [];
     var attributes = self.attributes();
     for (var ax in attributes) {
         var attribute = attributes[ax];
+        if (_code_path(attribute.code()) !== path) {
+            continue;
+        }
+
         var ad = {};
         ads.push(ad);
 
-        for (key in attribute) {
+        for (var key in attribute) {
             if (!attribute.hasOwnProperty(key)) {
                 continue;
             }
 
-            value = attribute[key];
+            var value = attribute[key];
             if (value === undefined) {} else if (_.is.Function(value)) {} else if (key.match(/^_/)) {} else if (key === "@id") {
                 ad[key] = "#" + paramd.path + value.substring(1);
             } else {
@@ -454,22 +788,162 @@ Model.prototype.jsonld = function (paramd) {
             }
         }
     }
-    if (ads.length > 0) {
-        rd[constants.iot_attribute] = ads;
-        nss["iot-purpose"] = true;
+
+    return ads;
+};
+
+/**
+ *  The JSON-LD of the sub-models directly inside the sub-model at path
+ *
+ *  @protected
+ */
+Model.prototype._jsonld_submodels = function (path, paramd, nss) {
+    var self = this;
+
+    return self.__submodels
+        .filter(function (submodel) {
+            return _code_path(submodel.code) === path;
+        })
+        .map(function (submodel) {
+            var sd = {};
+            sd["@id"] = "#" + paramd.path + submodel.code;
+            sd["@type"] = constants.iot_Model;
+
+            if (!_.is.Empty(submodel.name)) {
+                sd[constants.schema_name] = submodel.name;
+            }
+            if (!_.is.Empty(submodel.description)) {
+                sd[constants.schema_description] = submodel.description;
+            }
+
+            var ads = self._jsonld_attributes(submodel.code, paramd, nss);
+            if (ads.length > 0) {
+                sd[constants.iot_attribute] = ads;
+            }
+
+            var sds = self._jsonld_submodels(submodel.code, paramd, nss);
+            if (sds.length > 0) {
+                sd[constants.iot_submodel] = sds;
+            }
+
+            return sd;
+        });
+};
+
+/**
+ *  Return this thing as RDF: the model definition
+ *  from {@link Thing#jsonld Model.jsonld}, plus a node for
+ *  the Thing with its meta, istate and ostate.
+ *
+ *  <p>
+ *  State values use the attribute IRIs
+ *  from the model, e.g. <code>&lt;file:///code#on&gt;</code>
+ *
+ *  @param {dictionary} paramd
+ *  @param {string} paramd.format
+ *  "turtle" (the default) or "ntriples"
+ *
+ *  @param {url} paramd.base
+ *  Base URL, otherwise 'file:///<code>'
+ *
+ *  @param {array} paramd.bands
+ *  The bands to include, default meta, istate and ostate
+ *
+ *  @return {string}
+ */
+Model.prototype.rdf = function (paramd) {
+    var self = this;
+
+    paramd = _.defaults(paramd, {
+        format: "turtle",
+        base: "file:///" + self.code(),
+        bands: ["meta", "istate", "ostate"],
+    });
+
+    self._validate_rdf(paramd);
+
+    // a Thing without an id is a blank node
+    var thing_id = self.thing_id();
+    var td = {
+        "@type": constants.iot_Thing,
+    };
+    if (thing_id) {
+        td["@id"] = thing_id;
     }
+    td[constants.iot_model] = {
+        "@id": paramd.base,
+    };
 
-    cd = rd["@context"];
-    if (cd) {
-        for (var nkey in nss) {
-            var ns = _.ld.namespace[nkey];
-            if (ns) {
-                cd[nkey] = ns;
+    if (paramd.bands.indexOf("meta") !== -1) {
+        var metad = self.meta().state();
+        _.keys(metad).map(function (key) {
+            if (!key.match(/^@/)) {
+                td[key] = metad[key];
             }
+        });
+    }
+
+    var _band = function (band, value_key, timestamp) {
+        var bd = {};
+        if (thing_id) {
+            bd["@id"] = thing_id + "#" + band;
         }
+
+        // as xsd:dateTime - hybrid logical clock timestamps lose their counter and node id
+        var parsed = timestamp ? _.timestamp.parse(timestamp) : null;
+        if (parsed) {
+            bd[constants.iot_timestamp] = {
+                "@value": new Date(parsed.physical).toISOString(),
+                "@type": XSD_DATETIME,
+            };
+        }
+
+        self.attributes()
+            .filter(function (attribute) {
+                return (band === "ostate") || attribute.is_read();
+            })
+            .map(function (attribute) {
+                var value = attribute[value_key];
+                if ((value !== null) && (value !== undefined)) {
+                    bd[paramd.base + "#" + attribute.code()] = value;
+                }
+            });
+
+        return bd;
+    };
+
+    if (paramd.bands.indexOf("istate") !== -1) {
+        td[constants.iot_istate] = _band("istate", "_ivalue", self._itimestamp);
+    }
+    if (paramd.bands.indexOf("ostate") !== -1) {
+        td[constants.iot_ostate] = _band("ostate", "_ovalue", self._otimestamp);
     }
 
-    return rd;
+    var md = self.jsonld({
+        base: paramd.base,
+    });
+
+    return _.rdf.serialize([md, td], {
+        format: paramd.format,
+    });
+};
+
+Model.prototype._validate_rdf = function (paramd) {
+    if (_.rdf.formats.indexOf(paramd.format) === -1) {
+        throw new Error("Model.rdf: 'paramd.format' must be one of " + _.rdf.formats.join(", ") + ", not: " + paramd.format);
+    }
+    if (!_.is.AbsoluteURL(paramd.base)) {
+        throw new Error("Model.rdf: 'paramd.base' must be an absolute URL, not: " + paramd.base);
+    }
+    if (!_.is.Array(paramd.bands)) {
+        throw new Error("Model.rdf: 'paramd.bands' must be an Array, not: " + paramd.bands);
+    }
+
+    paramd.bands.map(function (band) {
+        if (["istate", "ostate", "meta"].indexOf(band) === -1) {
+            throw new Error("Model.rdf: cannot export band: " + band);
+        }
+    });
 };
 
 Model.prototype.iotql = function (paramd) {
@@ -489,8 +963,11 @@ Model.prototype.iotql = function (paramd) {
         "iot:format",
         "iot:minimum",
         "iot:maximum",
+        "iot:ttl",
+        "iot:precision",
         "iot:read",
         "iot:write",
+        "iot:derived",
     ];
 
     var _single_value = function (v) {
@@ -572,19 +1049,33 @@ Model.prototype.iotql = function (paramd) {
  *  no guarentee that the state reflects what your
  *  thing actually is right now
  *
+ *  <p>
+ *  Numbers are converted from the attribute's <code>iot:unit</code>
+ *  to <code>paramd.unit</code>, or to the runner's preferred unit
+ *  (see {@link Thing#set Model.set}).
+ *
  *  @param find_key
  *  The key (see {@link Thing#_find Model.find} for possibilites)
  *
+ *  @param {string|undefined} paramd.unit
+ *  The unit wanted, e.g. <code>iot-unit:temperature.imperial.fahrenheit</code>.
+ *  Throws an Error if the value can't be converted
+ *
  *  @return {*}
  *  The current value in the state
  */
-Model.prototype.get = function (find_key) {
+Model.prototype.get = function (find_key, paramd) {
     var self = this;
 
-    self._validate_get(find_key);
+    self._validate_get(find_key, paramd);
+
+    paramd = _.defaults(paramd, {
+        unit: null,
+    });
 
     var rd = self.find(find_key, {
         mode: "get",
+        strict: self.__strict,
     });
     if (rd === undefined) {
         // console.log("# Model.get: attribute '" + find_key + "' not found XXX");
@@ -597,9 +1088,9 @@ Model.prototype.get = function (find_key) {
 
     if (rd.attribute) {
         if (rd.attribute._ivalue !== null) {
-            return rd.attribute._ivalue;
+            return self._unit_out("get", rd.attribute, rd.attribute._ivalue, paramd.unit);
         } else if (rd.attribute._ovalue !== null) {
-            return rd.attribute._ovalue;
+            return self._unit_out("get", rd.attribute, rd.attribute._ovalue, paramd.unit);
         } else {
             return null;
         }
@@ -614,32 +1105,213 @@ Model.prototype.get = function (find_key) {
     }
 };
 
-Model.prototype._validate_get = function (find_key) {
+Model.prototype._validate_get = function (find_key, paramd) {
     if (!_.is.FindKey(find_key)) {
         throw new Error("Model.get: 'find_key' must be a String or a Dictionary");
     }
+
+    if (paramd === undefined) {
+        return;
+    } else if (!_.is.Dictionary(paramd)) {
+        throw new Error("Model.get: 'paramd' must be a Dictionary, not: " + paramd);
+    } else if ((paramd.unit !== undefined) && !_.is.String(paramd.unit)) {
+        throw new Error("Model.get: 'paramd.unit' must be a String, not: " + paramd.unit);
+    }
 };
 
-/**
+/*
+ *  The keystore's preferred units, cached because they are
+ *  needed on every get and set. Forgotten when the keystore changes
  */
-Model.prototype.update = function (band, updated, paramd) {
-    var self = this;
+var _units_keystore = null;
+var _unitd;
 
-    paramd = _.defaults(paramd, {});
+var _preferred_units = function () {
+    var keystore = iotdb.keystore();
+    if (keystore !== _units_keystore) {
+        _units_keystore = keystore;
+        _unitd = undefined;
 
-    self._validate_update(band, updated, paramd);
+        var _forget = function () {
+            _unitd = undefined;
+        };
+        keystore.on("changed", _forget);
+        keystore.on("loaded", _forget);
+    }
 
-    if (band === "istate") {
-        self._update_istate(band, updated, paramd);
-    } else if (band === "ostate") {
-        self._update_ostate(band, updated, paramd);
-    } else if (band === "meta") {
-        self._update_meta(band, updated, paramd);
+    if (_unitd === undefined) {
+        _unitd = keystore.get(UNITS_KEY, null);
+    }
+
+    return _unitd;
+};
+
+/**
+ *  The unit the runner would like to see for this attribute,
+ *  from the keystore's <code>/homestar/runner/settings/units</code>,
+ *  e.g. <code>{ "temperature": "iot-unit:temperature.imperial.fahrenheit" }</code>
+ *
+ *  @protected
+ */
+Model.prototype._preferred_unit = function (attribute) {
+    var unit = attribute.unit();
+    if (!unit) {
+        return null;
+    }
+
+    var dimension = _.convert.dimension(_.ld.compact(unit));
+    if (!dimension) {
+        return null;
+    }
+
+    var unitd = _preferred_units();
+    if (!_.is.Dictionary(unitd)) {
+        return null;
+    }
+
+    return unitd[dimension] || null;
+};
+
+/**
+ *  Convert a value from one unit to another, throwing
+ *  an Error if that can't be done
+ *
+ *  @protected
+ */
+Model.prototype._convert_unit = function (method, attribute, value, from, to) {
+    if (!from || !to) {
+        throw new Error("Model." + method + ": '" + attribute.code() + "' does not have an iot:unit");
+    }
+
+    from = _.ld.compact(from);
+    to = _.ld.compact(to);
+
+    if (from === to) {
+        return value;
+    } else if (!_.is.Number(value)) {
+        throw new Error("Model." + method + ": only Numbers can be converted, not: " + value);
+    }
+
+    var result = _.convert.convert({
+        from: from,
+        to: to,
+        value: value,
+    });
+    if ((result === null) || !_.is.Number(result)) {
+        throw new Error("Model." + method + ": cannot convert '" + attribute.code() + "' from " + from + " to " + to);
+    }
+
+    return result;
+};
+
+/**
+ *  A value being set, to the attribute's <code>iot:unit</code>
+ *
+ *  @protected
+ */
+Model.prototype._unit_in = function (method, attribute, new_value) {
+    var self = this;
+
+    if (_.is.Dictionary(new_value) && (new_value.unit !== undefined)) {
+        return self._convert_unit(method, attribute, new_value.value, new_value.unit, attribute.unit());
+    }
+
+    var preferred = self._preferred_unit(attribute);
+    if (preferred && _.is.Number(new_value)) {
+        return self._convert_unit(method, attribute, new_value, preferred, attribute.unit());
+    }
+
+    return new_value;
+};
+
+/**
+ *  A value being got, from the attribute's <code>iot:unit</code>
+ *
+ *  @protected
+ */
+Model.prototype._unit_out = function (method, attribute, value, unit) {
+    var self = this;
+
+    if (unit) {
+        return self._convert_unit(method, attribute, value, attribute.unit(), unit);
+    }
+
+    var preferred = self._preferred_unit(attribute);
+    if (preferred && _.is.Number(value)) {
+        return self._convert_unit(method, attribute, value, attribute.unit(), preferred);
+    }
+
+    return value;
+};
+
+/**
+ *  Update a band. Changes to "istate" and "ostate"
+ *  are reported to {@link Thing#on Model.on} and
+ *  {@link Thing#on_change Model.on_change} listeners.
+ *
+ *  @param {string} paramd.origin
+ *  Where the update came from, passed on in change events:
+ *  "bridge", "set", "restore", "stale" or "update" (the default)
+ */
+Model.prototype.update = function (band, updated, paramd) {
+    var self = this;
+
+    paramd = _.defaults(paramd, {
+        origin: ORIGIN_UPDATE,
+    });
+
+    self._validate_update(band, updated, paramd);
+
+    // HLC mode: timestamps from elsewhere move our clock forward
+    _.timestamp.receive(updated["@timestamp"]);
+
+    if ((band === "istate") || (band === "ostate")) {
+        updated = self._flatten_submodels(updated);
+    }
+
+    if (band === "istate") {
+        self._update_istate(band, updated, paramd);
+    } else if (band === "ostate") {
+        self._update_ostate(band, updated, paramd);
+    } else if (band === "meta") {
+        self._update_meta(band, updated, paramd);
     }
 
     return self;
 };
 
+/**
+ *  Sub-model values can be nested, e.g.
+ *  <code>{ oven: { temperature: 100 } }</code>.
+ *  This turns them into <code>{ "oven/temperature": 100 }</code>
+ *
+ *  @protected
+ */
+Model.prototype._flatten_submodels = function (updated) {
+    var self = this;
+
+    if (_.isEmpty(self.__submodels)) {
+        return updated;
+    }
+
+    var flatd = {};
+    var _flatten = function (d, path) {
+        _.mapObject(d, function (value, key) {
+            var code = path ? path + "/" + key : key;
+
+            if (_.is.Dictionary(value) && self._find_submodel(code)) {
+                _flatten(value, code);
+            } else if (!path || (key !== "@timestamp")) {
+                flatd[code] = value;
+            }
+        });
+    };
+
+    _flatten(updated, "");
+
+    return flatd;
+};
+
 Model.prototype._validate_update = function (band, updated, paramd) {
     if (!_.is.String(band)) {
         throw new Error("Model.band: 'band' must be a String, not: " + band);
@@ -664,6 +1336,7 @@ Model.prototype._update_istate = function (band, updated, paramd) {
         set_timestamp: true,
         notify: true,
         validate: false,
+        origin: ORIGIN_UPDATE,
     });
 
     if (paramd.check_timestamp && !_.timestamp.check.values(self._itimestamp, updated["@timestamp"])) {
@@ -672,6 +1345,8 @@ Model.prototype._update_istate = function (band, updated, paramd) {
 
     // go through each update and see if it actually updates the attribute
     var changed_attributes = [];
+    var fresh_attributes = [];
+    var previousd = {};
 
     for (var attribute_code in updated) {
         var attribute_value = updated[attribute_code];
@@ -680,7 +1355,9 @@ Model.prototype._update_istate = function (band, updated, paramd) {
         }
 
         var attribute = self.__attributed[attribute_code];
-        if (!attribute) {
+        if (attribute && _.ld.first(attribute, constants.iot_derived)) {
+            continue;
+        } else if (!attribute) {
             if (attribute_code !== "@timestamp") {
                 /*
                 logger.warn({
@@ -702,17 +1379,27 @@ Model.prototype._update_istate = function (band, updated, paramd) {
             }
         }
 
+        // the same value reported again is still fresh
+        if (attribute_value !== null) {
+            fresh_attributes.push(attribute);
+        }
+
         if (attribute.is_type_null()) {
         } else if (attribute._ivalue === attribute_value) {
             continue;
         }
 
+        previousd[attribute_code] = attribute._ivalue;
+
         attribute._ivalue = attribute_value;
         attribute._ichanged = true;
 
         changed_attributes.push(attribute);
     }
 
+    self._stale_refresh(fresh_attributes);
+    self._update_derived(changed_attributes, previousd);
+
     if (_.isEmpty(changed_attributes)) {
         return;
     }
@@ -726,31 +1413,26 @@ Model.prototype._update_istate = function (band, updated, paramd) {
         }
     }
 
+    var timestamp = updated["@timestamp"] || self._itimestamp;
+
+    self._record_history(band, changed_attributes, timestamp);
+    self._verify_attributes(changed_attributes);
+
+    // notifications - deferred until the end of the transaction
+    self.start();
+
     if (paramd.notify) {
-        // callbacks for individual attributes -- callbacks happen nextTick 
         changed_attributes.map(function (attribute) {
-            var callbacks = self.__callbacksd[attribute.code()];
-            if (!callbacks) {
-                return;
-            }
+            var changed = self._make_changed(attribute, band, previousd[attribute.code()], timestamp, paramd.origin);
 
-            callbacks.map(function (callback) {
-                process.nextTick(function () {
-                    callback(self, attribute, attribute._ivalue);
-                });
-            });
-        });
-
-        // callbacks for _state_ -- callbacks happen nextTick 
-        process.nextTick(function () {
-            self.__emitter.emit("state", self);
+            self._do_change(changed);
+            self._do_notify(attribute, changed);
         });
     }
 
-    // callbacks for _istate_ -- callbacks happen nextTick 
-    process.nextTick(function () {
-        self.__emitter.emit("istate", self);
-    });
+    self._ichanged = true;
+
+    self.end();
 
     // clear
     changed_attributes.map(function (attribute) {
@@ -758,6 +1440,70 @@ Model.prototype._update_istate = function (band, updated, paramd) {
     });
 };
 
+/**
+ *  Recompute derived attributes whose inputs
+ *  are in changed_attributes. Derived attributes
+ *  that change are added to changed_attributes
+ *  and their old value to previousd,
+ *  so derived attributes can depend on each other.
+ *
+ *  @protected
+ */
+Model.prototype._update_derived = function (changed_attributes, previousd) {
+    var self = this;
+
+    self.__deriveds.map(function (derived) {
+        var is_changed = changed_attributes.some(function (attribute) {
+            return derived.input_codes.indexOf(attribute.code()) !== -1;
+        });
+        if (!is_changed) {
+            return;
+        }
+
+        var attribute = self.__attributed[derived.code];
+        var input_values = derived.input_codes.map(function (input_code) {
+            return self.__attributed[input_code]._ivalue;
+        });
+
+        var attribute_value = null;
+        if (input_values.indexOf(null) === -1) {
+            try {
+                attribute_value = derived.compute.apply(self, input_values);
+            } catch (x) {
+                logger.error({
+                    method: "_update_derived",
+                    attribute_code: derived.code,
+                    exception: _.error.message(x),
+                    cause: "likely in the compute function",
+                }, "unexpected exception computing derived attribute");
+                return;
+            }
+
+            if ((attribute_value !== null) && (attribute_value !== undefined)) {
+                attribute_value = attribute.validate_value(attribute_value);
+            }
+            if (attribute_value === undefined) {
+                attribute_value = null;
+            }
+        }
+
+        if (attribute._ivalue === attribute_value) {
+            return;
+        }
+
+        if (previousd[derived.code] === undefined) {
+            previousd[derived.code] = attribute._ivalue;
+        }
+
+        attribute._ivalue = attribute_value;
+        attribute._ichanged = true;
+
+        if (changed_attributes.indexOf(attribute) === -1) {
+            changed_attributes.push(attribute);
+        }
+    });
+};
+
 /**
  *  "ostate" is the Output STATE, the state we'd 
  *  like the Thing to become.
@@ -772,6 +1518,7 @@ Model.prototype._update_ostate = function (band, updated, paramd) {
         notify: true,
         validate: true,
         force: false,
+        origin: ORIGIN_UPDATE,
     });
 
     if (paramd.add_timestamp) {
@@ -785,6 +1532,7 @@ Model.prototype._update_ostate = function (band, updated, paramd) {
     // go through each update and see if it actually updates the attribute
     var changed_attributes = [];
     var push_attributes = [];
+    var previousd = {};
 
     for (var attribute_code in updated) {
         var attribute_value = updated[attribute_code];
@@ -819,6 +1567,8 @@ Model.prototype._update_ostate = function (band, updated, paramd) {
             continue
         }
 
+        previousd[attribute_code] = attribute._ovalue;
+
         attribute._ovalue = attribute_value;
         attribute._ochanged = true;
 
@@ -826,11 +1576,13 @@ Model.prototype._update_ostate = function (band, updated, paramd) {
         push_attributes.push(attribute);
     }
 
-    if (!_.isEmpty(push_attributes)) {
-        self._push_attributes(push_attributes);
-    }
+    // pushes and notifications - deferred until the end of the transaction
+    self.start();
+
+    push_attributes.map(function (attribute) {
+        self._do_push(attribute);
+    });
 
-    // notifications - all happen nextTick
     if (!_.isEmpty(changed_attributes)) {
         // it has changed - let's update the timestamp 
         if (paramd.set_timestamp) {
@@ -841,44 +1593,183 @@ Model.prototype._update_ostate = function (band, updated, paramd) {
             }
         }
 
-        if (paramd.notify) {
-            // callbacks for individual attributes
+        var timestamp = updated["@timestamp"] || self._otimestamp;
+
+        self._record_history(band, changed_attributes, timestamp);
+
         /*
          *  As of IOTDB 0.15 we no longer emit attribute changes for ostate,
          *  only for istate. You can still listen to "ostate" for changes
-         *
+         */
+        if (paramd.notify) {
             changed_attributes.map(function (attribute) {
-                var callbacks = self.__callbacksd[attribute.code()];
-                if (!callbacks) {
-                    return;
-                }
-
-                callbacks.map(function (callback) {
-                    process.nextTick(function () {
-                        callback(self, attribute, attribute._ovalue);
-                    });
-                });
-            });
-        */
-
-            // callbacks for _state_
-            process.nextTick(function () {
-                self.__emitter.emit("state", self);
+                self._do_change(self._make_changed(attribute, band, previousd[attribute.code()], timestamp, paramd.origin));
             });
         }
 
-        // callbacks for _ostate_ 
-        process.nextTick(function () {
-            self.__emitter.emit("ostate", self);
-        });
+        self._ochanged = true;
     }
 
+    self.end();
+
     // clear
     changed_attributes.map(function (attribute) {
         attribute._ochanged = false;
     });
 };
 
+/**
+ *  Keep a history of values for each attribute,
+ *  as they are changed in "istate" and "ostate".
+ *  History is kept in memory only.
+ *
+ *  @param {dictionary|null} paramd
+ *  If null or false, history is not kept and
+ *  anything recorded is forgotten.
+ *
+ *  @param {integer} paramd.length
+ *  How many entries are kept per attribute. Older
+ *  ones are dropped. Default 100.
+ *
+ *  @return {this}
+ */
+Model.prototype.record_history = function (paramd) {
+    var self = this;
+
+    if (!paramd) {
+        self.__historyd = null;
+        self.__historiesd = {};
+        return self;
+    }
+
+    self._validate_record_history(paramd);
+
+    self.__historyd = _.defaults(paramd, {
+        length: 100,
+    });
+
+    _.each(self.__historiesd, function (entries) {
+        if (entries.length > self.__historyd.length) {
+            entries.splice(0, entries.length - self.__historyd.length);
+        }
+    });
+
+    return self;
+};
+
+Model.prototype._validate_record_history = function (paramd) {
+    if (!_.is.Dictionary(paramd)) {
+        throw new Error("Model.record_history: 'paramd' must be a Dictionary or null, not: " + paramd);
+    }
+    if ((paramd.length !== undefined) && (!_.is.Integer(paramd.length) || (paramd.length < 1))) {
+        throw new Error("Model.record_history: 'paramd.length' must be a positive Integer, not: " + paramd.length);
+    }
+};
+
+/**
+ *  @protected
+ */
+Model.prototype._record_history = function (band, attributes, timestamp) {
+    var self = this;
+
+    if (!self.__historyd) {
+        return;
+    }
+
+    attributes.map(function (attribute) {
+        var attribute_code = attribute.code();
+        var entries = self.__historiesd[attribute_code];
+        if (!entries) {
+            entries = self.__historiesd[attribute_code] = [];
+        }
+
+        entries.push({
+            value: (band === "istate") ? attribute._ivalue : attribute._ovalue,
+            "@timestamp": timestamp,
+            band: band,
+        });
+
+        if (entries.length > self.__historyd.length) {
+            entries.shift();
+        }
+    });
+};
+
+/**
+ *  Return the recorded history of an attribute,
+ *  oldest first. See {@link Thing#record_history Model.record_history}.
+ *
+ *  @param find_key
+ *  The key (see {@link Thing#_find Model.find} for possibilites)
+ *
+ *  @param {string|undefined} paramd.since
+ *  Only entries with this timestamp or later
+ *
+ *  @param {integer|undefined} paramd.limit
+ *  Only the most recent this many entries
+ *
+ *  @param {string|undefined} paramd.band
+ *  Only entries from "istate" or "ostate"
+ *
+ *  @return {array}
+ *  Dictionaries of <code>value</code>, <code>@timestamp</code>
+ *  and <code>band</code>. Empty if the attribute is
+ *  not found or history is not being recorded.
+ */
+Model.prototype.history = function (find_key, paramd) {
+    var self = this;
+
+    paramd = _.defaults(paramd, {
+        since: null,
+        limit: null,
+        band: null,
+    });
+
+    self._validate_history(find_key, paramd);
+
+    var rd = self.find(find_key, {
+        mode: "get",
+    });
+    if (!rd || !rd.attribute) {
+        return [];
+    }
+
+    var entries = self.__historiesd[rd.attribute.code()] || [];
+
+    entries = entries.filter(function (entry) {
+        if (paramd.band && (entry.band !== paramd.band)) {
+            return false;
+        } else if (paramd.since && (entry["@timestamp"] < paramd.since)) {
+            return false;
+        } else {
+            return true;
+        }
+    });
+
+    if ((paramd.limit !== null) && (entries.length > paramd.limit)) {
+        entries = entries.slice(entries.length - paramd.limit);
+    }
+
+    return entries.map(function (entry) {
+        return _.d.clone.shallow(entry);
+    });
+};
+
+Model.prototype._validate_history = function (find_key, paramd) {
+    if (!_.is.FindKey(find_key)) {
+        throw new Error("Model.history: 'find_key' must be a String or a Dictionary");
+    }
+    if (!_.is.Dictionary(paramd)) {
+        throw new Error("Model.history: 'paramd' must be a Dictionary, not: " + paramd);
+    }
+    if ((paramd.since !== null) && !_.is.String(paramd.since)) {
+        throw new Error("Model.history: 'paramd.since' must be a String timestamp, not: " + paramd.since);
+    }
+    if ((paramd.limit !== null) && (!_.is.Integer(paramd.limit) || (paramd.limit < 0))) {
+        throw new Error("Model.history: 'paramd.limit' must be a non-negative Integer, not: " + paramd.limit);
+    }
+};
+
 /**
  *  Send values from this object to the Bridge
  *
@@ -890,205 +1781,1712 @@ Model.prototype._update_ostate = function (band, updated, paramd) {
 Model.prototype._push_attributes = function (attributes) {
     var self = this;
 
+    // anyone waiting for these attributes to be pushed
+    var waiters = self._take_waiters(attributes);
+
     if (!self.bridge_instance) {
         logger.error({
             method: "_push_attributes",
         }, "no bridge_instance - doing nothing");
 
         self._clear_ostate();
+        self._call_waiters(waiters, new Error("Model: not bound to a Bridge"));
         return;
     }
 
     if (!self.bridge_instance.reachable()) {
+        if (self.__offlined) {
+            self._queue_attributes(attributes, waiters);
+            return;
+        }
+
         logger.error({
             method: "_push_attributes",
         }, "bridge_instance is not reachable - doing nothing");
 
         self._clear_ostate();
+        self._call_waiters(waiters, new Error("Model: Thing is not reachable"));
         return;
     }
 
     var pushd = {};
 
-    // mappings can be attached to bindings to make enumerations work better
-    var mapping = self.bridge_instance.binding.mapping;
+    // which push of each attribute this is, so retries can tell if they have been superseded.
+    // This is before iot:clear-value, so the verifier sees what was pushed
+    var pusheds = attributes.map(function (attribute) {
+        return {
+            attribute: attribute,
+            opushes: attribute._opushes + 1,
+            value: attribute._ovalue,
+        };
+    });
+
+    // mappings can be attached to bindings to make enumerations work better
+    var mapping = self.bridge_instance.binding.mapping;
+
+    attributes.map(function (attribute) {
+        var attribute_code = attribute.code();
+        var attribute_value = attribute._ovalue;
+
+        if ((mapping !== undefined) && (mapping[attribute_code] !== undefined)) {
+            attribute_value = _mapping_push(mapping[attribute_code], attribute_value, attribute);
+        }
+
+        if (attribute_value !== undefined) {
+            _.d.set(pushd, attribute_code, attribute_value);
+        }
+
+        // set iot:clear-value and the ostate will always revert to null
+        if (_.ld.first(attribute, constants.iot_clear_value)) {
+            attribute._ovalue = null;
+        }
+    });
+
+    // nothing to do?
+    if (_.isEmpty(pushd)) {
+        self._call_waiters(waiters, null);
+        return;
+    }
+
+    attributes.map(function (attribute) {
+        attribute._opushes++;
+    });
+
+    // do the push - on the nextTick
+    process.nextTick(function () {
+        if (!self.bridge_instance) {
+            self._call_waiters(waiters, new Error("Model: not bound to a Bridge"));
+            return;
+        }
+
+        self._pushes++;
+        self._push_attempt(pushd, pusheds, waiters, 1);
+    });
+};
+
+/**
+ *  Push to the Bridge. If it fails and there is a
+ *  {@link Thing#retry_policy retry policy}, try again later
+ *  with the same pushd, less anything superseded by a newer push.
+ *
+ *  @protected
+ */
+Model.prototype._push_attempt = function (pushd, pusheds, waiters, attempt) {
+    var self = this;
+
+    var _finished = function (error) {
+        if (--self._pushes === 0) {
+            self._clear_ostate();
+        }
+
+        self._call_waiters(waiters, error || null);
+
+        if (self._pushes < 0) {
+            throw new Error("pushes decremeneted below 0!!!");
+        }
+    };
+
+    var _failed = function (error) {
+        var retryd = self._retry_policy();
+        if (!retryd || (attempt >= retryd.attempts)) {
+            return _finished(error);
+        }
+
+        var delay = Math.min(retryd.delay * Math.pow(retryd.factor, attempt - 1), retryd.max_delay);
+        delay = Math.max(0, Math.round(delay * (1 + retryd.jitter * (2 * Math.random() - 1))));
+
+        logger.info({
+            method: "_push_attempt",
+            attempt: attempt,
+            delay: delay,
+        }, "will retry push");
+
+        var retry = {
+            pusheds: pusheds.slice(),
+            timer: null,
+            abandon: _finished,
+        };
+
+        retry.timer = setTimeout(function () {
+            self.__retries.splice(self.__retries.indexOf(retry), 1);
+
+            if (!self.bridge_instance || !self.bridge_instance.reachable()) {
+                return _finished(error);
+            }
+
+            // newer values for an attribute are being pushed - don't send the old one
+            var current_pusheds = retry.pusheds.filter(function (pushed) {
+                return pushed.attribute._opushes === pushed.opushes;
+            });
+            if (current_pusheds.length === 0) {
+                return _finished(new Error("Model: push superseded by a newer value"));
+            }
+
+            // the old values never got to the Bridge, so their waiters fail
+            var current_codes = current_pusheds.map(function (pushed) {
+                return pushed.attribute.code();
+            });
+            var current_waiters = waiters.filter(function (waiter) {
+                return current_codes.indexOf(waiter.attribute_code) !== -1;
+            });
+            self._call_waiters(_.difference(waiters, current_waiters), new Error("Model: push superseded by a newer value"));
+
+            var retry_pushd = pushd;
+            if (current_pusheds.length < pusheds.length) {
+                retry_pushd = {};
+                current_pusheds.map(function (pushed) {
+                    var attribute_code = pushed.attribute.code();
+                    var value = _.d.get(pushd, attribute_code);
+                    if (value !== undefined) {
+                        _.d.set(retry_pushd, attribute_code, value);
+                    }
+                });
+            }
+
+            self._push_attempt(retry_pushd, current_pusheds, current_waiters, attempt + 1);
+        }, delay);
+        if (retry.timer.unref) {
+            retry.timer.unref();
+        }
+
+        self.__retries.push(retry);
+    };
+
+    try {
+        self.bridge_instance.push(pushd, function (error) {
+            if (error) {
+                logger.error({
+                    error: _.error.message(error),
+                    attempt: attempt,
+                    cause: "likely in the Bridge",
+                }, "unexpected error pushing");
+
+                _failed(error);
+            } else {
+                self._verify_pushed(pusheds);
+                _finished(null);
+            }
+        });
+    } catch (x) {
+        logger.error({
+            exception: _.error.message(x),
+            attempt: attempt,
+            cause: "likely in the Bridge",
+            stack: x.stack,
+        }, "unexpected exception pushing");
+
+        _failed(x);
+    }
+};
+
+/**
+ *  Retry pushes to the Bridge that fail. If not set
+ *  on the Thing, <code>binding.retry</code> is used.
+ *
+ *  <p>
+ *  Retries are abandoned if a newer value for the
+ *  same attribute has been pushed in the meantime,
+ *  or by {@link Thing#cancel Model.cancel} and
+ *  {@link Thing#disconnect Model.disconnect}.
+ *  {@link Thing#set_async Model.set_async} for an
+ *  abandoned value is rejected.
+ *
+ *  @param {dictionary|null} paramd
+ *  If null, use the binding's policy (if any)
+ *
+ *  @param {integer} paramd.attempts
+ *  The maximum number of attempts, including the first. Default 3
+ *
+ *  @param {number} paramd.delay
+ *  Milliseconds to wait before the first retry. Default 1000
+ *
+ *  @param {number} paramd.factor
+ *  Delay is multiplied by this for each retry. Default 2
+ *
+ *  @param {number} paramd.max_delay
+ *  The longest delay, in milliseconds. Default 30 seconds
+ *
+ *  @param {number} paramd.jitter
+ *  Randomly change the delay by up to this fraction. Default 0.1
+ *
+ *  @return {this}
+ */
+Model.prototype.retry_policy = function (paramd) {
+    var self = this;
+
+    if (paramd) {
+        self._validate_retry_policy(paramd);
+    }
+
+    self.__retryd = paramd || null;
+
+    return self;
+};
+
+Model.prototype._validate_retry_policy = function (paramd) {
+    if (!_.is.Dictionary(paramd)) {
+        throw new Error("Model.retry_policy: 'paramd' must be a Dictionary or null, not: " + paramd);
+    }
+    if ((paramd.attempts !== undefined) && !_.is.Integer(paramd.attempts)) {
+        throw new Error("Model.retry_policy: 'paramd.attempts' must be an Integer, not: " + paramd.attempts);
+    }
+
+    ["delay", "factor", "max_delay", "jitter"].map(function (key) {
+        if ((paramd[key] !== undefined) && !_.is.Number(paramd[key])) {
+            throw new Error("Model.retry_policy: 'paramd." + key + "' must be a Number, not: " + paramd[key]);
+        }
+    });
+};
+
+/**
+ *  The retry policy in effect, or null
+ *
+ *  @protected
+ */
+Model.prototype._retry_policy = function () {
+    var self = this;
+
+    var retryd = self.__retryd;
+    if (!retryd && self.bridge_instance && self.bridge_instance.binding) {
+        retryd = self.bridge_instance.binding.retry;
+    }
+
+    if (!retryd) {
+        return null;
+    }
+
+    return _.defaults(retryd, {
+        attempts: 3,
+        delay: 1000,
+        factor: 2,
+        max_delay: 30 * 1000,
+        jitter: 0.1,
+    });
+};
+
+/**
+ *  Stop retrying pushes of this attribute, or of everything
+ *  if attribute_code is undefined. Waiters on a retry
+ *  with nothing left to push are rejected.
+ *
+ *  @protected
+ */
+Model.prototype._retry_cancel = function (attribute_code) {
+    var self = this;
+
+    self.__retries.slice().map(function (retry) {
+        retry.pusheds = retry.pusheds.filter(function (pushed) {
+            return (attribute_code !== undefined) && (pushed.attribute.code() !== attribute_code);
+        });
+        if (retry.pusheds.length > 0) {
+            return;
+        }
+
+        clearTimeout(retry.timer);
+        self.__retries.splice(self.__retries.indexOf(retry), 1);
+
+        retry.abandon(new Error("Model: push retry cancelled"));
+    });
+};
+
+/**
+ *  Remove and return all the waiters (see {@link Thing#set_async Model.set_async})
+ *  for these attributes
+ *
+ *  @protected
+ */
+Model.prototype._take_waiters = function (attributes) {
+    var self = this;
+    var waiters = [];
+
+    attributes.map(function (attribute) {
+        var attribute_code = attribute.code();
+        var attribute_waiters = self.__waitersd[attribute_code];
+        if (!attribute_waiters) {
+            return;
+        }
+
+        delete self.__waitersd[attribute_code];
+        waiters = waiters.concat(attribute_waiters);
+    });
+
+    return waiters;
+};
+
+/**
+ *  Tell all the waiters how the push went. Error is null on success
+ *
+ *  @protected
+ */
+Model.prototype._call_waiters = function (waiters, error) {
+    waiters.map(function (waiter) {
+        waiter(error);
+    });
+};
+
+/**
+ *  Control what happens when "istate" values get old.
+ *  If not set on the Thing, <code>binding.staleness</code> is used.
+ *
+ *  <p>
+ *  An attribute goes stale if no value has been
+ *  reported for it within its TTL. The TTL comes from
+ *  <code>paramd.ttl</code> or the attribute's
+ *  <code>iot:ttl</code> (see {@link Attribute#ttl Attribute.ttl}).
+ *  Stale attributes are listed in the "connection" band
+ *  as <code>iot:stale</code> until a new value arrives.
+ *  Emits <code>stale</code>, which can be listened to with
+ *  {@link Thing#on Model.on} as
+ *  <code>callback(thing, attribute_code, value)</code>.
+ *
+ *  @param {dictionary|null} paramd
+ *  If null, use the binding's policy (if any)
+ *
+ *  @param {dictionary} paramd.ttl
+ *  Milliseconds by attribute code, overriding <code>iot:ttl</code>
+ *
+ *  @param {boolean} paramd.nullify
+ *  If true, stale values are also set to null. Default false
+ *
+ *  @return {this}
+ */
+Model.prototype.staleness = function (paramd) {
+    var self = this;
+
+    if (paramd) {
+        self._validate_staleness(paramd);
+    }
+
+    self.__stalenessd = paramd || null;
+
+    return self;
+};
+
+Model.prototype._validate_staleness = function (paramd) {
+    if (!_.is.Dictionary(paramd)) {
+        throw new Error("Model.staleness: 'paramd' must be a Dictionary or null, not: " + paramd);
+    }
+    if ((paramd.ttl !== undefined) && !_.is.Dictionary(paramd.ttl)) {
+        throw new Error("Model.staleness: 'paramd.ttl' must be a Dictionary, not: " + paramd.ttl);
+    }
+    if ((paramd.nullify !== undefined) && !_.is.Boolean(paramd.nullify)) {
+        throw new Error("Model.staleness: 'paramd.nullify' must be a Boolean, not: " + paramd.nullify);
+    }
+
+    _.mapObject(paramd.ttl || {}, function (ttl, attribute_code) {
+        if (!_.is.Number(ttl) || (ttl <= 0)) {
+            throw new Error("Model.staleness: 'paramd.ttl." + attribute_code + "' must be a positive Number, not: " + ttl);
+        }
+    });
+};
+
+/**
+ *  The staleness policy in effect
+ *
+ *  @protected
+ */
+Model.prototype._staleness = function () {
+    var self = this;
+
+    var stalenessd = self.__stalenessd;
+    if (!stalenessd && self.bridge_instance && self.bridge_instance.binding) {
+        stalenessd = self.bridge_instance.binding.staleness;
+    }
+
+    return _.defaults(stalenessd || {}, {
+        ttl: {},
+        nullify: false,
+    });
+};
+
+/**
+ *  New values have arrived for these attributes -
+ *  they're not stale and their TTL starts again
+ *
+ *  @protected
+ */
+Model.prototype._stale_refresh = function (attributes) {
+    var self = this;
+
+    if (_.isEmpty(attributes)) {
+        return;
+    }
+
+    var stalenessd = self._staleness();
+    var is_stale_changed = false;
+
+    attributes.map(function (attribute) {
+        var attribute_code = attribute.code();
+
+        self._stale_clear(attribute_code);
+        if (self.__staled[attribute_code]) {
+            delete self.__staled[attribute_code];
+            is_stale_changed = true;
+        }
+
+        var ttl = stalenessd.ttl[attribute_code] || attribute.ttl();
+        if (!ttl) {
+            return;
+        }
+
+        var timer = setTimeout(function () {
+            self._stale_expired(attribute_code);
+        }, ttl);
+        if (timer.unref) {
+            timer.unref();
+        }
+
+        self.__ttld[attribute_code] = timer;
+    });
+
+    if (is_stale_changed) {
+        self.connection_changed();
+    }
+};
+
+/**
+ *  @protected
+ */
+Model.prototype._stale_expired = function (attribute_code) {
+    var self = this;
+
+    delete self.__ttld[attribute_code];
+
+    var value = self.__attributed[attribute_code]._ivalue;
+
+    self.__staled[attribute_code] = {
+        "@timestamp": _.timestamp.make(),
+    };
+
+    if (self._staleness().nullify) {
+        var updated = {};
+        updated[attribute_code] = null;
+
+        self.update("istate", updated, {
+            check_timestamp: false,
+            set_timestamp: false,
+            origin: ORIGIN_STALE,
+        });
+    }
+
+    process.nextTick(function () {
+        self.__emitter.emit(EVENT_ATTRIBUTE_STALE, attribute_code, value);
+    });
+
+    self.connection_changed();
+};
+
+/**
+ *  @protected
+ */
+Model.prototype._stale_clear = function (attribute_code) {
+    var self = this;
+
+    var timer = self.__ttld[attribute_code];
+    if (!timer) {
+        return;
+    }
+
+    clearTimeout(timer);
+    delete self.__ttld[attribute_code];
+};
+
+/**
+ *  Stop watching for staleness
+ *
+ *  @protected
+ */
+Model.prototype._stale_cancel = function () {
+    var self = this;
+
+    _.keys(self.__ttld).map(function (attribute_code) {
+        self._stale_clear(attribute_code);
+    });
+};
+
+/**
+ *  Check that the Thing actually does what it's told.
+ *  After the Bridge accepts a push, the "istate" for each
+ *  readable attribute pushed is watched for the value that was sent.
+ *
+ *  <p>
+ *  Emits <code>confirmed</code> if it arrives and
+ *  <code>diverged</code> if it doesn't within the timeout,
+ *  which can be listened to with {@link Thing#on Model.on}
+ *  as <code>callback(thing, attribute_code, value, istate_value)</code>.
+ *  Diverged attributes are listed in the "connection" band
+ *  as <code>iot:diverged</code> until the istate catches up
+ *  or a new value is pushed.
+ *
+ *  @param {dictionary|null} paramd
+ *  If null or false, verification is turned off.
+ *
+ *  @param {integer} paramd.timeout
+ *  Milliseconds to wait for the istate. Default 5 seconds.
+ *
+ *  @return {this}
+ */
+Model.prototype.verifier = function (paramd) {
+    var self = this;
+
+    if (!paramd) {
+        self.__verifyd = null;
+        self._verify_cancel();
+        return self;
+    }
+
+    self._validate_verifier(paramd);
+
+    self.__verifyd = _.defaults(paramd, {
+        timeout: 5 * 1000,
+    });
+
+    return self;
+};
+
+Model.prototype._validate_verifier = function (paramd) {
+    if (!_.is.Dictionary(paramd)) {
+        throw new Error("Model.verifier: 'paramd' must be a Dictionary or null, not: " + paramd);
+    }
+    if ((paramd.timeout !== undefined) && !_.is.Integer(paramd.timeout)) {
+        throw new Error("Model.verifier: 'paramd.timeout' must be an Integer, not: " + paramd.timeout);
+    }
+};
+
+/**
+ *  The Bridge has accepted these values - start watching for them
+ *
+ *  @protected
+ */
+Model.prototype._verify_pushed = function (pusheds) {
+    var self = this;
+
+    if (!self.__verifyd) {
+        return;
+    }
+
+    var is_diverged_changed = false;
+
+    pusheds.map(function (pushed) {
+        var attribute = pushed.attribute;
+        if (attribute._opushes !== pushed.opushes) {
+            return;
+        } else if (!attribute.is_read() || attribute.is_type_null()) {
+            return;
+        }
+
+        var attribute_code = attribute.code();
+
+        self._verify_clear(attribute_code);
+        if (self.__divergedd[attribute_code]) {
+            delete self.__divergedd[attribute_code];
+            is_diverged_changed = true;
+        }
+
+        self.__verifyingd[attribute_code] = {
+            value: pushed.value,
+            timer: null,
+        };
+
+        if (_.is.Equal(attribute._ivalue, pushed.value)) {
+            self._verify_done(attribute_code, true);
+            return;
+        }
+
+        var timer = setTimeout(function () {
+            self._verify_done(attribute_code, false);
+        }, self.__verifyd.timeout);
+        if (timer.unref) {
+            timer.unref();
+        }
+
+        self.__verifyingd[attribute_code].timer = timer;
+    });
+
+    if (is_diverged_changed) {
+        self.connection_changed();
+    }
+};
+
+/**
+ *  The istate of these attributes has changed - see
+ *  if it's what we were waiting for
+ *
+ *  @protected
+ */
+Model.prototype._verify_attributes = function (attributes) {
+    var self = this;
+
+    attributes.map(function (attribute) {
+        var attribute_code = attribute.code();
+
+        var verifyingd = self.__verifyingd[attribute_code];
+        if (verifyingd && _.is.Equal(attribute._ivalue, verifyingd.value)) {
+            self._verify_done(attribute_code, true);
+            return;
+        }
+
+        // late, but it got there
+        var divergedd = self.__divergedd[attribute_code];
+        if (divergedd && _.is.Equal(attribute._ivalue, divergedd.value)) {
+            delete self.__divergedd[attribute_code];
+
+            process.nextTick(function () {
+                self.__emitter.emit(EVENT_COMMAND_CONFIRMED, attribute_code, divergedd.value, attribute._ivalue);
+            });
+
+            self.connection_changed();
+        }
+    });
+};
+
+/**
+ *  @protected
+ */
+Model.prototype._verify_done = function (attribute_code, is_confirmed) {
+    var self = this;
+
+    var verifyingd = self.__verifyingd[attribute_code];
+    if (!verifyingd) {
+        return;
+    }
+
+    self._verify_clear(attribute_code);
+
+    var ivalue = self.__attributed[attribute_code]._ivalue;
+    if (is_confirmed) {
+        process.nextTick(function () {
+            self.__emitter.emit(EVENT_COMMAND_CONFIRMED, attribute_code, verifyingd.value, ivalue);
+        });
+    } else {
+        logger.warn({
+            method: "_verify_done",
+            attribute_code: attribute_code,
+            value: verifyingd.value,
+            ivalue: ivalue,
+            model_code: self.code(),
+        }, "Thing did not do what it was told");
+
+        self.__divergedd[attribute_code] = {
+            value: verifyingd.value,
+            "@timestamp": _.timestamp.make(),
+        };
+
+        process.nextTick(function () {
+            self.__emitter.emit(EVENT_COMMAND_DIVERGED, attribute_code, verifyingd.value, ivalue);
+        });
+
+        self.connection_changed();
+    }
+};
+
+/**
+ *  @protected
+ */
+Model.prototype._verify_clear = function (attribute_code) {
+    var self = this;
+
+    var verifyingd = self.__verifyingd[attribute_code];
+    if (!verifyingd) {
+        return;
+    }
+
+    if (verifyingd.timer) {
+        clearTimeout(verifyingd.timer);
+    }
+
+    delete self.__verifyingd[attribute_code];
+};
+
+/**
+ *  Stop watching everything, with no events
+ *
+ *  @protected
+ */
+Model.prototype._verify_cancel = function () {
+    var self = this;
+
+    _.keys(self.__verifyingd).map(function (attribute_code) {
+        self._verify_clear(attribute_code);
+    });
+};
+
+/**
+ *  Keep commands for this Thing while it is not reachable,
+ *  and replay them when it becomes reachable again.
+ *  The ostate is held while commands are queued.
+ *
+ *  <p>
+ *  Emits <code>queued</code>, <code>expired</code> and <code>replayed</code>,
+ *  which can be listened to with {@link Thing#on Model.on}
+ *  as <code>callback(thing, attribute_code, value)</code>.
+ *
+ *  @param {dictionary|null} paramd
+ *  If null or false, queueing is turned off and
+ *  anything queued is expired.
+ *
+ *  @param {integer} paramd.ttl
+ *  Milliseconds a command is kept. Default 60 seconds.
+ *
+ *  @param {integer} paramd.max_length
+ *  How many commands are kept per attribute. Older
+ *  ones are expired. Default 1.
+ *
+ *  @return {this}
+ */
+Model.prototype.offline_queue = function (paramd) {
+    var self = this;
+
+    if (!paramd) {
+        self.__offlined = null;
+        self._expire_queued(true);
+        return self;
+    }
+
+    self._validate_offline_queue(paramd);
+
+    self.__offlined = _.defaults(paramd, {
+        ttl: 60 * 1000,
+        max_length: 1,
+    });
+
+    return self;
+};
+
+Model.prototype._validate_offline_queue = function (paramd) {
+    if (!_.is.Dictionary(paramd)) {
+        throw new Error("Model.offline_queue: 'paramd' must be a Dictionary or null, not: " + paramd);
+    }
+    if ((paramd.ttl !== undefined) && !_.is.Integer(paramd.ttl)) {
+        throw new Error("Model.offline_queue: 'paramd.ttl' must be an Integer, not: " + paramd.ttl);
+    }
+    if ((paramd.max_length !== undefined) && !_.is.Integer(paramd.max_length)) {
+        throw new Error("Model.offline_queue: 'paramd.max_length' must be an Integer, not: " + paramd.max_length);
+    }
+};
+
+/**
+ *  Queue the ostate values of these attributes
+ *  because the Thing is not reachable
+ *
+ *  @protected
+ */
+Model.prototype._queue_attributes = function (attributes, waiters) {
+    var self = this;
+
+    var now = Date.now();
+    var expires = now + self.__offlined.ttl;
+
+    attributes.map(function (attribute) {
+        var attribute_code = attribute.code();
+        var queued = self.__queuedd[attribute_code];
+        if (!queued) {
+            queued = self.__queuedd[attribute_code] = [];
+        }
+
+        queued.push({
+            value: attribute._ovalue,
+            expires: expires,
+            waiters: waiters.filter(function (waiter) {
+                return waiter.attribute_code === attribute_code;
+            }),
+        });
+
+        process.nextTick(function () {
+            self.__emitter.emit(EVENT_COMMAND_QUEUED, attribute_code, attribute._ovalue);
+        });
+
+        while (queued.length > self.__offlined.max_length) {
+            self._expire_queue_item(attribute_code, queued.shift());
+        }
+    });
+
+    if (!self.__queued_timer) {
+        self._expire_queued_later(self.__offlined.ttl + 1);
+    }
+};
+
+/**
+ *  @protected
+ */
+Model.prototype._expire_queued_later = function (delay) {
+    var self = this;
+
+    self.__queued_timer = setTimeout(function () {
+        self.__queued_timer = null;
+        self._expire_queued();
+    }, delay);
+
+    if (self.__queued_timer.unref) {
+        self.__queued_timer.unref();
+    }
+};
+
+/**
+ *  @protected
+ */
+Model.prototype._expire_queue_item = function (attribute_code, qitem) {
+    var self = this;
+
+    process.nextTick(function () {
+        self.__emitter.emit(EVENT_COMMAND_EXPIRED, attribute_code, qitem.value);
+    });
+
+    self._call_waiters(qitem.waiters, new Error("Model: command expired while Thing was not reachable"));
+};
+
+/**
+ *  Remove old queued commands. If nothing is left,
+ *  the ostate is cleared.
+ *
+ *  @param {boolean} all
+ *  Expire everything, no matter how old
+ *
+ *  @protected
+ */
+Model.prototype._expire_queued = function (all) {
+    var self = this;
+
+    var now = Date.now();
+    var next = null;
+    var expired = false;
+
+    _.keys(self.__queuedd).map(function (attribute_code) {
+        var queued = self.__queuedd[attribute_code];
+        while (queued.length && (all || (queued[0].expires <= now))) {
+            self._expire_queue_item(attribute_code, queued.shift());
+            expired = true;
+        }
+
+        if (queued.length === 0) {
+            delete self.__queuedd[attribute_code];
+        } else if ((next === null) || (queued[0].expires < next)) {
+            next = queued[0].expires;
+        }
+    });
+
+    if (self.__queued_timer) {
+        clearTimeout(self.__queued_timer);
+        self.__queued_timer = null;
+    }
+
+    if (next !== null) {
+        self._expire_queued_later(next - now + 1);
+    } else if (expired) {
+        self._clear_ostate();
+    }
+};
+
+/**
+ *  The Thing is reachable: send everything queued,
+ *  oldest first
+ *
+ *  @protected
+ */
+Model.prototype._replay_queued = function () {
+    var self = this;
+
+    if (_.isEmpty(self.__queuedd)) {
+        return;
+    }
+
+    var now = Date.now();
+    var queuedd = self.__queuedd;
+    var replayed = false;
+
+    self.__queuedd = {};
+
+    if (self.__queued_timer) {
+        clearTimeout(self.__queued_timer);
+        self.__queued_timer = null;
+    }
+
+    // the oldest command of each attribute is pushed first, then the next oldest, etc.
+    var rounds = [];
+    _.keys(queuedd).map(function (attribute_code) {
+        queuedd[attribute_code].map(function (qitem, qi) {
+            if (!rounds[qi]) {
+                rounds[qi] = [];
+            }
+
+            rounds[qi].push({
+                attribute_code: attribute_code,
+                qitem: qitem,
+            });
+        });
+    });
+
+    rounds.map(function (round) {
+        var attributes = [];
+
+        round.map(function (rd) {
+            if (rd.qitem.expires <= now) {
+                self._expire_queue_item(rd.attribute_code, rd.qitem);
+                return;
+            }
+
+            var attribute = self.__attributed[rd.attribute_code];
+            attribute._ovalue = rd.qitem.value;
+            attributes.push(attribute);
+
+            if (rd.qitem.waiters.length) {
+                self.__waitersd[rd.attribute_code] = (self.__waitersd[rd.attribute_code] || []).concat(rd.qitem.waiters);
+            }
+
+            process.nextTick(function () {
+                self.__emitter.emit(EVENT_COMMAND_REPLAYED, rd.attribute_code, rd.qitem.value);
+            });
+        });
+
+        if (attributes.length) {
+            self._push_attributes(attributes);
+            replayed = true;
+        }
+    });
+
+    if (!replayed) {
+        self._clear_ostate();
+    }
+};
+
+Model.prototype._clear_ostate = function () {
+    var self = this;
+
+    var changed = false;
+
+    self.__attributes.map(function (attribute) {
+        if ((attribute._ovalue === null) && !attribute._ochanged) {
+            return;
+        }
+
+        attribute._ochanged = false;
+        attribute._ovalue = null;
+
+        changed = true;
+    });
+
+    if (changed) {
+        self._otimestamp = _.timestamp.advance(self._otimestamp);
+        self.__emitter.emit("ostate", self);
+    }
+};
+
+Model.prototype._update_meta = function (band, updated, paramd) {
+    var self = this;
+
+    paramd = _.defaults(paramd, {
+        check_timestamp: false,
+        set_timestamp: true,
+        notify: true,
+    });
+
+    self.meta().update(updated, paramd);
+};
+
+/**
+ *  Set a value.
+ *
+ *  <p>
+ *  If this is not in a {@link Thing#start Model.start}/{@link Thing#end Model.end}
+ *  bracketing, the new value is pushed to the Bridge
+ *  and notifications are sent right away.
+ *
+ *  <p>
+ *  If it is inside, the push and the notifications
+ *  are deferred until the {@link Thing#end Model.end} occurs,
+ *  so several sets become a single push.
+ *
+ *  <p>
+ *  A set cancels any timed set still pending for
+ *  the same attribute. See {@link Thing#cancel Model.cancel}.
+ *
+ *  @param find_key
+ *  The key (see {@link Thing#_find Model.find} for possibilites)
+ *
+ *  @param {*} new_value
+ *  The value to set. Use <code>{ value: value, unit: unit }</code>
+ *  to convert it to the attribute's <code>iot:unit</code>.
+ *  Numbers without a unit are in the runner's preferred
+ *  unit, if there is one in the keystore's
+ *  <code>/homestar/runner/settings/units</code>.
+ *  Throws an Error if the value can't be converted
+ *
+ *  @param {number|undefined} paramd.delay
+ *  Wait this many milliseconds before setting
+ *
+ *  @param {number|undefined} paramd.transition
+ *  For numeric attributes, step from the current value
+ *  to the new value over this many milliseconds
+ *
+ *  @param {number|undefined} paramd.interval
+ *  Milliseconds between transition steps. Default 100
+ *
+ *  @param {number|undefined} paramd.duration
+ *  After this many milliseconds, set the attribute
+ *  back to the value it had before
+ *
+ *  @return {this}
+ */
+Model.prototype.set = function (find_key, new_value, paramd) {
+    var self = this;
+
+    // too common to allow exceptions to be thrown, but don't like it
+    if (new_value === undefined) {
+        console.trace();
+        logger.warn({
+            method: "Model.set",
+            find_key: find_key,
+            new_value: new_value,
+            cause: "usually a programmer error",
+        }, "new_value should not be undefined");
+        return;
+    }
+
+    self._validate_set(find_key, new_value, paramd);
+
+    paramd = _.defaults(paramd, {
+        delay: 0,
+        transition: 0,
+        interval: 100,
+        duration: 0,
+    });
+
+    // convert the attribute to an attribute code here
+    var rd = self.find(find_key, {
+        mode: "set",
+        strict: self.__strict,
+    });
+
+    if (rd === undefined) {
+        logger.warn({
+            method: "set",
+            find_key: find_key,
+            model_code: self.code(),
+            cause: "likely programmer error"
+        }, "attribute not found");
+        return self;
+    } else if (!rd.attribute) {
+        throw new Error("Model.set: internal error: impossible state for: " + find_key);
+    }
+
+    new_value = self._unit_in("set", rd.attribute, new_value);
+
+    self._set_attribute(rd.attribute, new_value, paramd);
+
+    return self;
+};
+
+/**
+ *  @protected
+ */
+Model.prototype._set_attribute = function (attribute, new_value, paramd) {
+    var self = this;
+
+    self._cancel_timer(attribute.code());
+
+    if (paramd.delay || paramd.transition || paramd.duration) {
+        self._set_timed(attribute, new_value, paramd);
+    } else {
+        self._set_now(attribute, new_value);
+    }
+};
+
+/**
+ *  @protected
+ */
+Model.prototype._set_now = function (attribute, new_value) {
+    var self = this;
+
+    // just to "update"
+    // iot:type == iot:type.null are "forced", i.e. always sent
+    var updated = {};
+    updated[attribute.code()] = new_value;
+    updated["@timestamp"] = _.timestamp.make();
+
+    var update_paramd = {
+        check_timestamp: false,
+        origin: ORIGIN_SET,
+        // force: rd.attribute.is_type_null(), // no longer needed - update checks
+    };
+
+    self.update("ostate", updated, update_paramd);
+};
+
+/**
+ *  Set with paramd.delay, paramd.transition and paramd.duration.
+ *  Each step waits on a timer in __timersd, so there is at most
+ *  one pending per attribute.
+ *
+ *  @protected
+ */
+Model.prototype._set_timed = function (attribute, new_value, paramd) {
+    var self = this;
+    var attribute_code = attribute.code();
+    var previous_value = null;
+
+    var _revert = function () {
+        if (!paramd.duration || (previous_value === null)) {
+            return;
+        }
+
+        self._set_timer(attribute_code, paramd.duration, function () {
+            self._set_now(attribute, previous_value);
+        });
+    };
+
+    var _transition = function () {
+        previous_value = self._current_value(attribute);
+
+        var start_value = previous_value;
+
+        var is_numeric = _.is.Number(start_value) && _.is.Number(new_value) &&
+            (_.intersection(attribute.types(), [constants.iot_integer, constants.iot_number]).length > 0);
+        if (!paramd.transition || !is_numeric) {
+            self._set_now(attribute, new_value);
+            return _revert();
+        }
+
+        var steps = Math.max(1, Math.ceil(paramd.transition / paramd.interval));
+        var step = 0;
+
+        var _step = function () {
+            step += 1;
+
+            if (step >= steps) {
+                self._set_now(attribute, new_value);
+                return _revert();
+            }
+
+            self._set_now(attribute, attribute.validate_value(start_value + (new_value - start_value) * step / steps));
+            self._set_timer(attribute_code, paramd.transition / steps, _step);
+        };
+
+        // step k is at k * interval, so the last is at the end of the transition
+        self._set_timer(attribute_code, paramd.transition / steps, _step);
+    };
+
+    if (paramd.delay) {
+        self._set_timer(attribute_code, paramd.delay, _transition);
+    } else {
+        _transition();
+    }
+};
+
+/**
+ *  @protected
+ */
+Model.prototype._set_timer = function (attribute_code, delay, f) {
+    var self = this;
+
+    self._cancel_timer(attribute_code);
+
+    var timer = setTimeout(function () {
+        delete self.__timersd[attribute_code];
+        f();
+    }, delay);
+    if (timer.unref) {
+        timer.unref();
+    }
+
+    self.__timersd[attribute_code] = timer;
+};
+
+/**
+ *  @protected
+ */
+Model.prototype._cancel_timer = function (attribute_code) {
+    var self = this;
+
+    var timer = self.__timersd[attribute_code];
+    if (timer) {
+        clearTimeout(timer);
+        delete self.__timersd[attribute_code];
+    }
+};
+
+/**
+ *  Cancel timed sets (delays, transitions and durations)
+ *  and push retries that haven't finished yet.
+ *  Whatever has been set already stays.
+ *
+ *  @param find_key
+ *  The key (see {@link Thing#_find Model.find} for possibilites).
+ *  If undefined, cancel everything.
+ *
+ *  @return {this}
+ */
+Model.prototype.cancel = function (find_key) {
+    var self = this;
+
+    if (find_key === undefined) {
+        _.keys(self.__timersd).map(function (attribute_code) {
+            self._cancel_timer(attribute_code);
+        });
+        self._retry_cancel();
+
+        return self;
+    }
+
+    self._validate_cancel(find_key);
+
+    var rd = self.find(find_key, {
+        mode: "set",
+    });
+    if (rd && rd.attribute) {
+        self._cancel_timer(rd.attribute.code());
+        self._retry_cancel(rd.attribute.code());
+    }
+
+    return self;
+};
+
+Model.prototype._validate_cancel = function (find_key) {
+    if (!_.is.FindKey(find_key)) {
+        throw new Error("Model.cancel: 'find_key' must be a String or a Dictionary");
+    }
+};
+
+Model.prototype._validate_set = function (find_key, new_value, paramd) {
+    if (!_.is.FindKey(find_key)) {
+        throw new Error("Model.set: 'find_key' must be a String or a Dictionary");
+    }
+    if (new_value === undefined) {
+        throw new Error("Model.set: 'new_value' must not be undefined");
+    }
+    if (_.is.Dictionary(new_value) && (new_value.unit !== undefined)) {
+        if (!_.is.String(new_value.unit)) {
+            throw new Error("Model.set: 'new_value.unit' must be a String, not: " + new_value.unit);
+        }
+        if (!_.is.Number(new_value.value)) {
+            throw new Error("Model.set: 'new_value.value' must be a Number, not: " + new_value.value);
+        }
+    }
+
+    if (paramd === undefined) {
+        return;
+    } else if (!_.is.Dictionary(paramd)) {
+        throw new Error("Model.set: 'paramd' must be a Dictionary, not: " + paramd);
+    }
+
+    ["delay", "transition", "interval", "duration"].map(function (key) {
+        if ((paramd[key] !== undefined) && (!_.is.Number(paramd[key]) || (paramd[key] < 0))) {
+            throw new Error("Model.set: 'paramd." + key + "' must be a non-negative Number, not: " + paramd[key]);
+        }
+    });
+    if (paramd.interval === 0) {
+        throw new Error("Model.set: 'paramd.interval' must not be 0");
+    }
+};
+
+/**
+ *  Like {@link Thing#set Model.set}, but returns a Promise
+ *  that resolves (with this) once the Bridge has accepted the value.
+ *
+ *  <p>
+ *  It rejects with the Bridge's error, if the Thing is not
+ *  reachable or is disconnected, or if the Bridge does not
+ *  finish in time.
+ *  If nothing needs to be sent, e.g. because the value
+ *  is already being set, it resolves right away.
+ *  Inside a transaction, the Promise resolves after
+ *  the {@link Thing#end Model.end}'s push.
+ *
+ *  @param find_key
+ *  The key (see {@link Thing#_find Model.find} for possibilites)
+ *
+ *  @param {*} new_value
+ *  The value to set
+ *
+ *  @param {dictionary} paramd
+ *  @param {integer} paramd.timeout
+ *  Milliseconds to wait for the Bridge. 0 means wait forever.
+ *
+ *  @return {Promise}
+ */
+Model.prototype.set_async = function (find_key, new_value, paramd) {
+    var self = this;
+
+    paramd = _.defaults(paramd, {
+        timeout: 10 * 1000,
+    });
+
+    return new Promise(function (resolve, reject) {
+        self._validate_set(find_key, new_value);
+
+        var rd = self.find(find_key, {
+            mode: "set",
+            strict: self.__strict,
+        });
+        if (!rd || !rd.attribute) {
+            return reject(new Error("Model.set_async: attribute not found: " + find_key));
+        }
+
+        var attribute_code = rd.attribute.code();
+        var timer = null;
+
+        var is_settled = false;
+        var waiter = function (error) {
+            if (is_settled) {
+                return;
+            }
+            is_settled = true;
+
+            if (timer) {
+                clearTimeout(timer);
+                timer = null;
+            }
+
+            var ax = self.__asyncs.indexOf(waiter);
+            if (ax !== -1) {
+                self.__asyncs.splice(ax, 1);
+            }
+
+            if (error) {
+                reject(error);
+            } else {
+                resolve(self);
+            }
+        };
+        waiter.attribute_code = attribute_code;
+
+        var _remove_waiter = function () {
+            var waiters = self.__waitersd[attribute_code] || [];
+            var wx = waiters.indexOf(waiter);
+            if (wx === -1) {
+                return false;
+            }
+
+            waiters.splice(wx, 1);
+            if (waiters.length === 0) {
+                delete self.__waitersd[attribute_code];
+            }
+
+            return true;
+        };
+
+        if (!self.__waitersd[attribute_code]) {
+            self.__waitersd[attribute_code] = [];
+        }
+        self.__waitersd[attribute_code].push(waiter);
+
+        try {
+            self.set(find_key, new_value);
+        } catch (x) {
+            _remove_waiter();
+            return reject(x);
+        }
+
+        // nothing was pushed, unless waiting for the transaction to end
+        var is_waiting = self._transaction && self._transaction._pushd[attribute_code];
+        if (!is_waiting && _remove_waiter()) {
+            return waiter(null);
+        } else if (is_settled) {
+            return;
+        }
+
+        self.__asyncs.push(waiter);
+
+        if (paramd.timeout) {
+            timer = setTimeout(function () {
+                timer = null;
+
+                _remove_waiter();
+                waiter(new Error("Model.set_async: timeout waiting for the Bridge: " + find_key));
+            }, paramd.timeout);
+            if (timer.unref) {
+                timer.unref();
+            }
+        }
+    });
+};
+
+/**
+ *  Reject everything waiting in {@link Thing#set_async Model.set_async}
+ *
+ *  @protected
+ */
+Model.prototype._async_cancel = function () {
+    var self = this;
+
+    self.__asyncs.slice().map(function (waiter) {
+        waiter(new Error("Model: disconnected"));
+    });
+};
+
+/**
+ *  Flip a boolean attribute. The current value
+ *  is the istate, or the ostate if that's not known.
+ *
+ *  @param find_key
+ *  The key (see {@link Thing#_find Model.find} for possibilites)
+ *
+ *  @return {this}
+ */
+Model.prototype.toggle = function (find_key) {
+    var self = this;
+
+    self._validate_toggle(find_key);
+
+    var attribute = self._find_adjustable("toggle", find_key, [constants.iot_boolean]);
+    if (!attribute) {
+        return self;
+    }
+
+    return self._set_adjusted("toggle", attribute, !self._current_value(attribute));
+};
+
+Model.prototype._validate_toggle = function (find_key) {
+    if (!_.is.FindKey(find_key)) {
+        throw new Error("Model.toggle: 'find_key' must be a String or a Dictionary");
+    }
+};
+
+/**
+ *  Add to a numeric attribute. The current value
+ *  is the istate, or the ostate if that's not known,
+ *  or the <code>iot:minimum</code> (or 0) if neither is.
+ *  The result is clamped to <code>iot:minimum</code>
+ *  and <code>iot:maximum</code>.
+ *
+ *  @param find_key
+ *  The key (see {@link Thing#_find Model.find} for possibilites)
+ *
+ *  @param {number|undefined} delta
+ *  How much to add, default 1
+ *
+ *  @return {this}
+ */
+Model.prototype.increment = function (find_key, delta) {
+    var self = this;
+
+    if (delta === undefined) {
+        delta = 1;
+    }
 
-    attributes.map(function (attribute) {
-        var attribute_code = attribute.code();
-        var attribute_value = attribute._ovalue;
+    self._validate_increment(find_key, delta);
 
-        if (mapping !== undefined) {
-            var md = mapping[attribute_code];
-            if (md !== undefined) {
-                var v = md[attribute_value];
-                if (v === undefined) {
-                    v = md[_.ld.compact(attribute_value)];
-                }
-                if (v !== undefined) {
-                    attribute_value = v;
-                }
-            }
-        }
+    var attribute = self._find_adjustable("increment", find_key, [constants.iot_integer, constants.iot_number]);
+    if (!attribute) {
+        return self;
+    }
 
-        _.d.set(pushd, attribute_code, attribute_value);
+    var value = self._current_value(attribute);
+    if (!_.is.Number(value)) {
+        value = _.ld.first(attribute, constants.iot_minimum, 0);
+    }
 
-        // set iot:clear-value and the ostate will always revert to null
-        if (_.ld.first(attribute, constants.iot_clear_value)) {
-            attribute._ovalue = null;
-        }
-    });
+    return self._set_adjusted("increment", attribute, value + delta);
+};
 
-    // nothing to do?
-    if (_.isEmpty(pushd)) {
-        return;
+Model.prototype._validate_increment = function (find_key, delta) {
+    if (!_.is.FindKey(find_key)) {
+        throw new Error("Model.increment: 'find_key' must be a String or a Dictionary");
     }
+    if (!_.is.Number(delta)) {
+        throw new Error("Model.increment: 'delta' must be a Number, not: " + delta);
+    }
+};
 
-    // do the push - on the nextTick
-    process.nextTick(function () {
-        if (!self.bridge_instance) {
-            return;
-        }
+/**
+ *  Subtract from a numeric attribute.
+ *  See {@link Thing#increment Model.increment}.
+ *
+ *  @param find_key
+ *  The key (see {@link Thing#_find Model.find} for possibilites)
+ *
+ *  @param {number|undefined} delta
+ *  How much to subtract, default 1
+ *
+ *  @return {this}
+ */
+Model.prototype.decrement = function (find_key, delta) {
+    var self = this;
 
-        self._pushes++;
+    if (delta === undefined) {
+        delta = 1;
+    }
 
-        try {
-            self.bridge_instance.push(pushd, function (error) {
-                if (error) {
-                    logger.error({
-                        error: _.error.message(error),
-                        cause: "likely in the Bridge",
-                    }, "unexpected error pushing");
-                }
+    self._validate_decrement(find_key, delta);
 
-                if (--self._pushes === 0) {
-                    self._clear_ostate();
-                }
-            });
-        } catch (x) {
-            logger.error({
-                exception: _.error.message(x),
-                cause: "likely in the Bridge",
-                stack: x.stack,
-            }, "unexpected exception pushing");
-
-            if (--self._pushes === 0) {
-                self._clear_ostate();
-            }
-        }
+    return self.increment(find_key, -delta);
+};
 
-        if (self._pushes < 0) {
-            throw new Error("pushes decremeneted below 0!!!");
-        }
-    });
+Model.prototype._validate_decrement = function (find_key, delta) {
+    if (!_.is.FindKey(find_key)) {
+        throw new Error("Model.decrement: 'find_key' must be a String or a Dictionary");
+    }
+    if (!_.is.Number(delta)) {
+        throw new Error("Model.decrement: 'delta' must be a Number, not: " + delta);
+    }
 };
 
-Model.prototype._clear_ostate = function () {
+/**
+ *  Find a writable attribute of one of these types
+ *
+ *  @protected
+ */
+Model.prototype._find_adjustable = function (method, find_key, types) {
     var self = this;
 
-    var changed = false;
-
-    self.__attributes.map(function (attribute) {
-        if ((attribute._ovalue === null) && !attribute._ochanged) {
-            return;
-        }
+    var rd = self.find(find_key, {
+        mode: "set",
+        strict: self.__strict,
+    });
+    if (!rd || !rd.attribute) {
+        logger.warn({
+            method: method,
+            find_key: find_key,
+            model_code: self.code(),
+            cause: "likely programmer error"
+        }, "attribute not found");
+        return null;
+    }
 
-        attribute._ochanged = false;
-        attribute._ovalue = null;
+    var is_type = _.intersection(rd.attribute.types(), types).length > 0;
+    if (!is_type) {
+        logger.error({
+            method: method,
+            find_key: find_key,
+            types: rd.attribute.types(),
+            model_code: self.code(),
+            cause: "likely programmer error"
+        }, "attribute is the wrong type");
+        return null;
+    }
 
-        changed = true;
-    });
+    return rd.attribute;
+};
 
-    if (changed) {
-        self._otimestamp = _.timestamp.advance(self._otimestamp);
-        self.__emitter.emit("ostate", self);
+/**
+ *  The istate, or the ostate if there's no istate
+ *
+ *  @protected
+ */
+Model.prototype._current_value = function (attribute) {
+    if (attribute._ivalue !== null) {
+        return attribute._ivalue;
+    } else {
+        return attribute._ovalue;
     }
 };
 
-Model.prototype._update_meta = function (band, updated, paramd) {
+/**
+ *  @protected
+ */
+Model.prototype._set_adjusted = function (method, attribute, new_value) {
     var self = this;
 
-    paramd = _.defaults(paramd, {
-        check_timestamp: false,
-        set_timestamp: true,
-        notify: true,
-    });
+    new_value = attribute.validate_value(new_value);
+    if (new_value === undefined) {
+        logger.error({
+            method: method,
+            attribute_code: attribute.code(),
+            model_code: self.code(),
+        }, "could not validate new value");
+        return self;
+    }
 
-    self.meta().update(updated, paramd);
+    // already in the attribute's iot:unit
+    self._set_attribute(attribute, new_value, {});
+
+    return self;
 };
 
 /**
- *  Set a value.
- *
- *  <p>
- *  If this is not in a {@link Thing#start Model.start}/{@link Thing#end Model.end}
- *  bracketing, no callback notifications will be sent,
- *  the new_value will be validated against the attribute
- *  immediately, and the thing will be validated immediately.
+ *  Start a transaction. Until the matching
+ *  {@link Thing#end Model.end}, all changes are collected:
+ *  ostate changes are sent to the Bridge in a single push,
+ *  and state/istate/ostate notifications are sent once.
  *
  *  <p>
- *  If it is inside, all those checks will be deferred
- *  until the {@link Thing#end Model.end} occurs.
- *
- *  @param find_key
- *  The key (see {@link Thing#_find Model.find} for possibilites)
+ *  Transactions can be nested. Only the outermost
+ *  {@link Thing#end Model.end} does the work.
  *
- *  @param {*} new_value
- *  The value to set
+ *  @return {this}
  */
-Model.prototype.set = function (find_key, new_value) {
+Model.prototype.start = function () {
     var self = this;
 
-    // too common to allow exceptions to be thrown, but don't like it
-    if (new_value === undefined) {
-        console.trace();
-        logger.warn({
-            method: "Model.set",
-            find_key: find_key,
-            new_value: new_value,
-            cause: "usually a programmer error",
-        }, "new_value should not be undefined");
-        return;
+    if (self._transaction) {
+        self._transactions.push(self._transaction);
     }
 
-    self._validate_set(find_key, new_value);
+    self._transaction = {
+        _pushd: {},
+        _notifyd: {},
+    };
 
-    // convert the attribute to an attribute code here
-    var rd = self.find(find_key, {
-        mode: "set",
-    });
+    return self;
+};
 
-    if (rd === undefined) {
-        logger.warn({
-            method: "set",
-            find_key: find_key,
+/**
+ *  End a transaction started with {@link Thing#start Model.start}.
+ *
+ *  @return {this}
+ */
+Model.prototype.end = function () {
+    var self = this;
+
+    var transaction = self._transaction;
+    if (!transaction) {
+        logger.error({
+            method: "end",
             model_code: self.code(),
-            cause: "likely programmer error"
-        }, "attribute not found");
+            cause: "likely programmer error",
+        }, "end called without start");
         return self;
-    } else if (!rd.attribute) {
-        throw new Error("Model.set: internal error: impossible state for: " + find_key);
     }
 
-    // just to "update"
-    // iot:type == iot:type.null are "forced", i.e. always sent
-    var updated = {};
-    updated[rd.attribute.code()] = new_value;
-    updated["@timestamp"] = _.timestamp.make();
+    // nested - the outer transaction takes everything over
+    if (self._transactions.length) {
+        self._transaction = self._transactions.pop();
 
-    var update_paramd = {
-        check_timestamp: false,
-        // force: rd.attribute.is_type_null(), // no longer needed - update checks
-    };
+        _.extend(self._transaction._pushd, transaction._pushd);
+        _.mapObject(transaction._notifyd, function (notifyd, attribute_code) {
+            self._do_notify_merge(self._transaction._notifyd, attribute_code, notifyd);
+        });
 
-    self.update("ostate", updated, update_paramd);
+        return self;
+    }
+
+    self._transaction = null;
+
+    self._do_pushes(transaction._pushd);
+    self._do_notifies(transaction._notifyd);
+    self._do_notifies_send();
+
+    return self;
 };
 
-Model.prototype._validate_set = function (find_key, new_value) {
-    if (!_.is.FindKey(find_key)) {
-        throw new Error("Model.set: 'find_key' must be a String or a Dictionary");
+/**
+ *  Call <code>f(thing)</code> inside a
+ *  {@link Thing#start Model.start}/{@link Thing#end Model.end}
+ *  bracketing. The transaction is ended even if
+ *  <code>f</code> throws an exception.
+ *
+ *  @param {function} f
+ *  The function to call
+ *
+ *  @return {this}
+ */
+Model.prototype.transaction = function (f) {
+    var self = this;
+
+    self._validate_transaction(f);
+
+    self.start();
+    try {
+        f(self);
+    } finally {
+        self.end();
     }
-    if (new_value === undefined) {
-        throw new Error("Model.set: 'new_value' must not be undefined");
+
+    return self;
+};
+
+Model.prototype._validate_transaction = function (f) {
+    if (!_.is.Function(f)) {
+        throw new Error("Model.transaction: 'f' must be a function");
     }
 };
 
@@ -1185,11 +3583,14 @@ Model.prototype._explain_one = function (find_key, paramd) {
  *
  *  @param find_key
  *  The key to monitor for changes
- *  (see {@link Thing#_find Model.find} for possibilites)
+ *  (see {@link Thing#_find Model.find} for possibilites),
+ *  or null for every attribute without its own callbacks
  *
  *  @param {function} callback
  *  The callback function, which takes
- *  ( thing, attribute, new_value ) as arguments
+ *  ( thing, attribute, new_value, changed ) as arguments.
+ *  <code>changed</code> is the change event, as described
+ *  in {@link Thing#on_change Model.on_change}
  *
  *  @return
  *  this
@@ -1202,7 +3603,10 @@ Model.prototype.on = function (find_key, callback) {
     self._validate_on(find_key, callback);
 
     /* HORRIBLE. */
-    if ((find_key === "state") || (find_key === "meta") || (find_key === "istate") || (find_key === "ostate")) {
+    if ((find_key === "state") || (find_key === "meta") || (find_key === "istate") || (find_key === "ostate") ||
+        (find_key === EVENT_COMMAND_QUEUED) || (find_key === EVENT_COMMAND_EXPIRED) || (find_key === EVENT_COMMAND_REPLAYED) ||
+        (find_key === EVENT_COMMAND_CONFIRMED) || (find_key === EVENT_COMMAND_DIVERGED) ||
+        (find_key === EVENT_ATTRIBUTE_STALE)) {
         self.__emitter.on(find_key, function (a, b, c) {
             callback(self, a, b, c); /* LAZY */
         });
@@ -1256,8 +3660,8 @@ Model.prototype.on = function (find_key, callback) {
 };
 
 Model.prototype._validate_on = function (find_key, callback) {
-    if (!_.is.FindKey(find_key)) {
-        throw new Error("Model.on: 'find_key' must be a String or a Dictionary");
+    if ((find_key !== null) && !_.is.FindKey(find_key)) {
+        throw new Error("Model.on: 'find_key' must be null, a String or a Dictionary");
     }
     if (!_.is.Function(callback)) {
         throw new Error("Model.on: 'callback' must be a function");
@@ -1270,7 +3674,11 @@ Model.prototype._validate_on = function (find_key, callback) {
  *
  *  @param {function} callback
  *  The callback function, which takes
- *  ( thing, changed_attributes ) as arguments
+ *  ( thing, changed_attribute_codes, changes ) as arguments.
+ *  Each change is a dictionary of <code>attribute_code</code>,
+ *  <code>value</code>, <code>previous</code>, <code>band</code>,
+ *  <code>@timestamp</code> and <code>origin</code>
+ *  ("bridge", "set", "restore", "stale" or "update")
  *
  */
 Model.prototype.on_change = function (callback) {
@@ -1278,8 +3686,12 @@ Model.prototype.on_change = function (callback) {
 
     self._validate_on_change(callback);
 
-    self.__emitter.on(EVENT_THING_CHANGED, function (thing) {
-        callback(self, []);
+    self.__emitter.on(EVENT_THING_CHANGED, function (thing, changes) {
+        changes = changes || [];
+
+        callback(self, _.uniq(_.pluck(changes, "attribute_code")), changes.map(function (changed) {
+            return _.d.clone.shallow(changed);
+        }));
     });
 
     return self;
@@ -1367,11 +3779,11 @@ Model.prototype.pull = function () {
  *  across the Bridge to make the change
  *  actually happen.
  *
- *  If there is a no stack or immediate is
+ *  If there is a no transaction or immediate is
  *  <b>true</b>, do the push immediately.
  *  Otherwise we store for later bulk push.
  *
- *  @param attributes
+ *  @param attribute
  *  The {@link Attribute} to push
  *
  *  @param immediate
@@ -1394,133 +3806,190 @@ Model.prototype._do_push = function (attribute, immediate) {
 };
 
 /**
- *  Notify listened of this updated attribute.
+ *  Push all the attributes in one go
+ *
+ *  @param attributed
+ *  A dictionary of {@link Attribute}, which are all the
+ *  attributes to be sent to the Bridge
+ *
+ *  @protected
+ */
+Model.prototype._do_pushes = function (attributed) {
+    var self = this;
+
+    var attributes = _.values(attributed);
+    if (_.isEmpty(attributes)) {
+        return;
+    }
+
+    self._push_attributes(attributes);
+};
+
+/**
+ *  Notify listeners of this updated attribute.
  *
- *  If there is a no stack or immediate is
+ *  If there is a no transaction or immediate is
  *  <b>true</b>, do the notifications immediately.
  *  Otherwise we store for later bulk notifications.
  *
- *  @param attributes
+ *  @param attribute
  *  The {@link Attribute} that triggers notifications
  *
+ *  @param changed
+ *  The change event, see {@link Thing#_make_changed Model._make_changed}
+ *
  *  @param immediate
  *  If true, notify immediately no matter what
  *
  *  @protected
  */
-Model.prototype._do_notify = function (attribute, immediate) {
+Model.prototype._do_notify = function (attribute, changed, immediate) {
     var self = this;
 
+    var notifyd = {
+        attribute: attribute,
+        changed: changed,
+    };
+
     if (!self._transaction || immediate) {
-        var attributed = {};
-        attributed[attribute.code()] = attribute;
+        var notifydd = {};
+        notifydd[attribute.code()] = notifyd;
 
-        self._do_notifies(attributed);
-        self._do_notifies_istate(attributed);
-        self._do_notifies_ostate(attributed);
+        self._do_notifies(notifydd);
         self._do_notifies_send();
     } else {
-        self._transaction._notifyd[attribute.code()] = attribute;
+        self._do_notify_merge(self._transaction._notifyd, attribute.code(), notifyd);
     }
 };
 
 /**
- *  Do a whole bunch of notifies, one for each
- *  attribute in attributes. Events are bubbled
- *  to parents (clearly identifying the original source!)
- *
- *  <p>
- *  XXX - There's likely a billion things wrong with this code
- *
- *  @param attributed
- *  A dictionary of {@link Attribute}, which are all the changed
- *  attributes.
+ *  Several changes to the same attribute become one,
+ *  keeping the earliest previous value
  *
  *  @protected
  */
-Model.prototype._do_notifies = function (attributed) {
-    var self = this;
-    var any = false;
-
-    var _do_notifies_attribute = function (attribute_key, attribute) {
-        any = true;
+Model.prototype._do_notify_merge = function (notifydd, attribute_code, notifyd) {
+    var old_notifyd = notifydd[attribute_code];
+    if (old_notifyd) {
+        notifyd.changed.previous = old_notifyd.changed.previous;
+    }
 
-        var attribute_value = null;
-        if (attribute._ivalue != null) {
-            attribute_value = attribute._ivalue;
-        } else if (attribute._ovalue != null) {
-            attribute_value = attribute._ovalue;
-        }
+    notifydd[attribute_code] = notifyd;
+};
 
-        var callbacks = self.__callbacksd[attribute_key];
-        if (callbacks === undefined) {
-            callbacks = self.__callbacksd[null];
-        }
-        if (callbacks) {
-            callbacks.map(function (callback) {
-                callback(self, attribute, attribute_value);
-            });
-        }
+/**
+ *  Make a change event
+ *
+ *  @protected
+ */
+Model.prototype._make_changed = function (attribute, band, previous, timestamp, origin) {
+    return {
+        attribute_code: attribute.code(),
+        value: (band === "istate") ? attribute._ivalue : attribute._ovalue,
+        previous: (previous === undefined) ? null : previous,
+        band: band,
+        "@timestamp": timestamp,
+        origin: origin,
     };
-
-    for (var attribute_key in attributed) {
-        _do_notifies_attribute(attribute_key, attributed[attribute_key]);
-    }
-
-    // levels of hackdom here
-    if (any) {
-        this.__emitter.emit(EVENT_THING_CHANGED, self);
-    }
 };
 
 /**
- *  This does istate/ostate notifications
+ *  Record a change for {@link Thing#on_change Model.on_change}.
+ *  These are sent by {@link Thing#_do_notifies_send Model._do_notifies_send}
+ *
+ *  @protected
  */
-Model.prototype._do_notifies_istate = function (attributed) {
+Model.prototype._do_change = function (changed) {
     var self = this;
 
-
-    for (var attribute_key in attributed) {
-        var attribute = attributed[attribute_key];
-
-        self._ichanged |= attribute._ichanged;
-
-        attribute._ichanged = false;
+    var key = changed.band + " " + changed.attribute_code;
+    var old_changed = self._changesd[key];
+    if (old_changed) {
+        changed.previous = old_changed.previous;
     }
+
+    self._changesd[key] = changed;
 };
 
-Model.prototype._do_notifies_ostate = function (attributed) {
+/**
+ *  Do a whole bunch of notifies, one for each
+ *  attribute in attributes. Callbacks happen nextTick
+ *
+ *  @param notifydd
+ *  A dictionary of <code>{ attribute, changed }</code>,
+ *  for all the changed attributes.
+ *
+ *  @protected
+ */
+Model.prototype._do_notifies = function (notifydd) {
     var self = this;
 
-    // console.log("DPJ._do_notifies_ostate: START CHECK NOTIFIES");
-
-    for (var attribute_key in attributed) {
-        var attribute = attributed[attribute_key];
-
-        self._ochanged |= attribute._ochanged;
+    var _do_notifies_attribute = function (attribute_key, notifyd) {
+        var callbacks = self.__callbacksd[attribute_key];
+        if (callbacks === undefined) {
+            callbacks = self.__callbacksd[null];
+        }
+        if (!callbacks) {
+            return;
+        }
 
-        // if (attribute._ochanged) { console.log("HERE:DPJ: OSTATE CHANGED", self._thing_id, attribute_key, attribute._ovalue); }
+        var attribute = notifyd.attribute;
+        callbacks.map(function (callback) {
+            process.nextTick(function () {
+                callback(self, attribute, attribute._ivalue, _.d.clone.shallow(notifyd.changed));
+            });
+        });
+    };
 
-        attribute._ochanged = false;
+    for (var attribute_key in notifydd) {
+        _do_notifies_attribute(attribute_key, notifydd[attribute_key]);
     }
-
-    // console.log("DPJ._do_notifies_ostate: END CHECK NOTIFIES");
 };
 
+/**
+ *  This does state/istate/ostate notifications,
+ *  at most once each. Callbacks happen nextTick
+ *
+ *  @protected
+ */
 Model.prototype._do_notifies_send = function () {
     var self = this;
 
+    if (!_.isEmpty(self._changesd)) {
+        var changes = _.values(self._changesd);
+        self._changesd = {};
+
+        process.nextTick(function () {
+            self.__emitter.emit(EVENT_THING_CHANGED, self, changes);
+        });
+    }
+
     if (self._ichanged) {
         self._ichanged = false;
-        self.__emitter.emit("istate", self);
+        process.nextTick(function () {
+            self.__emitter.emit("istate", self);
+        });
     }
 
     if (self._ochanged) {
         self._ochanged = false;
-        self.__emitter.emit("ostate", self);
+        process.nextTick(function () {
+            self.__emitter.emit("ostate", self);
+        });
     }
 };
 
+/**
+ *  @protected
+ */
+Model.prototype._find_submodel = function (path) {
+    var self = this;
+
+    return _.find(self.__submodels, function (submodel) {
+        return submodel.code === path;
+    }) || null;
+};
+
 /**
  *  Find the {@link Attribute attribute} or {@link Thing subthing}
  *  of a key in this.
@@ -1529,7 +3998,9 @@ Model.prototype._do_notifies_send = function () {
  *  If find_key is a string, it is split by the "/"
  *  character.
  *  All the except the last parts are traversed
- *  through submodels. The last part is then checked
+ *  through submodels. Leading parts that aren't
+ *  submodels are ignored, so e.g. "stove/on" works
+ *  on a stove. The last part is then checked
  *  by the following rules:
  *
  *  <ul>
@@ -1558,6 +4029,18 @@ Model.prototype._do_notifies_send = function () {
  *  @param {string|Attribute} find_key
  *  The key to find, noting the rules above
  *
+ *  @param {string|null} paramd.path
+ *  If not null, only look at attributes of the
+ *  sub-model at this path ("" is the top level)
+ *
+ *  @param {boolean} paramd.all
+ *  Return an Array of every match, rather than choosing one
+ *
+ *  @param {string|boolean} paramd.strict
+ *  If "warn", log a warning if more than one attribute
+ *  could be chosen for this mode. If "throw" or true,
+ *  throw an Error instead. See {@link Thing#strict Model.strict}
+ *
  *  @return {undefined|dictionary}
  *  If nothing is found, undefined.
  *  Otherwise a dictionary describing whether
@@ -1576,13 +4059,24 @@ Model.prototype.find = function (find_key, paramd) {
     paramd = _.defaults(paramd, {
         mode: "get",
         expand: true,
+        path: null,
+        all: false,
+        strict: false,
     });
 
     if (_.is.String(find_key)) {
-        var subkeys = find_key.replace(/\/+/, "").split("/");
+        var subkeys = find_key.replace(/^\/+/, "").split("/");
         var thing = self;
 
-        var last_key = subkeys[subkeys.length - 1];
+        var last_key = subkeys.pop();
+
+        // leading keys that aren't sub-models are ignored, e.g. "stove/oven/:temperature" on a "stove"
+        while ((subkeys.length > 0) && !self._find_submodel(subkeys.join("/"))) {
+            subkeys.shift();
+        }
+
+        var path = subkeys.join("/");
+
         if (last_key.substring(0, 1) === ":") {
             d = {};
             d[constants.iot_purpose] = _.ld.expand("iot-purpose:" + last_key.substring(1));
@@ -1590,6 +4084,9 @@ Model.prototype.find = function (find_key, paramd) {
             return thing.find(d, {
                 mode: paramd.mode,
                 expand: false,
+                path: path,
+                all: paramd.all,
+                strict: paramd.strict,
             });
         } else if (last_key.indexOf(":") > -1) {
             d = {};
@@ -1598,18 +4095,23 @@ Model.prototype.find = function (find_key, paramd) {
             return thing.find(d, {
                 mode: paramd.mode,
                 expand: false,
+                path: path,
+                all: paramd.all,
+                strict: paramd.strict,
             });
         }
 
-        attribute = thing.__attributed[last_key];
+        attribute = thing.__attributed[path ? path + "/" + last_key : last_key];
         if (attribute !== undefined) {
-            return {
+            d = {
                 thing: thing,
                 attribute: attribute
             };
+
+            return paramd.all ? [d] : d;
         }
 
-        return undefined;
+        return paramd.all ? [] : undefined;
     } else {
         if (paramd.expand) {
             find_key = _.ld.expand(find_key);
@@ -1620,6 +4122,10 @@ Model.prototype.find = function (find_key, paramd) {
         for (var ai = 0; ai < attributes.length; ai++) {
             attribute = attributes[ai];
 
+            if ((paramd.path !== null) && (_code_path(attribute.code()) !== paramd.path)) {
+                continue;
+            }
+
             var all = true;
             for (var match_key in find_key) {
                 /*
@@ -1667,6 +4173,12 @@ Model.prototype.find = function (find_key, paramd) {
 
         // console.log("DEC28: matches", matches);
 
+        if (paramd.all) {
+            return matches;
+        } else if (paramd.strict && (matches.length > 1)) {
+            self._find_ambiguous(find_key, matches, paramd);
+        }
+
         /*
          *  Because there's paired items with the same semantic meaning
          *  e.g. (on / on-value), we have to choose which one we want
@@ -1709,6 +4221,166 @@ Model.prototype.find = function (find_key, paramd) {
 
 };
 
+/**
+ *  Called when a find_key matches more than one attribute
+ *  in strict mode. It is only ambiguous if more than one
+ *  could be used for the mode, i.e. writable for "set"
+ *  or readable for "get" and "on"
+ *
+ *  @protected
+ */
+Model.prototype._find_ambiguous = function (find_key, matches, paramd) {
+    var self = this;
+
+    var candidates = matches.filter(function (match) {
+        if (paramd.mode === "set") {
+            return match.attribute.is_write();
+        } else {
+            return match.attribute.is_read();
+        }
+    });
+    if (candidates.length === 0) {
+        candidates = matches;
+    } else if (candidates.length === 1) {
+        return;
+    }
+
+    var attribute_codes = candidates.map(function (match) {
+        return match.attribute.code();
+    });
+
+    if (paramd.strict === "warn") {
+        logger.warn({
+            method: paramd.mode,
+            find_key: _.ld.compact(find_key),
+            attribute_codes: attribute_codes,
+            model_code: self.code(),
+            cause: "the Model has more than one attribute with the same purpose",
+        }, "ambiguous find_key");
+    } else {
+        throw new Error("Model." + paramd.mode + ": ambiguous find_key " + JSON.stringify(_.ld.compact(find_key)) +
+            " matches: " + attribute_codes.join(", "));
+    }
+};
+
+/**
+ *  Find every {@link Attribute} matching find_key,
+ *  rather than just the one {@link Thing#find Model.find} chooses.
+ *
+ *  @param find_key
+ *  The key (see {@link Thing#_find Model.find} for possibilites)
+ *
+ *  @return {array}
+ *  Dictionaries of <code>{ thing, attribute, read, write }</code>,
+ *  where <code>read</code> and <code>write</code> are the attribute's role
+ */
+Model.prototype.find_all = function (find_key) {
+    var self = this;
+
+    self._validate_find_all(find_key);
+
+    return self.find(find_key, {
+        all: true,
+    }).map(function (match) {
+        return {
+            thing: match.thing,
+            attribute: match.attribute,
+            read: match.attribute.is_read(),
+            write: match.attribute.is_write(),
+        };
+    });
+};
+
+Model.prototype._validate_find_all = function (find_key) {
+    if (!_.is.FindKey(find_key)) {
+        throw new Error("Model.find_all: 'find_key' must be a String or a Dictionary");
+    }
+};
+
+/**
+ *  What to do when {@link Thing#get Model.get} or
+ *  {@link Thing#set Model.set} are called with a key
+ *  that matches more than one attribute.
+ *  See {@link Thing#lint Model.lint} to find these in advance.
+ *
+ *  @param {string|boolean} mode
+ *  false (the default) quietly chooses one; "warn" logs
+ *  a warning; "throw" or true throws an Error
+ *
+ *  @return {this}
+ */
+Model.prototype.strict = function (mode) {
+    var self = this;
+
+    self._validate_strict(mode);
+
+    self.__strict = (mode === true) ? "throw" : mode;
+
+    return self;
+};
+
+Model.prototype._validate_strict = function (mode) {
+    if ((mode !== false) && (mode !== true) && (mode !== "warn") && (mode !== "throw")) {
+        throw new Error("Model.strict: 'mode' must be true, false, 'warn' or 'throw', not: " + mode);
+    }
+};
+
+/**
+ *  Look for problems in the Model. Right now
+ *  this lists purposes that have more than one readable
+ *  or more than one writable attribute, which makes
+ *  keys like ":on" ambiguous.
+ *
+ *  @return {array}
+ *  Dictionaries of <code>{ purpose, path, role, attribute_codes }</code>.
+ *  Empty if there's no problems.
+ */
+Model.prototype.lint = function () {
+    var self = this;
+
+    var groupd = {};
+    self.attributes().map(function (attribute) {
+        var path = _code_path(attribute.code());
+
+        _.ld.list(attribute, constants.iot_purpose, []).map(function (purpose) {
+            var key = path + " " + purpose;
+            var group = groupd[key];
+            if (!group) {
+                group = groupd[key] = {
+                    path: path,
+                    purpose: purpose,
+                    attributes: [],
+                };
+            }
+
+            group.attributes.push(attribute);
+        });
+    });
+
+    var problems = [];
+    _.values(groupd).map(function (group) {
+        ["read", "write"].map(function (role) {
+            var attributes = group.attributes.filter(function (attribute) {
+                return (role === "read") ? attribute.is_read() : attribute.is_write();
+            });
+            if (attributes.length < 2) {
+                return;
+            }
+
+            problems.push({
+                purpose: _.ld.compact(group.purpose),
+                path: group.path,
+                role: role,
+                attribute_codes: attributes.map(function (attribute) {
+                    return attribute.code();
+                }),
+            });
+        });
+    });
+
+    return problems;
+};
+
 /**
  *  Return a Transmogrified version of this Thing.
  */
@@ -1803,6 +4475,12 @@ Model.prototype.disconnect = function () {
     var self = this;
     var wait = 0;
 
+    self._verify_cancel();
+    self._stale_cancel();
+    self._filter_cancel();
+    self.cancel();
+    self._async_cancel();
+
     if (self.bridge_instance) {
         if (self.bridge_instance.disconnect) {
             wait = self.bridge_instance.disconnect();
@@ -1818,6 +4496,35 @@ var reachabled = {};
 
 /**
  *  Note it's OK if we're already bound - this will just replace it
+ *
+ *  <p>
+ *  The binding can have a <code>mapping</code>, a dictionary
+ *  of attribute code to how values are changed between
+ *  the Model and the Bridge. Keys that don't start with
+ *  <code>@</code> are enumerations, Model value to Bridge value.
+ *  These are transforms, shown as Model to Bridge
+ *  (they're reversed when pulling):
+ *  <ul>
+ *  <li><code>@invert</code>: if true, flip booleans
+ *  <li><code>@scale</code>, <code>@offset</code>: Model value = Bridge value * scale + offset
+ *  <li><code>@unit</code>: the Bridge's unit, converted to and from the attribute's <code>iot:unit</code>
+ *  <li><code>@push</code>, <code>@pull</code>: functions called as <code>f(value, attribute)</code>
+ *  <li><code>@template</code>: a string with <code>{value}</code> in it, e.g. <code>"L{value}"</code>
+ *  </ul>
+ *
+ *  <p>
+ *  The binding can have <code>filters</code>, a dictionary
+ *  of attribute code to the filters applied to values
+ *  pulled from the Bridge, in this order:
+ *  <ul>
+ *  <li><code>average</code> or <code>median</code>: over the last N numbers
+ *  <li><code>round</code>: numbers to this precision, e.g. 0.5
+ *  <li><code>deadband</code>: ignore numbers that change less than this (hysteresis)
+ *  <li><code>min_interval</code>: at most one value every this many milliseconds
+ *  <li><code>debounce</code>: only the last value after it has settled for this many milliseconds
+ *  </ul>
+ *  Values held back by <code>min_interval</code> or
+ *  <code>debounce</code> are delivered later.
  */
 Model.prototype.bind_bridge = function (bridge_instance) {
     const self = this;
@@ -1835,11 +4542,18 @@ Model.prototype.bind_bridge = function (bridge_instance) {
         self.connection_changed();
     };
 
+    self._filter_cancel();
+    self.__filterd = {};
+
     self.bridge_instance = bridge_instance;
     if (self.bridge_instance) {
         var mapping = self.bridge_instance.binding.mapping;
+        var filtersd = self.bridge_instance.binding.filters;
         self.bridge_instance.pulled = function (pulld) {
             _reachable_changed(bridge_instance.reachable() ? true : false);
+            if (bridge_instance.reachable()) {
+                self._replay_queued();
+            }
             
             if (!pulld) {
                 // pontetially we could implement metadata evolution
@@ -1854,25 +4568,24 @@ Model.prototype.bind_bridge = function (bridge_instance) {
                             continue;
                         }
 
-                        // reverse lookup in dictionary
-                        var attribute_value = pulld[attribute_code];
-                        var cattribute_value = _.ld.compact(attribute_value);
-
-                        for (var mkey in md) {
-                            var mvalue = md[mkey];
-                            if ((mvalue === attribute_value) || (mvalue === cattribute_value)) {
-                                pulld[attribute_code] = mkey;
-                                break;
-                            }
+                        var attribute_value = _mapping_pull(md, pulld[attribute_code], self.__attributed[attribute_code]);
+                        if (attribute_value === undefined) {
+                            delete pulld[attribute_code];
+                        } else {
+                            pulld[attribute_code] = attribute_value;
                         }
                     }
                 }
 
+                pulld = self._filter_pulled(pulld, filtersd);
+
                 if (!pulld["@timestamp"]) {
                     pulld["@timestamp"] = _.timestamp.make();
                 }
 
-                var paramd = {};
+                var paramd = {
+                    origin: ORIGIN_BRIDGE,
+                };
                 if (pulld["@__validate"]) {
                     delete pulld["@__validate"];
                     paramd.validate = true;
@@ -1896,6 +4609,10 @@ Model.prototype.bind_bridge = function (bridge_instance) {
     }
 
     _reachable_changed(bridge_instance.reachable() ? true : false);
+    if (bridge_instance.reachable()) {
+        self._replay_queued();
+    }
+
     self.meta_changed();
 
     return self;
@@ -1905,61 +4622,334 @@ Model.prototype._validate_bind_bridge = function (bridge_instance) {
     if (!_.is.Bridge(bridge_instance)) {
         throw new Error("Model.bind_bridge: 'bridge_instance' must be a Bridge, not: " + bridge_instance);
     }
+
+    if (bridge_instance.binding) {
+        this._validate_binding_mapping(bridge_instance.binding.mapping);
+        this._validate_binding_filters(bridge_instance.binding.filters);
+    }
 };
 
-var make_model_from_jsonld = function (d) {
-    var jsonld = _.ld.compact(d);
+Model.prototype._validate_binding_mapping = function (mapping) {
+    if (mapping === undefined) {
+        return;
+    } else if (!_.is.Dictionary(mapping)) {
+        throw new Error("Model.bind_bridge: 'binding.mapping' must be a Dictionary, not: " + mapping);
+    }
 
-    if (jsonld["@type"] !== "iot:Model") {
-        return null;
+    _.mapObject(mapping, function (md, attribute_code) {
+        var prefix = "Model.bind_bridge: 'binding.mapping." + attribute_code;
+
+        if (!_.is.Dictionary(md)) {
+            throw new Error(prefix + "' must be a Dictionary, not: " + md);
+        }
+
+        _.keys(md).map(function (key) {
+            if (!key.match(/^@/)) {
+                return;
+            }
+
+            var value = md[key];
+
+            if (MAPPING_KEYS.indexOf(key) === -1) {
+                throw new Error(prefix + "' has an unknown transform: " + key);
+            } else if ((key === "@scale") && (!_.is.Number(value) || (value === 0))) {
+                throw new Error(prefix + "." + key + "' must be a non-zero Number, not: " + value);
+            } else if ((key === "@offset") && !_.is.Number(value)) {
+                throw new Error(prefix + "." + key + "' must be a Number, not: " + value);
+            } else if ((key === "@invert") && !_.is.Boolean(value)) {
+                throw new Error(prefix + "." + key + "' must be a Boolean, not: " + value);
+            } else if ((key === "@unit") && !_.is.String(value)) {
+                throw new Error(prefix + "." + key + "' must be a String, not: " + value);
+            } else if ((key === "@template") && (!_.is.String(value) || (value.indexOf("{value}") === -1))) {
+                throw new Error(prefix + "." + key + "' must be a String containing {value}, not: " + value);
+            } else if (((key === "@push") || (key === "@pull")) && !_.is.Function(value)) {
+                throw new Error(prefix + "." + key + "' must be a Function, not: " + value);
+            }
+        });
+    });
+};
+
+Model.prototype._validate_binding_filters = function (filtersd) {
+    if (filtersd === undefined) {
+        return;
+    } else if (!_.is.Dictionary(filtersd)) {
+        throw new Error("Model.bind_bridge: 'binding.filters' must be a Dictionary, not: " + filtersd);
+    }
+
+    _.mapObject(filtersd, function (filterd, attribute_code) {
+        var prefix = "Model.bind_bridge: 'binding.filters." + attribute_code;
+
+        if (!_.is.Dictionary(filterd)) {
+            throw new Error(prefix + "' must be a Dictionary, not: " + filterd);
+        }
+        if (filterd.average && filterd.median) {
+            throw new Error(prefix + "' cannot have both 'average' and 'median'");
+        }
+
+        _.keys(filterd).map(function (key) {
+            var value = filterd[key];
+
+            if (FILTER_KEYS.indexOf(key) === -1) {
+                throw new Error(prefix + "' has an unknown filter: " + key);
+            } else if ((key === "average") || (key === "median")) {
+                if (!_.is.Integer(value) || (value < 1)) {
+                    throw new Error(prefix + "." + key + "' must be a positive Integer, not: " + value);
+                }
+            } else if (key === "round") {
+                if (!_.is.Number(value) || (value <= 0)) {
+                    throw new Error(prefix + "." + key + "' must be a positive Number, not: " + value);
+                }
+            } else if (!_.is.Number(value) || (value < 0)) {
+                throw new Error(prefix + "." + key + "' must be a non-negative Number, not: " + value);
+            }
+        });
+    });
+};
+
+/**
+ *  Apply the binding's <code>filters</code> to a pulled
+ *  istate (see {@link Thing#bind_bridge Model.bind_bridge}).
+ *  Values that are held back or ignored are removed.
+ *
+ *  @protected
+ */
+Model.prototype._filter_pulled = function (pulld, filtersd) {
+    var self = this;
+
+    if (!filtersd) {
+        return pulld;
+    }
+
+    pulld = self._flatten_submodels(pulld);
+
+    _.mapObject(filtersd, function (filterd, attribute_code) {
+        if (pulld[attribute_code] === undefined) {
+            return;
+        }
+
+        var value = self._filter_value(attribute_code, filterd, pulld[attribute_code]);
+        if (value === undefined) {
+            delete pulld[attribute_code];
+        } else {
+            pulld[attribute_code] = value;
+        }
+    });
+
+    return pulld;
+};
+
+/**
+ *  Returns the value to use now, or undefined if
+ *  it's ignored or will be delivered later
+ *
+ *  @protected
+ */
+Model.prototype._filter_value = function (attribute_code, filterd, value) {
+    var self = this;
+
+    var stated = self.__filterd[attribute_code];
+    if (!stated) {
+        stated = self.__filterd[attribute_code] = {
+            samples: [],
+            last: undefined,
+            last_when: 0,
+            pending: undefined,
+            timer: null,
+        };
+    }
+
+    if (_.is.Number(value)) {
+        var samples = filterd.average || filterd.median;
+        if (samples) {
+            stated.samples.push(value);
+            if (stated.samples.length > samples) {
+                stated.samples.shift();
+            }
+
+            value = filterd.average ? _filter_average(stated.samples) : _filter_median(stated.samples);
+        }
+
+        if (filterd.round) {
+            value = _filter_round(value, filterd.round);
+        }
+
+        // compared to what the istate will be
+        var reference = stated.timer ? stated.pending : stated.last;
+        if (filterd.deadband && _.is.Number(reference) && (Math.abs(value - reference) < filterd.deadband)) {
+            return undefined;
+        }
+    }
+
+    if (stated.timer) {
+        clearTimeout(stated.timer);
+        stated.timer = null;
+    }
+
+    var now = Date.now();
+    var wait = filterd.debounce || 0;
+    if (filterd.min_interval) {
+        wait = Math.max(wait, stated.last_when + filterd.min_interval - now);
+    }
+
+    if (wait > 0) {
+        stated.pending = value;
+        stated.timer = setTimeout(function () {
+            stated.timer = null;
+            stated.pending = undefined;
+            stated.last = value;
+            stated.last_when = Date.now();
+
+            var updated = {
+                "@timestamp": _.timestamp.make(),
+            };
+            updated[attribute_code] = value;
+
+            self.update("istate", updated, {
+                origin: ORIGIN_BRIDGE,
+            });
+        }, wait);
+        if (stated.timer.unref) {
+            stated.timer.unref();
+        }
+
+        return undefined;
+    }
+
+    stated.last = value;
+    stated.last_when = now;
+
+    return value;
+};
+
+/**
+ *  Drop any values being held back by filters
+ *
+ *  @protected
+ */
+Model.prototype._filter_cancel = function () {
+    var self = this;
+
+    _.values(self.__filterd).map(function (stated) {
+        if (stated.timer) {
+            clearTimeout(stated.timer);
+            stated.timer = null;
+            stated.pending = undefined;
+        }
+    });
+};
+
+/**
+ *  An expanded JSON-LD value as a plain value:
+ *  the IRI of a node reference, the value of a
+ *  value object, an Array for lists and multiple values
+ *
+ *  @protected
+ */
+var _from_jsonld_value = function (value) {
+    if (_.is.Array(value)) {
+        var values = value.map(_from_jsonld_value);
+        return (values.length === 1) ? values[0] : values;
+    } else if (!_.is.Dictionary(value)) {
+        return value;
+    } else if (value["@list"] !== undefined) {
+        return value["@list"].map(_from_jsonld_value);
+    } else if (value["@value"] !== undefined) {
+        return value["@value"];
+    } else if (value["@id"] !== undefined) {
+        return value["@id"];
+    } else {
+        return value;
     }
+};
+
+/**
+ *  The Model for an expanded JSON-LD node. Sub-models are
+ *  made the same way and added with ModelMaker.submodel.
+ *  Attribute and sub-model ids are paths from the
+ *  top, e.g. "#oven/temperature", so 'prefix' is removed.
+ *
+ *  @private
+ */
+var _make_model_from_jsonld_node = function (md, code, prefix) {
+    var _code = function (nd) {
+        var id = (nd["@id"] || "").replace(/^.*#/, '');
+        if (id.substring(0, prefix.length) === prefix) {
+            id = id.substring(prefix.length);
+        }
 
-    var base_url = jsonld["@context"]["@base"];
-    var base_name = path.basename(url.parse(base_url).path).replace(/^.*:/, '');
+        return id;
+    };
 
-    var mmaker = iotdb.make_model(base_name);
+    var mmaker = iotdb.make_model(code);
 
-    for (var dkey in d) {
+    for (var dkey in md) {
         if (dkey.match(/^@/)) {
             continue;
-        } else if (dkey === "iot:attribute") {
+        } else if (dkey === constants.iot_attribute) {
             continue;
-        } else if (dkey.indexOf(':') === -1) {
+        } else if (dkey === constants.iot_submodel) {
             continue;
         } else {
-            mmaker.property_value(dkey, d[dkey]);
+            mmaker.property_value(dkey, _from_jsonld_value(md[dkey]));
         }
     }
 
-    var ads = jsonld["iot:attribute"];
+    var ads = md[constants.iot_attribute] || [];
     for (var ai in ads) {
         var ad = ads[ai];
-        var a_type = ad["@type"];
-        if (a_type !== "iot:Attribute") {
+        if (!_.contains(ad["@type"] || [], constants.iot_Attribute)) {
             continue;
         }
 
         var amaker = new attribute.Attribute();
-
-        var a_id = ad["@id"];
-        var a_code = a_id.replace(/^.*#/, '');
-        amaker.code(a_code);
+        amaker.code(_code(ad));
 
         for (var akey in ad) {
-            var avalue = ad[akey];
-
-            if (akey === "@id") {} else if (akey === "@type") {} else if (akey.indexOf(':') === -1) {} else {
-                amaker.property(akey, avalue);
+            if (akey.match(/^@/)) {
+                continue;
             }
+
+            amaker.property(akey, _from_jsonld_value(ad[akey]));
         }
 
         amaker.make();
         mmaker.attribute(amaker);
     }
 
+    var sds = md[constants.iot_submodel] || [];
+    for (var si in sds) {
+        var sd = sds[si];
+        if (!_.contains(sd["@type"] || [], constants.iot_Model)) {
+            continue;
+        }
+
+        var s_code = _code(sd);
+        mmaker.submodel(s_code, _make_model_from_jsonld_node(sd, s_code, prefix + s_code + "/"));
+    }
+
     return mmaker.make();
 };
 
+/**
+ *  Make a Model from JSON-LD. The document is
+ *  expanded first, so it may use its own @context
+ *  (cached contexts only, see _.ld.context.add)
+ */
+var make_model_from_jsonld = function (d) {
+    var nds = _.ld.jsonld.expand(d);
+    var md = _.find(nds, function (nd) {
+        return _.contains(nd["@type"] || [], constants.iot_Model);
+    });
+    if (!md) {
+        return null;
+    }
+
+    var model_id = url.parse(md["@id"] || "");
+    var base_name = path.basename(model_id.pathname || model_id.path || "").replace(/^.*:/, '');
+
+    return _make_model_from_jsonld_node(md, base_name, "");
+};
+
 /*
  *  API
  */
@@ -96,6 +96,8 @@ var ModelMaker = function (_code) {
     this.__help = null;
     this.__facets = [];
     this.__propertyd = {};
+    this.__deriveds = [];
+    this.__submodels = [];
 };
 
 /**
@@ -294,6 +296,139 @@ ModelMaker.prototype.attribute = function (attribute) {
     return self;
 };
 
+/**
+ *  Add a derived {@link Attribute} to the {@link Thing} being made.
+ *  Its value is computed from other attributes whenever
+ *  they change in the "istate". Derived attributes
+ *  are read-only and are marked <code>iot:derived</code>.
+ *
+ *  <pre>
+    .derived(
+        attribute.make_boolean("on"),
+        [ "brightness" ],
+        function (brightness) {
+            return brightness > 0;
+        }
+    )
+ *  </pre>
+ *
+ *  @param {Attribute} attribute
+ *  The attribute to add
+ *
+ *  @param {array} input_codes
+ *  The codes of the attributes it is computed from
+ *
+ *  @param {function} compute
+ *  Called with the input values in the same order as
+ *  <code>input_codes</code>, with the Thing as <code>this</code>.
+ *  It is not called if any input is null.
+ *
+ *  @return {this}
+ */
+ModelMaker.prototype.derived = function (attribute, input_codes, compute) {
+    var self = this;
+
+    self._validate_derived(attribute, input_codes, compute);
+
+    attribute.property_value(constants.iot_read, true, {
+        array: false
+    });
+    attribute.property_value(constants.iot_write, false, {
+        array: false
+    });
+    attribute.property_value(constants.iot_derived, true, {
+        array: false
+    });
+
+    self.attribute(attribute);
+
+    var code = attribute.code();
+    self.__deriveds = self.__deriveds.filter(function (derived) {
+        return derived.code !== code;
+    });
+    self.__deriveds.push({
+        code: code,
+        input_codes: input_codes.slice(),
+        compute: compute,
+    });
+
+    return self;
+};
+
+ModelMaker.prototype._validate_derived = function (attribute, input_codes, compute) {
+    if (!_.is.Object(attribute) || !_.is.Function(attribute.code)) {
+        throw new Error("ModelMaker.derived: 'attribute' must be an Attribute");
+    }
+    if (!_.is.Array(input_codes) || (input_codes.length === 0)) {
+        throw new Error("ModelMaker.derived: 'input_codes' must be a non-empty Array");
+    }
+    if (!_.is.Function(compute)) {
+        throw new Error("ModelMaker.derived: 'compute' must be a function");
+    }
+};
+
+/**
+ *  Embed another model in the {@link Thing} being made,
+ *  e.g. the oven of a stove. Its attributes are
+ *  added with codes like <code>oven/temperature</code>,
+ *  and can be found with keys like <code>oven/:temperature</code>.
+ *
+ *  @param {string} code
+ *  The name of the sub-model in this model
+ *
+ *  @param {function} SubModel
+ *  The class returned by {@link ModelMaker#make ModelMaker.make}
+ *
+ *  @return {this}
+ */
+ModelMaker.prototype.submodel = function (code, SubModel) {
+    var self = this;
+
+    self._validate_submodel(code, SubModel);
+
+    var sub = new SubModel();
+    var _path = function (sub_code) {
+        return code + "/" + sub_code;
+    };
+
+    self.__submodels.push({
+        code: code,
+        name: sub.name(),
+        description: sub.description(),
+    });
+    sub.__submodels.map(function (submodel) {
+        self.__submodels.push(_.defaults({
+            code: _path(submodel.code),
+        }, submodel));
+    });
+
+    sub.attributes().map(function (sub_attribute) {
+        var attribute = _.d.clone.deep(sub_attribute);
+        attribute.code(_path(sub_attribute.code()));
+
+        self.attribute(attribute);
+    });
+
+    sub.__deriveds.map(function (derived) {
+        self.__deriveds.push({
+            code: _path(derived.code),
+            input_codes: derived.input_codes.map(_path),
+            compute: derived.compute,
+        });
+    });
+
+    return self;
+};
+
+ModelMaker.prototype._validate_submodel = function (code, SubModel) {
+    if (!_.is.String(code) || !code.match(/^[^\/:@#]+$/)) {
+        throw new Error("ModelMaker.submodel: 'code' must be a String without '/', ':', '@' or '#', not: " + code);
+    }
+    if (!_.is.Model(SubModel)) {
+        throw new Error("ModelMaker.submodel: 'SubModel' must be a Model");
+    }
+};
+
 /*
  *  Action
  */
@@ -430,6 +565,14 @@ ModelMaker.prototype.make = function () {
         throw new Error("ModelMaker.make: 'code' must be defined");
     }
 
+    self.__deriveds.map(function (derived) {
+        derived.input_codes.map(function (input_code) {
+            if (!self.__attributed[input_code]) {
+                throw new Error("ModelMaker.make: derived attribute '" + derived.code + "' input not found: " + input_code);
+            }
+        });
+    });
+
     var new_thing = function (paramd) {
         paramd = paramd !== undefined ? paramd : {};
 
@@ -451,8 +594,28 @@ ModelMaker.prototype.make = function () {
         this.__push_keys = [];
         this.__facets = self.__facets;
         this.__propertyd = _.d.clone.shallow(self.__propertyd);
+        this.__deriveds = self.__deriveds;
+        this.__submodels = self.__submodels;
 
         this.__callbacksd = {};
+        this.__waitersd = {};
+        this.__asyncs = [];
+        this.__offlined = null;
+        this.__queuedd = {};
+        this.__queued_timer = null;
+        this.__retryd = null;
+        this.__retries = [];
+        this.__historyd = null;
+        this.__historiesd = {};
+        this.__strict = false;
+        this.__verifyd = null;
+        this.__verifyingd = {};
+        this.__divergedd = {};
+        this.__timersd = {};
+        this.__stalenessd = null;
+        this.__ttld = {};
+        this.__staled = {};
+        this.__filterd = {};
         this._transaction = null;
         this._transactions = [];
 
@@ -467,11 +630,14 @@ ModelMaker.prototype.make = function () {
             out_attribute._ichanged = false;
             out_attribute._ovalue = null;
             out_attribute._ochanged = false;
+            out_attribute._opushes = 0;
 
             this.__attributes.push(out_attribute);
             this.__attributed[out_attribute.code()] = out_attribute;
         }
 
+        this._changesd = {};
+
         this._ichanged = false;
         this._itimestamp = _.timestamp.epoch();
 
@@ -81,6 +81,10 @@ Modules.prototype.use = function (module_name, module) {
 };
 
 Modules.prototype._use_setup = function (module_name, module) {
+    var self = this;
+
+    self._setup_namespaces(module_name, module);
+
     if (!module.setup) {
         return;
     }
@@ -295,6 +299,9 @@ Modules.prototype._load_setup = function () {
 
     for (var module_name in self._moduled) {
         var module = self._moduled[module_name];
+
+        self._setup_namespaces(module_name, module);
+
         if (!module.setup) {
             continue;
         }
@@ -315,6 +322,29 @@ Modules.prototype._load_setup = function () {
     }
 };
 
+/**
+ *  Modules can declare their own vocabularies with
+ *  <code>exports.namespaces = { prefix: iri }</code>.
+ *  These are registered before <code>setup</code> is called,
+ *  which may also call <code>_.ld.namespace.register</code>
+ */
+Modules.prototype._setup_namespaces = function (module_name, module) {
+    _.mapObject(module.namespaces || {}, function (iri, prefix) {
+        try {
+            _.ld.namespace.register(prefix, iri);
+        } catch (x) {
+            logger.error({
+                method: "_setup_namespaces",
+                module_name: module_name,
+                prefix: prefix,
+                iri: iri,
+                cause: "the module's namespace conflicts with another module or the keystore",
+                error: _.error.message(x),
+            }, "namespace not registered");
+        }
+    });
+};
+
 var _modules;
 
 /**
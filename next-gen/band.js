@@ -67,6 +67,8 @@ Band.prototype.list = function(key, otherwise) {
 };
 
 Band.prototype.update = function(updated, paramd) {
+    const self = this;
+
     paramd = _.d.compose.shallow(paramd, {
         add_timestamp: true,
         check_timestamp: true,
@@ -74,6 +76,8 @@ Band.prototype.update = function(updated, paramd) {
     });
 
     var utimestamp = updated["@timestamp"];
+    _.timestamp.receive(utimestamp);
+
     if (paramd.add_timestamp && !utimestamp) {
         utimestamp = _.timestamp.make();
     }
@@ -112,6 +116,10 @@ Band.prototype.update = function(updated, paramd) {
         }
     }
 
+    if (is_changed && utimestamp) {
+        self._timestamp = utimestamp;
+    }
+
     if (is_changed && paramd.emit) {
         process.nextTick(function() {
             self._thing.emit(self._band);
@@ -122,6 +130,8 @@ Band.prototype.update = function(updated, paramd) {
 };
 
 Band.prototype.timestamp = function() {
+    const self = this;
+
     return self._timestamp;
 };
 
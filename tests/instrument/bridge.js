@@ -0,0 +1,49 @@
+/*
+ *  instrument/bridge.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  A Bridge that records what is pushed to it,
+ *  for testing Models
+ */
+
+"use strict";
+
+var bridge = require("../../bridge");
+
+/**
+ *  paramd.reachable: value returned by reachable()
+ *  paramd.push: called as push(pushd, done) instead of done()
+ */
+var make_bridge = function (paramd) {
+    paramd = paramd || {};
+
+    var b = new bridge.Bridge();
+    b.binding = paramd.binding || {};
+    b.pushes = [];
+    b._reachable = (paramd.reachable !== undefined) ? paramd.reachable : true;
+
+    b.meta = function () {
+        return {
+            "iot:thing-id": paramd.thing_id || "urn:test:thing",
+        };
+    };
+    b.reachable = function () {
+        return b._reachable;
+    };
+    b.push = function (pushd, done) {
+        b.pushes.push(pushd);
+
+        if (paramd.push) {
+            paramd.push(pushd, done);
+        } else {
+            done();
+        }
+    };
+
+    return b;
+};
+
+exports.make_bridge = make_bridge;
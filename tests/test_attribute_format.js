@@ -50,6 +50,49 @@ describe('test_attribute_format:', function(){
         assert.strictEqual("#000000", wrap_validate(a, '#000000'));
         assert.strictEqual("#FF00FF", wrap_validate(a, '#FF00FF'));
     });
+    it('HSV - bad', function(){
+        var a = attribute.make_string("value").reading()
+            .format("hsv")
+
+        assert.strictEqual(undefined, wrap_validate(a, ''));
+        assert.strictEqual(undefined, wrap_validate(a, 'hsv(1,2)'));
+        assert.strictEqual('hsv(0,0,0)', wrap_validate(a, '', {
+            use_otherwise : true
+        }));
+        assert.strictEqual('hsv(10,1,1)', wrap_validate(a, '', {
+            use_otherwise : true,
+            otherwise_hsv : 'hsv(10,1,1)'
+        }));
+    });
+    it('HSV - good', function(){
+        var a = attribute.make_string("value").reading()
+            .format("hsv")
+
+        assert.strictEqual("hsv(30,1,0.5)", wrap_validate(a, 'hsv(30, 100%, 50%)'));
+        assert.strictEqual("hsv(30,1,0.5)", wrap_validate(a, 'HSV(390,1,0.5)'));
+        assert.strictEqual("hsv(120,1,1)", wrap_validate(a, '120,2,1'));
+        assert.strictEqual("hsv(0,1,1)", wrap_validate(a, '#FF0000'));
+        assert.strictEqual("hsv(240,1,1)", wrap_validate(a, 'blue'));
+    });
+    it('xy - bad', function(){
+        var a = attribute.make_string("value").reading()
+            .format("xy")
+
+        assert.strictEqual(undefined, wrap_validate(a, ''));
+        assert.strictEqual(undefined, wrap_validate(a, 'xy(1)'));
+        assert.strictEqual('xy(0.3127,0.329)', wrap_validate(a, '', {
+            use_otherwise : true
+        }));
+    });
+    it('xy - good', function(){
+        var a = attribute.make_string("value").reading()
+            .format("xy")
+
+        assert.strictEqual("xy(0.3127,0.329)", wrap_validate(a, 'xy(0.3127, 0.329)'));
+        assert.strictEqual("xy(0.5,0.4)", wrap_validate(a, '0.5,0.4'));
+        assert.strictEqual("xy(0.3127,0.329)", wrap_validate(a, '#FFFFFF'));
+        assert.strictEqual("xy(0.64,0.33)", wrap_validate(a, 'red'));
+    });
     it('datetime', function(){
         var a = attribute.make_string("value").reading()
             .format("datetime")
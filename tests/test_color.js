@@ -325,4 +325,90 @@ describe('test_color', function() {
             assert.strictEqual(_.color.color_to_hex("David's Red", null), null);
         });
     });
+    describe('conversions', function() {
+        var _close = function(ad, bd, places) {
+            for (var key in bd) {
+                assert.ok(Math.abs(ad[key] - bd[key]) < Math.pow(10, -(places || 6)),
+                    key + ": " + ad[key] + " != " + bd[key]);
+            }
+        };
+        var rgbs = [
+            { r: 0, g: 0, b: 0 },
+            { r: 1, g: 1, b: 1 },
+            { r: 1, g: 0, b: 0 },
+            { r: 0, g: 1, b: 0 },
+            { r: 0, g: 0, b: 1 },
+            { r: 1, g: 0.5, b: 0 },
+            { r: 0.2, g: 0.4, b: 0.6 },
+            { r: 0.9, g: 0.1, b: 0.7 },
+        ];
+
+        it('hex', function() {
+            assert.deepEqual(_.color.hex_to_rgb("#FF0000"), { r: 1, g: 0, b: 0 });
+            assert.deepEqual(_.color.hex_to_rgb("blue"), { r: 0, g: 0, b: 1 });
+            assert.strictEqual(_.color.hex_to_rgb("David's Red"), null);
+            assert.strictEqual(_.color.hex_to_rgb(12, "otherwise"), "otherwise");
+            assert.strictEqual(_.color.rgb_to_hex({ r: 1, g: 0.5, b: 0 }), "#FF8000");
+            assert.strictEqual(_.color.rgb_to_hex(_.color.hex_to_rgb("#04050A")), "#04050A");
+        });
+        it('hsv', function() {
+            assert.deepEqual(_.color.rgb_to_hsv({ r: 1, g: 0.5, b: 0 }), { h: 30, s: 1, v: 1 });
+            assert.deepEqual(_.color.hsv_to_rgb({ h: 240, s: 1, v: 0.5 }), { r: 0, g: 0, b: 0.5 });
+            assert.deepEqual(_.color.hsv_to_rgb({ h: 480, s: 1, v: 1 }), { r: 0, g: 1, b: 0 });
+        });
+        it('hsv round trip', function() {
+            rgbs.forEach(function(rgbd) {
+                _close(_.color.hsv_to_rgb(_.color.rgb_to_hsv(rgbd)), rgbd);
+            });
+        });
+        it('hsl', function() {
+            assert.deepEqual(_.color.rgb_to_hsl({ r: 0.2, g: 0.4, b: 0.6 }), { h: 210, s: 0.5, l: 0.4 });
+            assert.deepEqual(_.color.hsl_to_rgb({ h: 0, s: 1, l: 0.5 }), { r: 1, g: 0, b: 0 });
+        });
+        it('hsl round trip', function() {
+            rgbs.forEach(function(rgbd) {
+                _close(_.color.hsl_to_rgb(_.color.rgb_to_hsl(rgbd)), rgbd);
+            });
+        });
+        it('xy', function() {
+            _close(_.color.rgb_to_xy({ r: 1, g: 1, b: 1 }), { x: 0.3127, y: 0.3290, brightness: 1 }, 4);
+            _close(_.color.rgb_to_xy({ r: 1, g: 0, b: 0 }), { x: 0.64, y: 0.33 }, 4);
+            assert.deepEqual(_.color.rgb_to_xy({ r: 0, g: 0, b: 0 }), { x: 0.3127, y: 0.3290, brightness: 0 });
+            _close(_.color.xy_to_rgb({ x: 0.3127, y: 0.3290 }), { r: 1, g: 1, b: 1 }, 3);
+        });
+        it('xy round trip', function() {
+            rgbs.forEach(function(rgbd) {
+                _close(_.color.xy_to_rgb(_.color.rgb_to_xy(rgbd)), rgbd, 5);
+            });
+        });
+        it('xy gamut clamping', function() {
+            assert.deepEqual(_.color.xy_clamp({ x: 0.3, y: 0.3 }), { x: 0.3, y: 0.3 });
+            assert.deepEqual(_.color.xy_clamp({ x: 0.8, y: 0.2, brightness: 0.5 }), { x: 0.64, y: 0.33, brightness: 0.5 });
+            assert.deepEqual(_.color.xy_clamp({ x: 0.1, y: 0.8 }, "hue_c"), { x: 0.17, y: 0.7 });
+
+            var xyd = _.color.xy_clamp({ x: 0.4, y: 0.1 }, "hue_b");
+            assert.ok(xyd.x < 0.4);
+            assert.ok(xyd.y > 0.1);
+
+            assert.throws(function() {
+                _.color.xy_clamp({ x: 0.3, y: 0.3 }, "nowhere");
+            }, Error);
+        });
+        it('kelvin', function() {
+            assert.deepEqual(_.color.kelvin_to_rgb(6600), { r: 1, g: 1, b: 1 });
+            assert.strictEqual(_.color.kelvin_to_rgb(2000).r, 1);
+            assert.ok(_.color.kelvin_to_rgb(2000).b < 0.1);
+            assert.strictEqual(_.color.kelvin_to_rgb(10000).b, 1);
+        });
+        it('kelvin round trip', function() {
+            [ 1500, 2000, 2700, 4000, 6500, 10000, 20000 ].forEach(function(kelvin) {
+                assert.ok(Math.abs(_.color.rgb_to_kelvin(_.color.kelvin_to_rgb(kelvin)) - kelvin) <= 1, kelvin);
+            });
+        });
+        it('mired round trip', function() {
+            [ 153, 250, 370, 500 ].forEach(function(mired) {
+                assert.strictEqual(_.color.rgb_to_mired(_.color.mired_to_rgb(mired)), mired);
+            });
+        });
+    });
 });
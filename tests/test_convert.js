@@ -448,4 +448,203 @@ describe('test_convert', function() {
             });
         });
     });
+    describe('units', function() {
+        var _convert = function(from, to, value) {
+            return _.convert.convert({
+                from: 'iot-unit:' + from,
+                to: 'iot-unit:' + to,
+                value: value,
+            });
+        };
+
+        it('length', function() {
+            assert.strictEqual(_convert('length.imperial.mile', 'length.si.metre', 1), 1609.344);
+            assert.strictEqual(_convert('length.imperial.foot', 'length.imperial.inch', 1), 12);
+        });
+        it('mass', function() {
+            assert.strictEqual(_convert('mass.imperial.pound', 'mass.imperial.ounce', 1), 16);
+            assert.strictEqual(_convert('mass.si.tonne', 'mass.si.gram', 1), 1000000);
+        });
+        it('pressure', function() {
+            assert.strictEqual(_convert('pressure.si.atmosphere', 'pressure.si.bar', 1), 1.013);
+            assert.strictEqual(_convert('pressure.imperial.psi', 'pressure.si.pascal', 1), 6894.757);
+        });
+        it('speed', function() {
+            assert.strictEqual(_convert('speed.si.metre-per-second', 'speed.si.kilometre-per-hour', 10), 36);
+            assert.strictEqual(_convert('speed.imperial.mile-per-hour', 'speed.si.kilometre-per-hour', 60), 96.561);
+        });
+        it('volume', function() {
+            assert.strictEqual(_convert('volume.us.gallon', 'volume.us.quart', 1), 4);
+            assert.strictEqual(_convert('volume.si.cubic-metre', 'volume.si.litre', 2), 2000);
+        });
+        it('energy', function() {
+            assert.strictEqual(_convert('energy.si.calorie', 'energy.si.joule', 1000), 4184);
+        });
+        it('power', function() {
+            assert.strictEqual(_convert('power.imperial.horsepower', 'power.si.watt', 1), 745.7);
+        });
+        it('illuminance', function() {
+            assert.strictEqual(_convert('illuminance.imperial.foot-candle', 'illuminance.si.lux', 1), 10.764);
+        });
+        it('time', function() {
+            assert.strictEqual(_convert('time.si.day', 'time.si.minute', 1), 1440);
+            assert.strictEqual(_convert('time.si.second', 'time.si.hour', 5400), 1.5);
+        });
+    });
+    describe('compound', function() {
+        var _convert = function(from, to, value) {
+            return _.convert.convert({
+                from: 'iot-unit:' + from,
+                to: 'iot-unit:' + to,
+                value: value,
+            });
+        };
+
+        it('prefixes', function() {
+            assert.strictEqual(_convert('length.si.kilometre', 'length.si.metre', 1.5), 1500);
+            assert.strictEqual(_convert('length.si.mm', 'length.si.cm', 25), 2.5);
+            assert.strictEqual(_convert('time.si.millisecond', 'time.si.second', 1500), 1.5);
+            assert.strictEqual(_convert('time.si.us', 'time.si.ms', 1000), 1);
+            assert.strictEqual(_convert('power.si.megawatt', 'power.si.kW', 2), 2000);
+        });
+        it('products', function() {
+            assert.strictEqual(_convert('energy.si.kilowatt-hour', 'energy.si.joule', 1), 3600000);
+            assert.strictEqual(_convert('energy.si.kWh', 'energy.si.Wh', 2), 2000);
+        });
+        it('quotients', function() {
+            assert.strictEqual(_convert('speed.si.km/h', 'speed.si.m/s', 36), 10);
+            assert.strictEqual(_convert('speed.si.kilometre-per-hour', 'speed.imperial.mile-per-hour', 100), 62.137);
+            assert.strictEqual(_convert('irradiance.si.W/m2', 'irradiance.si.kW/m2', 1500), 1.5);
+        });
+        it('powers', function() {
+            assert.strictEqual(_convert('area.si.square-metre', 'area.si.cm2', 1), 10000);
+            assert.strictEqual(_convert('volume.si.m^3', 'volume.si.litre', 1), 1000);
+        });
+        it('with the table', function() {
+            assert.strictEqual(_convert('energy.si.kilowatt-hour', 'energy.imperial.btu', 1), 3412.142);
+            assert.strictEqual(_convert('volume.us.gallon', 'volume.si.millilitre', 1), 3785.412);
+            assert.strictEqual(_convert('volume.si.millilitre', 'volume.us.gallon', 3785.411784), 1);
+        });
+        it('not the same kind of thing', function() {
+            assert.strictEqual(_convert('speed.si.m/s', 'speed.si.m', 1), null);
+            assert.strictEqual(_convert('energy.si.kWh', 'energy.si.kW', 1), null);
+            assert.strictEqual(_convert('energy.si.kilowatt-bletch', 'energy.si.joule', 1), null);
+        });
+    });
+    describe('dimension', function() {
+        it('from name', function() {
+            assert.strictEqual(_.convert.dimension('iot-unit:length.si.metre'), 'length');
+            assert.strictEqual(_.convert.dimension('iot-unit:one'), null);
+            assert.strictEqual(_.convert.dimension(12), null);
+        });
+        it('registered', function() {
+            _.convert.add({
+                from: 'iot-unit:test-dimension.a',
+                to: 'iot-unit:test-dimension.b',
+                multiply: 2,
+                dimension: 'length',
+            });
+
+            assert.strictEqual(_.convert.dimension('iot-unit:test-dimension.a'), 'length');
+        });
+        it('different dimensions', function() {
+            var value = {
+                from: 'iot-unit:length.si.metre',
+                to: 'iot-unit:mass.si.kilogram',
+                value: 1,
+            };
+
+            assert.strictEqual(_.convert.convert(value), null);
+        });
+    });
+    describe('shortest path', function() {
+        it('direct', function() {
+            _.convert.add([
+                {
+                    from: 'iot-unit:test.shortest.a',
+                    to: 'iot-unit:test.shortest.b',
+                    convert: function(paramd) {
+                        return paramd.value + 1;
+                    },
+                },
+                {
+                    from: 'iot-unit:test.shortest.b',
+                    to: 'iot-unit:test.shortest.c',
+                    convert: function(paramd) {
+                        return paramd.value + 1;
+                    },
+                },
+            ]);
+
+            var value = {
+                from: 'iot-unit:test.shortest.a',
+                to: 'iot-unit:test.shortest.c',
+                value: 0,
+            };
+
+            assert.strictEqual(_.convert.convert(value), 2);
+
+            // cached paths are forgotten when a conversion is added
+            _.convert.add({
+                from: 'iot-unit:test.shortest.a',
+                to: 'iot-unit:test.shortest.c',
+                convert: function(paramd) {
+                    return paramd.value + 10;
+                },
+            });
+
+            assert.strictEqual(_.convert.convert(value), 10);
+        });
+    });
+    describe('add validation', function() {
+        it('bad', function() {
+            [
+                {
+                    to: 'iot-unit:test.bad.b',
+                    multiply: 2,
+                },
+                {
+                    from: 'iot-unit:test.bad.a',
+                    to: 'iot-unit:test.bad.a',
+                    multiply: 2,
+                },
+                {
+                    from: 'iot-unit:test.bad.a',
+                    to: 'iot-unit:test.bad.b',
+                },
+                {
+                    from: 'iot-unit:test.bad.a',
+                    to: 'iot-unit:test.bad.b',
+                    multiply: 2,
+                    add: 1,
+                },
+                {
+                    from: 'iot-unit:test.bad.a',
+                    to: 'iot-unit:test.bad.b',
+                    multiply: 0,
+                },
+                {
+                    from: 'iot-unit:test.bad.a',
+                    to: 'iot-unit:test.bad.b',
+                    convert: 12,
+                },
+                {
+                    from: 'iot-unit:length.si.metre',
+                    to: 'iot-unit:mass.si.kilogram',
+                    multiply: 2,
+                },
+                {
+                    from: 'iot-unit:length.si.metre',
+                    to: 'iot-unit:test.bad.b',
+                    multiply: 2,
+                    dimension: 'mass',
+                },
+                12,
+            ].map(function(paramd) {
+                assert.throws(function() {
+                    _.convert.add(paramd);
+                }, Error);
+            });
+        });
+    });
 });
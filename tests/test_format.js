@@ -0,0 +1,133 @@
+/*
+ *  test_format.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test formatting values for people
+ */
+
+"use strict";
+
+var assert = require("assert")
+var attribute = require("./instrument/attribute")
+var _ = require("../helpers")
+
+describe('test_format', function() {
+    describe('empty', function() {
+        it('null', function() {
+            var a = attribute.make_number('temperature');
+
+            assert.strictEqual(_.format.value(a, null), "");
+            assert.strictEqual(_.format.value(a, undefined, { otherwise: "-" }), "-");
+        });
+    });
+    describe('boolean', function() {
+        it('on / off', function() {
+            var a = attribute.make_boolean('on');
+
+            assert.strictEqual(_.format.value(a, true), "On");
+            assert.strictEqual(_.format.value(a, false), "Off");
+        });
+    });
+    describe('number', function() {
+        it('unit', function() {
+            var a = attribute.make_number('temperature')
+                .unit("iot-unit:temperature.si.celsius");
+
+            assert.strictEqual(_.format.value(a, 21.5), "21.5 °C");
+        });
+        it('percent', function() {
+            var a = attribute.make_number('humidity')
+                .unit("iot-unit:math.fraction.percent");
+
+            assert.strictEqual(_.format.value(a, 45), "45 %");
+        });
+        it('fraction is percent', function() {
+            var a = attribute.make_number('brightness')
+                .unit("iot-unit:math.fraction.unit");
+
+            assert.strictEqual(_.format.value(a, 0.45), "45 %");
+        });
+        it('degrees', function() {
+            var a = attribute.make_number('angle')
+                .unit("iot-unit:math.angle.degree");
+
+            assert.strictEqual(_.format.value(a, 90), "90°");
+        });
+        it('unknown unit', function() {
+            var a = attribute.make_number('speed')
+                .unit("iot-unit:speed.imperial.foot-per-second");
+
+            assert.strictEqual(_.format.value(a, 3), "3 foot per second");
+        });
+        it('precision', function() {
+            var a = attribute.make_number('temperature')
+                .unit("iot-unit:temperature.si.celsius")
+                .precision(1);
+
+            assert.strictEqual(_.format.value(a, 21), "21.0 °C");
+            assert.strictEqual(_.format.value(a, 21.04), "21.0 °C");
+            assert.strictEqual(_.format.value(a, 21.04, { precision: 2 }), "21.04 °C");
+        });
+        it('default precision', function() {
+            assert.strictEqual(_.format.value(attribute.make_number('x'), 1.23456), "1.23");
+            assert.strictEqual(_.format.value(attribute.make_integer('x'), 7), "7");
+        });
+        it('locale', function() {
+            var a = attribute.make_number('temperature')
+                .unit("iot-unit:temperature.si.celsius");
+
+            assert.strictEqual(_.format.value(a, 1234.5, { locale: "en-US" }), "1,234.5 °C");
+        });
+        it('bad precision', function() {
+            assert.throws(function() {
+                attribute.make_number('x').precision(1.5);
+            }, Error);
+        });
+    });
+    describe('enumeration', function() {
+        var a = attribute.make_string('mode')
+            .enumeration([
+                "iot-attribute:mode.heat-cool",
+                {
+                    "@id": "off",
+                    "schema:name": "Turned Off",
+                },
+            ]);
+
+        it('schema:name', function() {
+            assert.strictEqual(_.format.value(a, "off"), "Turned Off");
+        });
+        it('from the value', function() {
+            assert.strictEqual(_.format.value(a, "iot-attribute:mode.heat-cool"), "Heat cool");
+        });
+    });
+    describe('format', function() {
+        it('datetime is relative', function() {
+            var a = attribute.make_datetime('when');
+            var now = "2016-06-20T12:00:00.000Z";
+
+            assert.strictEqual(_.format.value(a, "2016-06-20T11:55:00.000Z", { now: now, locale: "en" }), "5 minutes ago");
+            assert.strictEqual(_.format.value(a, "2016-06-20T14:00:00.000Z", { now: now, locale: "en" }), "in 2 hours");
+            assert.strictEqual(_.format.value(a, "2016-06-19T12:00:00.000Z", { now: now, locale: "en" }), "yesterday");
+        });
+        it('color', function() {
+            var a = attribute.make_color('color');
+
+            assert.strictEqual(_.format.value(a, "#ff0000"), "#FF0000");
+        });
+        it('string', function() {
+            assert.strictEqual(_.format.value(attribute.make_string('name'), "Kitchen"), "Kitchen");
+        });
+    });
+    describe('list', function() {
+        it('each value', function() {
+            var a = attribute.make_number('temperature')
+                .unit("iot-unit:temperature.si.celsius");
+
+            assert.strictEqual(_.format.value(a, [ 20, 21 ]), "20 °C, 21 °C");
+        });
+    });
+});
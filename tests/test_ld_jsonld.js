@@ -0,0 +1,329 @@
+/*
+ *  test_ld_jsonld.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test JSON-LD expansion and compaction
+ */
+
+"use strict";
+
+var assert = require("assert")
+var iotdb = require("../iotdb")
+var model = require("../model")
+var _ = require("../helpers")
+
+var contextd = {
+    "@vocab": "http://schema.org/",
+    "@language": "en",
+    "ex": "http://example.com/ns#",
+    "id": "@id",
+    "type": "@type",
+    "knows": { "@id": "ex:knows", "@type": "@id" },
+    "tags": { "@id": "ex:tags", "@container": "@list" },
+    "label": { "@id": "ex:label", "@container": "@language" },
+    "age": { "@id": "ex:age", "@type": "http://www.w3.org/2001/XMLSchema#integer" },
+};
+
+var expandeds = [
+    {
+        "@id": "http://example.com/a",
+        "@type": [ "http://schema.org/Person" ],
+        "http://schema.org/name": [ { "@value": "Alice", "@language": "en" } ],
+        "http://example.com/ns#knows": [ { "@id": "http://example.com/b" } ],
+        "http://example.com/ns#tags": [ { "@list": [
+            { "@value": "x", "@language": "en" },
+            { "@value": "y", "@language": "en" },
+        ] } ],
+        "http://example.com/ns#label": [
+            { "@value": "Hi", "@language": "en" },
+            { "@value": "Salut", "@language": "fr" },
+        ],
+        "http://example.com/ns#age": [ { "@value": "30", "@type": "http://www.w3.org/2001/XMLSchema#integer" } ],
+    },
+    {
+        "@id": "http://example.com/b",
+        "http://schema.org/name": [ { "@value": "Bob", "@language": "en" } ],
+    },
+];
+
+var compactd = {
+    "@context": contextd,
+    "@graph": [
+        {
+            "id": "http://example.com/a",
+            "type": "Person",
+            "name": "Alice",
+            "knows": "http://example.com/b",
+            "tags": [ "x", "y" ],
+            "label": { "en": "Hi", "fr": "Salut" },
+            "age": "30",
+        },
+        {
+            "id": "http://example.com/b",
+            "name": "Bob",
+        },
+    ],
+};
+
+/* --- tests --- */
+describe('test_ld_jsonld', function() {
+    afterEach(function() {
+        _.ld.context.remove("http://example.com/context.jsonld");
+    });
+
+    describe('expand', function() {
+        it('document', function() {
+            assert.deepEqual(_.ld.jsonld.expand(compactd), expandeds);
+        });
+        it('does not change the document', function() {
+            var d = _.d.clone.deep(compactd);
+            _.ld.jsonld.expand(d);
+
+            assert.deepEqual(d, compactd);
+        });
+        it('@base', function() {
+            var result = _.ld.jsonld.expand({
+                "@context": {
+                    "@base": "http://example.com/things/",
+                },
+                "@id": "lamp",
+                "schema:name": "Lamp",
+            });
+
+            assert.strictEqual(result[0]["@id"], "http://example.com/things/lamp");
+        });
+        it('paramd.base', function() {
+            var result = _.ld.jsonld.expand({
+                "@id": "#lamp",
+                "schema:name": "Lamp",
+            }, {
+                base: "http://example.com/things",
+            });
+
+            assert.strictEqual(result[0]["@id"], "http://example.com/things#lamp");
+        });
+        it('known prefixes', function() {
+            var result = _.ld.jsonld.expand({
+                "@id": "urn:x",
+                "iot:purpose": "iot-purpose:on",
+            });
+
+            assert.deepEqual(result[0][_.ld.expand("iot:purpose")], [ { "@value": "iot-purpose:on" } ]);
+
+            result = _.ld.jsonld.expand({
+                "@id": "urn:x",
+                "iot:purpose": "iot-purpose:on",
+            }, {
+                namespace: false,
+            });
+            assert.deepEqual(result[0]["iot:purpose"], [ { "@value": "iot-purpose:on" } ]);
+        });
+        it('nested @context', function() {
+            var result = _.ld.jsonld.expand({
+                "@context": {
+                    "@vocab": "http://example.com/outer#",
+                },
+                "@id": "urn:a",
+                "child": {
+                    "@context": {
+                        "@vocab": "http://example.com/inner#",
+                    },
+                    "@id": "urn:b",
+                    "name": "Inner",
+                },
+            });
+
+            assert.deepEqual(result[0]["http://example.com/outer#child"][0]["http://example.com/inner#name"], [
+                { "@value": "Inner" },
+            ]);
+        });
+        it('@list', function() {
+            var result = _.ld.jsonld.expand({
+                "@id": "urn:a",
+                "schema:steps": { "@list": [ "one", "two" ] },
+            });
+
+            assert.deepEqual(result[0]["http://schema.org/steps"], [
+                { "@list": [ { "@value": "one" }, { "@value": "two" } ] },
+            ]);
+        });
+        it('@set', function() {
+            var result = _.ld.jsonld.expand({
+                "@id": "urn:a",
+                "schema:steps": { "@set": [ "one", "two" ] },
+            });
+
+            assert.deepEqual(result[0]["http://schema.org/steps"], [
+                { "@value": "one" },
+                { "@value": "two" },
+            ]);
+        });
+        it('null terms are dropped', function() {
+            var result = _.ld.jsonld.expand({
+                "@context": {
+                    "@vocab": "http://schema.org/",
+                    "secret": null,
+                },
+                "@id": "urn:a",
+                "secret": "shh",
+                "name": "A",
+            });
+
+            assert.deepEqual(_.keys(result[0]), [ "@id", "http://schema.org/name" ]);
+        });
+        it('free-floating values are dropped', function() {
+            assert.deepEqual(_.ld.jsonld.expand({ "@value": "x" }), []);
+            assert.deepEqual(_.ld.jsonld.expand({ "@id": "urn:a" }), []);
+        });
+        it('cached context', function() {
+            _.ld.context.add("http://example.com/context.jsonld", { "@context": contextd });
+
+            var d = _.d.clone.deep(compactd);
+            d["@context"] = "http://example.com/context.jsonld";
+
+            assert.deepEqual(_.ld.jsonld.expand(d), expandeds);
+        });
+        it('uncached context', function() {
+            var d = _.d.clone.deep(compactd);
+            d["@context"] = "http://example.com/context.jsonld";
+
+            assert.throws(function() {
+                _.ld.jsonld.expand(d);
+            }, /local cache/);
+        });
+        it('bad', function() {
+            assert.throws(function() {
+                _.ld.jsonld.expand({ "@context": { "a": "b", "b": "a" }, "a": 1 });
+            }, Error);
+            assert.throws(function() {
+                _.ld.jsonld.expand({ "@context": { "a": { "@id": "urn:a", "@container": "@nothing" } }, "a": 1 });
+            }, Error);
+            assert.throws(function() {
+                _.ld.jsonld.expand({ "@reverse": {} });
+            }, Error);
+        });
+    });
+    describe('compact', function() {
+        it('document', function() {
+            assert.deepEqual(_.ld.jsonld.compact(expandeds, contextd), compactd);
+        });
+        it('round trip', function() {
+            var compacted = _.ld.jsonld.compact(expandeds, contextd);
+
+            assert.deepEqual(_.ld.jsonld.expand(compacted), expandeds);
+        });
+        it('single node', function() {
+            var result = _.ld.jsonld.compact(expandeds[1], contextd);
+
+            assert.deepEqual(result, {
+                "@context": contextd,
+                "id": "http://example.com/b",
+                "name": "Bob",
+            });
+        });
+        it('compact IRIs and @base', function() {
+            var result = _.ld.jsonld.compact({
+                "@id": "http://example.com/things#lamp",
+                "http://schema.org/name": "Lamp",
+            }, {
+                "@base": "http://example.com/things",
+                "schema": "http://schema.org/",
+            });
+
+            assert.strictEqual(result["@id"], "#lamp");
+            assert.strictEqual(result["schema:name"], "Lamp");
+        });
+        it('values that do not match their term stay expanded', function() {
+            var result = _.ld.jsonld.compact({
+                "@id": "urn:a",
+                "http://example.com/ns#age": 30,
+            }, contextd);
+
+            assert.deepEqual(result["ex:age"], 30);
+            assert.strictEqual(result.age, undefined);
+        });
+        it('compact_arrays', function() {
+            var result = _.ld.jsonld.compact(expandeds[1], contextd, {
+                compact_arrays: false,
+            });
+
+            assert.deepEqual(result["@graph"][0].name, [ "Bob" ]);
+        });
+        it('cached context', function() {
+            _.ld.context.add("http://example.com/context.jsonld", contextd);
+
+            var result = _.ld.jsonld.compact(expandeds[1], "http://example.com/context.jsonld");
+
+            assert.strictEqual(result["@context"], "http://example.com/context.jsonld");
+            assert.strictEqual(result.name, "Bob");
+        });
+    });
+    describe('context', function() {
+        it('add / get / remove', function() {
+            _.ld.context.add("http://example.com/context.jsonld", contextd);
+
+            assert.deepEqual(_.ld.context.get("http://example.com/context.jsonld"), contextd);
+
+            _.ld.context.remove("http://example.com/context.jsonld");
+            assert.strictEqual(_.ld.context.get("http://example.com/context.jsonld"), undefined);
+        });
+        it('bad', function() {
+            assert.throws(function() {
+                _.ld.context.add("", contextd);
+            }, Error);
+            assert.throws(function() {
+                _.ld.context.add("http://example.com/context.jsonld", "context");
+            }, Error);
+        });
+    });
+    describe('make_model_from_jsonld', function() {
+        it('third-party context', function() {
+            _.ld.context.add("http://example.com/context.jsonld", {
+                "iotdb": "https://iotdb.org/pub/iot#",
+                "units": "https://iotdb.org/pub/iot-unit#",
+                "Model": "iotdb:Model",
+                "Attribute": "iotdb:Attribute",
+                "attributes": { "@id": "iotdb:attribute", "@container": "@set" },
+                "datatype": { "@id": "iotdb:type", "@type": "@id" },
+                "unit": { "@id": "iotdb:unit", "@type": "@id" },
+                "high": "iotdb:maximum",
+                "title": { "@id": "http://schema.org/name", "@container": "@language" },
+            });
+
+            var M = model.make_model_from_jsonld({
+                "@context": [
+                    "http://example.com/context.jsonld",
+                    { "@base": "http://example.com/models/thermostat" },
+                ],
+                "@id": "",
+                "@type": "Model",
+                "title": { "en": "Thermostat" },
+                "attributes": [
+                    {
+                        "@id": "#temperature",
+                        "@type": "Attribute",
+                        "datatype": "iotdb:number",
+                        "unit": "units:temperature.si.celsius",
+                        "high": 30,
+                    },
+                ],
+            });
+            var t = new M();
+
+            assert.strictEqual(t.code(), "thermostat");
+            assert.strictEqual(t.name(), "Thermostat");
+
+            var attribute = t.find("temperature").attribute;
+            assert.ok(attribute);
+            assert.strictEqual(attribute.first("iot:type"), "iot:number");
+            assert.strictEqual(attribute.first("iot:unit"), "iot-unit:temperature.si.celsius");
+            assert.strictEqual(attribute.first("iot:maximum"), 30);
+        });
+        it('not a model', function() {
+            assert.strictEqual(model.make_model_from_jsonld({ "@id": "urn:a", "schema:name": "A" }), null);
+        });
+    });
+});
@@ -0,0 +1,178 @@
+/*
+ *  test_ld_namespace.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test registering namespaces
+ */
+
+"use strict";
+
+var assert = require("assert")
+var _ = require("../helpers")
+
+var iotdb = require("../iotdb");
+var modules = require("../modules");
+var things = require("../things");
+var attribute = require("./instrument/attribute")
+var model = require("../model")
+
+require('./instrument/iotdb');
+
+var IND = "https://example.com/industrial#";
+
+/* --- tests --- */
+describe('test_ld_namespace', function() {
+    afterEach(function() {
+        _.ld.namespace.unregister("ind");
+        _.ld.namespace.unregister("ind-sensor");
+        iotdb.keystore().set("/namespaces", null);
+    });
+
+    describe('register', function() {
+        it('expand and compact', function() {
+            _.ld.namespace.register("ind", IND);
+
+            assert.strictEqual(_.ld.namespace.ind, IND);
+            assert.strictEqual(_.ld.expand("ind:pressure"), IND + "pressure");
+            assert.strictEqual(_.ld.compact(IND + "pressure"), "ind:pressure");
+            assert.deepEqual(_.ld.compact({ "https://example.com/industrial#pressure": 1 }), { "ind:pressure": 1 });
+        });
+        it('not enumerable', function() {
+            assert.strictEqual(_.keys(_.ld.namespace).indexOf("register"), -1);
+        });
+        it('longest namespace wins', function() {
+            _.ld.namespace.register("ind", "https://example.com/");
+            _.ld.namespace.register("ind-sensor", "https://example.com/sensor#");
+
+            assert.strictEqual(_.ld.compact("https://example.com/sensor#pressure"), "ind-sensor:pressure");
+            assert.strictEqual(_.ld.compact("https://example.com/valve"), "ind:valve");
+        });
+        it('again', function() {
+            _.ld.namespace.register("ind", IND);
+            _.ld.namespace.register("ind", IND);
+
+            assert.strictEqual(_.ld.namespace.ind, IND);
+        });
+        it('conflicts', function() {
+            _.ld.namespace.register("ind", IND);
+
+            assert.throws(function() {
+                _.ld.namespace.register("ind", "https://example.com/other#");
+            }, /already registered/);
+            assert.throws(function() {
+                _.ld.namespace.register("ind-sensor", IND);
+            }, /already registered/);
+            assert.throws(function() {
+                _.ld.namespace.register("iot", "https://example.com/iot#");
+            }, /already registered/);
+        });
+        it('bad arguments', function() {
+            assert.throws(function() {
+                _.ld.namespace.register("Ind", IND);
+            }, Error);
+            assert.throws(function() {
+                _.ld.namespace.register("ind", "industrial");
+            }, Error);
+            assert.throws(function() {
+                _.ld.namespace.unregister("iot");
+            }, Error);
+        });
+        it('JSON-LD expand', function() {
+            _.ld.namespace.register("ind", IND);
+
+            var result = _.ld.jsonld.expand({
+                "@id": "urn:a",
+                "ind:pressure": 10,
+            });
+
+            assert.deepEqual(result[0][IND + "pressure"], [ { "@value": 10 } ]);
+        });
+    });
+    describe('used', function() {
+        it('keys and values', function() {
+            _.ld.namespace.register("ind", IND);
+
+            assert.deepEqual(_.ld.namespace.used({
+                "https://iotdb.org/pub/iot#purpose": IND + "pressure",
+                "@context": {
+                    "schema": "http://schema.org/",
+                },
+            }), {
+                "iot": "https://iotdb.org/pub/iot#",
+                "ind": IND,
+            });
+        });
+    });
+    describe('sources', function() {
+        it('keystore', function() {
+            iotdb.keystore().set("/namespaces", {
+                "ind": IND,
+            });
+            iotdb.load_namespaces();
+
+            assert.strictEqual(_.ld.expand("ind:pressure"), IND + "pressure");
+        });
+        it('keystore conflict is not registered', function() {
+            iotdb.keystore().set("/namespaces", {
+                "iot": IND,
+            });
+            iotdb.load_namespaces();
+
+            assert.strictEqual(_.ld.namespace.iot, "https://iotdb.org/pub/iot#");
+        });
+        it('module', function() {
+            var setup_expanded;
+
+            new modules.Modules().use("homestar-industrial", {
+                namespaces: {
+                    "ind": IND,
+                },
+                setup: function(iotdb) {
+                    iotdb._.ld.namespace.register("ind-sensor", "https://example.com/sensor#");
+                    setup_expanded = iotdb._.ld.expand("ind:pressure");
+                },
+            });
+
+            assert.strictEqual(setup_expanded, IND + "pressure");
+            assert.strictEqual(_.ld.expand("ind-sensor:pressure"), "https://example.com/sensor#pressure");
+        });
+    });
+    describe('Model.jsonld', function() {
+        it('@context', function() {
+            _.ld.namespace.register("ind", IND);
+
+            var T = model.make_model('T')
+                .attribute(
+                    attribute.make_number('pressure')
+                        .reading()
+                        .property("ind:sensor", "ind:pressure-sensor")
+                )
+                .make();
+            var t = new T();
+
+            var jsonld = t.jsonld();
+            assert.strictEqual(jsonld["@context"].ind, IND);
+        });
+    });
+    describe('ThingArray.filter', function() {
+        it('meta', function(done) {
+            _.ld.namespace.register("ind", IND);
+
+            var ts = new things.Things();
+            ts._reset();
+
+            var tsa = ts.connect("Test", {}, {
+                "ind:line": "line-3",
+            });
+            tsa.on("thing", function() {
+                assert.strictEqual(tsa.filter({ "meta:ind:line": "line-3" }).length, 1);
+                assert.strictEqual(tsa.filter({ "meta:https://example.com/industrial#line": "line-3" }).length, 1);
+                assert.strictEqual(tsa.filter({ "meta:ind:line": "line-4" }).length, 0);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,203 @@
+/*
+ *  test_thing_adjust.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test toggle / increment / decrement
+ */
+
+"use strict";
+
+var assert = require("assert")
+var attribute = require("./instrument/attribute")
+var instrument_bridge = require("./instrument/bridge")
+var model = require("../model")
+var thing_array = require("../thing_array")
+var _ = require("../helpers")
+
+var T = model.make_model('T')
+    .attribute(attribute.make_boolean(":on").reading().control())
+    .attribute(
+        attribute.make_integer(":brightness").reading().control()
+            .maximum(100)
+            .minimum(0)
+    )
+    .attribute(
+        attribute.make_number(":volume").reading().control()
+            .maximum(11)
+            .minimum(1)
+    )
+    .attribute(attribute.make_string(":message").reading().control())
+    .make();
+
+// the Bridge never finishes, so ostate is not cleared
+var _make_thing = function () {
+    var t = new T();
+    t.bind_bridge(instrument_bridge.make_bridge({
+        push: function(pushd, done) {},
+    }));
+
+    return t;
+};
+
+var _timestamp = function (second) {
+    return "2016-06-20T00:00:0" + second + ".000Z";
+};
+
+/* --- tests --- */
+describe('test_thing_adjust', function(){
+    describe('toggle', function(){
+        it('from istate', function(){
+            var t = _make_thing();
+
+            t.update("istate", { on: true, "@timestamp": _timestamp(1) });
+            t.toggle(":on");
+
+            assert.strictEqual(t.state("ostate").on, false);
+        });
+        it('from ostate', function(){
+            var t = _make_thing();
+
+            t.set(":on", true);
+            t.toggle(":on");
+
+            assert.strictEqual(t.state("ostate").on, false);
+        });
+        it('unknown', function(){
+            var t = _make_thing();
+
+            t.toggle(":on");
+
+            assert.strictEqual(t.state("ostate").on, true);
+        });
+        it('wrong type', function(){
+            var t = _make_thing();
+
+            t.toggle(":message");
+
+            assert.strictEqual(t.state("ostate").message, null);
+        });
+        it('bad arguments', function(){
+            var t = _make_thing();
+
+            assert.throws(function() {
+                t.toggle(12);
+            }, Error);
+        });
+    });
+    describe('increment', function(){
+        it('from istate', function(){
+            var t = _make_thing();
+
+            t.update("istate", { brightness: 50, "@timestamp": _timestamp(1) });
+            t.increment(":brightness", 10);
+
+            assert.strictEqual(t.state("ostate").brightness, 60);
+        });
+        it('default delta', function(){
+            var t = _make_thing();
+
+            t.update("istate", { brightness: 50, "@timestamp": _timestamp(1) });
+            t.increment(":brightness");
+
+            assert.strictEqual(t.state("ostate").brightness, 51);
+        });
+        it('from ostate', function(){
+            var t = _make_thing();
+
+            t.set(":brightness", 20);
+            t.increment(":brightness", 10);
+
+            assert.strictEqual(t.state("ostate").brightness, 30);
+        });
+        it('from minimum', function(){
+            var t = _make_thing();
+
+            t.increment(":volume", 2);
+
+            assert.strictEqual(t.state("ostate").volume, 3);
+        });
+        it('clamped', function(){
+            var t = _make_thing();
+
+            t.update("istate", { brightness: 95, "@timestamp": _timestamp(1) });
+            t.increment(":brightness", 10);
+
+            assert.strictEqual(t.state("ostate").brightness, 100);
+        });
+        it('integer', function(){
+            var t = _make_thing();
+
+            t.update("istate", { brightness: 10, "@timestamp": _timestamp(1) });
+            t.increment(":brightness", 0.6);
+
+            assert.strictEqual(t.state("ostate").brightness, 11);
+        });
+        it('wrong type', function(){
+            var t = _make_thing();
+
+            t.increment(":on");
+
+            assert.strictEqual(t.state("ostate").on, null);
+        });
+        it('bad arguments', function(){
+            var t = _make_thing();
+
+            assert.throws(function() {
+                t.increment(":brightness", "10");
+            }, Error);
+        });
+    });
+    describe('decrement', function(){
+        it('from istate', function(){
+            var t = _make_thing();
+
+            t.update("istate", { volume: 5, "@timestamp": _timestamp(1) });
+            t.decrement(":volume", 2);
+
+            assert.strictEqual(t.state("ostate").volume, 3);
+        });
+        it('clamped', function(){
+            var t = _make_thing();
+
+            t.update("istate", { volume: 2, "@timestamp": _timestamp(1) });
+            t.decrement(":volume", 5);
+
+            assert.strictEqual(t.state("ostate").volume, 1);
+        });
+        it('bad arguments', function(){
+            var t = _make_thing();
+
+            assert.throws(function() {
+                t.decrement(":volume", null);
+            }, /Model.decrement/);
+            assert.throws(function() {
+                t.decrement(12);
+            }, /Model.decrement/);
+        });
+    });
+    describe('ThingArray', function(){
+        it('each member', function(){
+            var t1 = _make_thing();
+            var t2 = _make_thing();
+            t1.update("istate", { on: true, brightness: 10, "@timestamp": _timestamp(1) });
+            t2.update("istate", { on: false, brightness: 95, "@timestamp": _timestamp(1) });
+
+            var ts = new thing_array.ThingArray();
+            ts.push(t1);
+            ts.push(t2);
+
+            ts.toggle(":on");
+            ts.increment(":brightness", 10);
+            ts.decrement(":volume");
+
+            assert.strictEqual(t1.state("ostate").on, false);
+            assert.strictEqual(t2.state("ostate").on, true);
+            assert.strictEqual(t1.state("ostate").brightness, 20);
+            assert.strictEqual(t2.state("ostate").brightness, 100);
+            assert.strictEqual(t1.state("ostate").volume, 1);
+        });
+    });
+})
@@ -0,0 +1,181 @@
+/*
+ *  test_thing_change_event.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test the change events passed to on and on_change
+ */
+
+"use strict";
+
+var assert = require("assert")
+var attribute = require("./instrument/attribute")
+var instrument_bridge = require("./instrument/bridge")
+var model = require("../model")
+var _ = require("../helpers")
+
+var T = model.make_model('T')
+    .attribute(attribute.make_boolean('open').reading().control())
+    .attribute(
+        attribute.make_integer('brightness').reading().control()
+            .maximum(100)
+            .minimum(0)
+    )
+    .derived(
+        attribute.make_boolean('on'),
+        [ "brightness" ],
+        function (brightness) {
+            return brightness > 0;
+        }
+    )
+    .make();
+
+// the Bridge never finishes, so ostate is not cleared
+var _make_thing = function () {
+    var t = new T();
+    t.bind_bridge(instrument_bridge.make_bridge({
+        push: function(pushd, done) {},
+    }));
+
+    return t;
+};
+
+var _timestamp = function (second) {
+    return "2016-06-20T00:00:0" + second + ".000Z";
+};
+
+/* --- tests --- */
+describe('test_thing_change_event', function(){
+    describe('on', function(){
+        it('previous and new value', function(done){
+            var t = _make_thing();
+
+            t.update("istate", { open: false, "@timestamp": _timestamp(1) });
+            process.nextTick(function() {
+                t.on("open", function(thing, attribute, value, changed) {
+                    assert.strictEqual(value, true);
+                    assert.deepEqual(changed, {
+                        attribute_code: "open",
+                        value: true,
+                        previous: false,
+                        band: "istate",
+                        "@timestamp": _timestamp(2),
+                        origin: "update",
+                    });
+                    done();
+                });
+
+                t.update("istate", { open: true, "@timestamp": _timestamp(2) });
+            });
+        });
+        it('first value', function(done){
+            var t = _make_thing();
+
+            t.on("open", function(thing, attribute, value, changed) {
+                assert.strictEqual(changed.previous, null);
+                assert.strictEqual(changed.value, false);
+                done();
+            });
+
+            t.update("istate", { open: false, "@timestamp": _timestamp(1) });
+        });
+        it('transaction keeps the earliest previous', function(done){
+            var t = _make_thing();
+
+            t.update("istate", { brightness: 10, "@timestamp": _timestamp(1) });
+            process.nextTick(function() {
+                t.on("brightness", function(thing, attribute, value, changed) {
+                    assert.strictEqual(changed.previous, 10);
+                    assert.strictEqual(changed.value, 30);
+                    done();
+                });
+
+                t.transaction(function() {
+                    t.update("istate", { brightness: 20, "@timestamp": _timestamp(2) });
+                    t.update("istate", { brightness: 30, "@timestamp": _timestamp(3) });
+                });
+            });
+        });
+        it('derived', function(done){
+            var t = _make_thing();
+
+            t.update("istate", { brightness: 10, "@timestamp": _timestamp(1) });
+            process.nextTick(function() {
+                t.on("on", function(thing, attribute, value, changed) {
+                    assert.strictEqual(changed.previous, true);
+                    assert.strictEqual(changed.value, false);
+                    done();
+                });
+
+                t.update("istate", { brightness: 0, "@timestamp": _timestamp(2) });
+            });
+        });
+        it('origin bridge', function(done){
+            var t = _make_thing();
+
+            t.on("open", function(thing, attribute, value, changed) {
+                assert.strictEqual(changed.origin, "bridge");
+                done();
+            });
+
+            t.bridge_instance.pulled({ open: true });
+        });
+        it('origin restore', function(done){
+            var t1 = _make_thing();
+            t1.update("istate", { open: true, "@timestamp": _timestamp(1) });
+
+            var t2 = _make_thing();
+            t2.on("open", function(thing, attribute, value, changed) {
+                assert.strictEqual(changed.origin, "restore");
+                done();
+            });
+
+            t2.restore(t1.snapshot(), { bands: [ "istate" ] });
+        });
+    });
+    describe('on_change', function(){
+        it('changed attribute codes', function(done){
+            var t = _make_thing();
+
+            t.on_change(function(thing, attribute_codes, changes) {
+                assert.strictEqual(thing, t);
+                assert.deepEqual(attribute_codes.sort(), [ "brightness", "on", "open" ]);
+                assert.strictEqual(changes.length, 3);
+                done();
+            });
+
+            t.update("istate", { open: true, brightness: 10, "@timestamp": _timestamp(1) });
+        });
+        it('local set', function(done){
+            var t = _make_thing();
+
+            t.on_change(function(thing, attribute_codes, changes) {
+                assert.deepEqual(attribute_codes, [ "open" ]);
+                assert.strictEqual(changes[0].band, "ostate");
+                assert.strictEqual(changes[0].origin, "set");
+                assert.strictEqual(changes[0].previous, null);
+                assert.strictEqual(changes[0].value, true);
+                assert.ok(changes[0]["@timestamp"]);
+                done();
+            });
+
+            t.set("open", true);
+        });
+        it('istate and ostate', function(done){
+            var t = _make_thing();
+
+            t.on_change(function(thing, attribute_codes, changes) {
+                assert.deepEqual(attribute_codes, [ "open" ]);
+                assert.deepEqual(_.pluck(changes, "band").sort(), [ "istate", "ostate" ]);
+                done();
+            });
+
+            t.transaction(function() {
+                t.set("open", true);
+                t.update("istate", { open: true, "@timestamp": _timestamp(1) });
+            });
+        });
+    });
+})
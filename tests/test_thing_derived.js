@@ -0,0 +1,188 @@
+/*
+ *  test_thing_derived.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test derived attributes
+ */
+
+"use strict";
+
+var assert = require("assert")
+var attribute = require("./instrument/attribute")
+var model = require("../model")
+var _ = require("../helpers")
+
+var T = model.make_model('T')
+    .attribute(
+        attribute.make_number('temperature').reading()
+            .purpose("iot-purpose:temperature")
+    )
+    .attribute(
+        attribute.make_number('humidity').reading()
+            .purpose("iot-purpose:humidity")
+    )
+    .attribute(
+        attribute.make_integer('brightness').reading().control()
+            .maximum(100)
+            .minimum(0)
+    )
+    .derived(
+        attribute.make_number('dew_point')
+            .purpose("iot-purpose:temperature.dew-point"),
+        [ "temperature", "humidity" ],
+        function (temperature, humidity) {
+            return Math.round(temperature - ((100 - humidity) / 5));
+        }
+    )
+    .derived(
+        attribute.make_boolean('on')
+            .purpose("iot-purpose:on"),
+        [ "brightness" ],
+        function (brightness) {
+            return brightness > 0;
+        }
+    )
+    .derived(
+        attribute.make_string('summary'),
+        [ "on" ],
+        function (on) {
+            return on ? "lit" : "dark";
+        }
+    )
+    .make();
+
+var _timestamp = function (second) {
+    return "2016-06-20T00:00:0" + second + ".000Z";
+};
+
+/* --- tests --- */
+describe('test_thing_derived', function(){
+    describe('ModelMaker', function(){
+        it('bad arguments', function(){
+            assert.throws(function() {
+                model.make_model('X').derived(attribute.make_boolean('on'), [], function() {});
+            }, Error);
+            assert.throws(function() {
+                model.make_model('X').derived(attribute.make_boolean('on'), [ "brightness" ], 12);
+            }, Error);
+        });
+        it('unknown input', function(){
+            assert.throws(function() {
+                model.make_model('X')
+                    .derived(attribute.make_boolean('on'), [ "brightness" ], function() {})
+                    .make();
+            }, Error);
+        });
+        it('read only', function(){
+            var t = new T();
+            var attribute = t.__attributed.on;
+
+            assert.ok(attribute.is_read());
+            assert.ok(!attribute.is_write());
+        });
+    });
+    describe('istate', function(){
+        it('computed', function(){
+            var t = new T();
+
+            t.update("istate", { temperature: 20, humidity: 50, "@timestamp": _timestamp(1) });
+
+            assert.strictEqual(t.get("dew_point"), 10);
+        });
+        it('null until all inputs are known', function(){
+            var t = new T();
+
+            t.update("istate", { temperature: 20, "@timestamp": _timestamp(1) });
+            assert.strictEqual(t.get("dew_point"), null);
+
+            t.update("istate", { humidity: 50, "@timestamp": _timestamp(2) });
+            assert.strictEqual(t.get("dew_point"), 10);
+        });
+        it('recomputed', function(){
+            var t = new T();
+
+            t.update("istate", { brightness: 10, "@timestamp": _timestamp(1) });
+            assert.strictEqual(t.get("on"), true);
+
+            t.update("istate", { brightness: 0, "@timestamp": _timestamp(2) });
+            assert.strictEqual(t.get("on"), false);
+        });
+        it('derived from derived', function(){
+            var t = new T();
+
+            t.update("istate", { brightness: 10, "@timestamp": _timestamp(1) });
+            assert.strictEqual(t.get("summary"), "lit");
+        });
+        it('cannot be updated directly', function(){
+            var t = new T();
+
+            t.update("istate", { on: true, "@timestamp": _timestamp(1) });
+            assert.strictEqual(t.get("on"), null);
+        });
+        it('in state', function(){
+            var t = new T();
+
+            t.update("istate", { brightness: 10, "@timestamp": _timestamp(1) });
+            assert.strictEqual(t.state("istate").on, true);
+        });
+    });
+    describe('find / on', function(){
+        it('find by purpose', function(){
+            var t = new T();
+
+            var rd = t.find(":temperature.dew-point", { mode: "get" });
+            assert.strictEqual(rd.attribute.code(), "dew_point");
+        });
+        it('on', function(done){
+            var t = new T();
+
+            t.on(":on", function(thing, attribute, value) {
+                assert.strictEqual(attribute.code(), "on");
+                assert.strictEqual(value, true);
+                done();
+            });
+
+            t.update("istate", { brightness: 10, "@timestamp": _timestamp(1) });
+        });
+        it('no notification if unchanged', function(done){
+            var t = new T();
+            var count = 0;
+
+            t.update("istate", { brightness: 10, "@timestamp": _timestamp(1) });
+            t.on(":on", function() {
+                count++;
+            });
+            t.update("istate", { brightness: 20, "@timestamp": _timestamp(2) });
+
+            setTimeout(function() {
+                assert.strictEqual(count, 0);
+                done();
+            }, 10);
+        });
+    });
+    describe('description', function(){
+        it('jsonld', function(){
+            var t = new T();
+            var jsonld = _.ld.compact(t.jsonld());
+
+            var ads = jsonld["iot:attribute"].filter(function(ad) {
+                return ad["@id"] === "#dew_point";
+            });
+            assert.strictEqual(ads.length, 1);
+            assert.strictEqual(ads[0]["iot:derived"], true);
+        });
+        it('iotql', function(){
+            var t = new T();
+
+            assert.ok(t.iotql().match(/ATTRIBUTE dew_point WITH[^;]*iot:derived = true/));
+        });
+        it('explain', function(){
+            var t = new T();
+
+            assert.strictEqual(t.explain(":on", { set: false })["iot:derived"], true);
+        });
+    });
+})
@@ -0,0 +1,218 @@
+/*
+ *  test_thing_filters.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test binding filters on values pulled from the Bridge
+ */
+
+"use strict";
+
+var assert = require("assert")
+var attribute = require("./instrument/attribute")
+var instrument_bridge = require("./instrument/bridge")
+var model = require("../model")
+var _ = require("../helpers")
+
+var T = model.make_model('T')
+    .attribute(attribute.make_number('temperature').reading())
+    .attribute(attribute.make_string('mode').reading())
+    .make();
+
+var _make_thing = function (filters) {
+    var t = new T();
+    t.bind_bridge(instrument_bridge.make_bridge({
+        binding: {
+            filters: filters,
+        },
+    }));
+
+    return t;
+};
+
+// records every temperature that gets to update("istate")
+var _pull_all = function (t, values) {
+    var seens = [];
+    var update = t.update;
+
+    t.update = function(band, updated) {
+        if ((band === "istate") && (updated.temperature !== undefined)) {
+            seens.push(updated.temperature);
+        }
+
+        return update.apply(t, arguments);
+    };
+
+    values.map(function(value) {
+        t.bridge_instance.pulled({ temperature: value });
+    });
+
+    return seens;
+};
+
+/* --- tests --- */
+describe('test_thing_filters', function(){
+    describe('binding', function(){
+        it('bad filters', function(){
+            [
+                12,
+                { temperature: 12 },
+                { temperature: { smooth: 3 } },
+                { temperature: { average: 1.5 } },
+                { temperature: { average: 3, median: 3 } },
+                { temperature: { round: 0 } },
+                { temperature: { deadband: -1 } },
+                { temperature: { debounce: "1 second" } },
+            ].map(function(filters) {
+                assert.throws(function() {
+                    _make_thing(filters);
+                }, Error);
+            });
+        });
+        it('no filters', function(done){
+            var t = new T();
+            t.bind_bridge(instrument_bridge.make_bridge());
+
+            var seens = _pull_all(t, [ 1, 2, 3 ]);
+
+            process.nextTick(function() {
+                assert.deepEqual(seens, [ 1, 2, 3 ]);
+                done();
+            });
+        });
+    });
+    describe('numbers', function(){
+        it('round', function(done){
+            var t = _make_thing({ temperature: { round: 0.1 } });
+            var seens = _pull_all(t, [ 20.01, 20.04, 20.26 ]);
+
+            process.nextTick(function() {
+                assert.deepEqual(seens, [ 20, 20, 20.3 ]);
+                assert.strictEqual(t.state("istate").temperature, 20.3);
+                done();
+            });
+        });
+        it('deadband', function(done){
+            var t = _make_thing({ temperature: { deadband: 0.5 } });
+            var seens = _pull_all(t, [ 20, 20.2, 20.4, 20.6, 20.3, 19.9 ]);
+
+            process.nextTick(function() {
+                assert.deepEqual(seens, [ 20, 20.6, 19.9 ]);
+                done();
+            });
+        });
+        it('average', function(done){
+            var t = _make_thing({ temperature: { average: 3 } });
+            var seens = _pull_all(t, [ 3, 6, 9, 12 ]);
+
+            process.nextTick(function() {
+                assert.deepEqual(seens, [ 3, 4.5, 6, 9 ]);
+                done();
+            });
+        });
+        it('median', function(done){
+            var t = _make_thing({ temperature: { median: 3 } });
+            var seens = _pull_all(t, [ 10, 100, 11, 12 ]);
+
+            process.nextTick(function() {
+                assert.deepEqual(seens, [ 10, 55, 11, 12 ]);
+                done();
+            });
+        });
+        it('non-numbers pass', function(done){
+            var t = _make_thing({ mode: { round: 1, deadband: 5 } });
+
+            t.bridge_instance.pulled({ mode: "heat" });
+
+            process.nextTick(function() {
+                assert.strictEqual(t.state("istate").mode, "heat");
+                done();
+            });
+        });
+        it('other attributes are untouched', function(done){
+            var t = _make_thing({ temperature: { deadband: 5 } });
+
+            t.bridge_instance.pulled({ temperature: 20, mode: "heat" });
+            t.bridge_instance.pulled({ temperature: 21, mode: "cool" });
+
+            process.nextTick(function() {
+                var istate = t.state("istate");
+                assert.strictEqual(istate.temperature, 20);
+                assert.strictEqual(istate.mode, "cool");
+                done();
+            });
+        });
+    });
+    describe('timing', function(){
+        it('min_interval', function(done){
+            var t = _make_thing({ temperature: { min_interval: 20 } });
+            var seens = _pull_all(t, [ 1, 2, 3 ]);
+
+            process.nextTick(function() {
+                assert.deepEqual(seens, [ 1 ]);
+            });
+            setTimeout(function() {
+                assert.deepEqual(seens, [ 1, 3 ]);
+                assert.strictEqual(t.state("istate").temperature, 3);
+                done();
+            }, 50);
+        });
+        it('debounce', function(done){
+            var t = _make_thing({ temperature: { debounce: 10 } });
+            var seens = _pull_all(t, [ 1, 2 ]);
+
+            setTimeout(function() {
+                t.bridge_instance.pulled({ temperature: 3 });
+            }, 5);
+            setTimeout(function() {
+                assert.deepEqual(seens, []);
+            }, 12);
+            setTimeout(function() {
+                assert.deepEqual(seens, [ 3 ]);
+                done();
+            }, 40);
+        });
+        it('deadband compares to held back value', function(done){
+            var t = _make_thing({ temperature: { deadband: 1, debounce: 10 } });
+            var seens = _pull_all(t, [ 20, 20.5, 25, 25.5 ]);
+
+            setTimeout(function() {
+                assert.deepEqual(seens, [ 25 ]);
+                done();
+            }, 40);
+        });
+        it('disconnect cancels', function(done){
+            var t = _make_thing({ temperature: { debounce: 10 } });
+            var seens = _pull_all(t, [ 1 ]);
+
+            assert.ok(t.__filterd.temperature.timer);
+            t.disconnect();
+            assert.strictEqual(t.__filterd.temperature.timer, null);
+            assert.strictEqual(t.__filterd.temperature.pending, undefined);
+
+            setTimeout(function() {
+                assert.deepEqual(seens, []);
+                done();
+            }, 30);
+        });
+        it('pulled after disconnect', function(){
+            var t = _make_thing({ temperature: { round: 1 } });
+            var b = t.bridge_instance;
+
+            t.disconnect();
+            b.pulled({ temperature: 20.4 });
+
+            assert.strictEqual(t.state("istate").temperature, 20);
+        });
+        it('timers do not keep the process alive', function(){
+            var t = _make_thing({ temperature: { min_interval: 1000 } });
+            _pull_all(t, [ 1, 2 ]);
+
+            assert.strictEqual(t.__filterd.temperature.timer.hasRef(), false);
+
+            t.disconnect();
+        });
+    });
+})
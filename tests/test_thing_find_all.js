@@ -0,0 +1,169 @@
+/*
+ *  test_thing_find_all.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test find_all, strict mode and lint
+ */
+
+"use strict";
+
+var assert = require("assert")
+var attribute = require("./instrument/attribute")
+var instrument_bridge = require("./instrument/bridge")
+var model = require("../model")
+var _ = require("../helpers")
+
+// one readable and one writable 'on': not ambiguous
+var T = model.make_model('T')
+    .attribute(attribute.make_boolean(":on", "on").control())
+    .attribute(attribute.make_boolean(":on", "on_value").reading())
+    .attribute(attribute.make_integer(":brightness", "brightness").control().reading())
+    .make();
+
+// two writable 'on': ambiguous
+var A = model.make_model('A')
+    .attribute(attribute.make_boolean(":on", "on").control())
+    .attribute(attribute.make_boolean(":on", "power").control())
+    .attribute(attribute.make_boolean(":on", "on_value").reading())
+    .make();
+
+// the Bridge never finishes, so ostate is not cleared
+var _make_thing = function (M) {
+    var t = new M();
+    t.bind_bridge(instrument_bridge.make_bridge({
+        push: function(pushd, done) {},
+    }));
+
+    return t;
+};
+
+var _timestamp = function (second) {
+    return "2016-06-20T00:00:0" + second + ".000Z";
+};
+
+/* --- tests --- */
+describe('test_thing_find_all', function(){
+    describe('find_all', function(){
+        it('all matches with roles', function(){
+            var t = new T();
+
+            var matches = t.find_all(":on");
+            assert.deepEqual(matches.map(function(match) {
+                return [ match.attribute.code(), match.read, match.write ];
+            }), [
+                [ "on", false, true ],
+                [ "on_value", true, false ],
+            ]);
+            assert.strictEqual(matches[0].thing, t);
+        });
+        it('by code', function(){
+            var t = new T();
+
+            var matches = t.find_all("brightness");
+            assert.strictEqual(matches.length, 1);
+            assert.strictEqual(matches[0].read, true);
+            assert.strictEqual(matches[0].write, true);
+        });
+        it('nothing', function(){
+            var t = new T();
+
+            assert.deepEqual(t.find_all(":temperature"), []);
+            assert.deepEqual(t.find_all("temperature"), []);
+        });
+        it('bad arguments', function(){
+            var t = new T();
+
+            assert.throws(function() {
+                t.find_all(12);
+            }, Error);
+        });
+    });
+    describe('strict', function(){
+        it('bad arguments', function(){
+            var t = new T();
+
+            assert.throws(function() {
+                t.strict("sometimes");
+            }, Error);
+        });
+        it('not strict by default', function(){
+            var t = _make_thing(A);
+
+            t.set(":on", true);
+            assert.strictEqual(t.state("ostate").on, true);
+        });
+        it('set throws', function(){
+            var t = new A();
+            t.strict(true);
+
+            assert.throws(function() {
+                t.set(":on", true);
+            }, /ambiguous.*on, power/);
+        });
+        it('get with one readable', function(){
+            var t = new A();
+            t.strict("throw");
+
+            // only one readable
+            assert.strictEqual(t.get(":on"), null);
+        });
+        it('warn', function(){
+            var t = _make_thing(A);
+            t.strict("warn");
+
+            t.set(":on", true);
+            assert.strictEqual(t.state("ostate").on, true);
+        });
+        it('not ambiguous if roles differ', function(){
+            var t = new T();
+            t.strict(true);
+
+            t.set(":on", true);
+            t.update("istate", { on_value: true, "@timestamp": _timestamp(1) });
+            assert.strictEqual(t.get(":on"), true);
+        });
+        it('by code is never ambiguous', function(){
+            var t = _make_thing(A);
+            t.strict(true);
+
+            t.set("power", true);
+            assert.strictEqual(t.state("ostate").power, true);
+        });
+        it('set_async rejects', function(done){
+            var t = new A();
+            t.bind_bridge(instrument_bridge.make_bridge());
+            t.strict(true);
+
+            t.set_async(":on", true)
+                .then(function() {
+                    done(new Error("should not resolve"));
+                })
+                .catch(function(error) {
+                    assert.ok(error.message.match(/ambiguous/));
+                    done();
+                });
+        });
+    });
+    describe('lint', function(){
+        it('ambiguous', function(){
+            var t = new A();
+
+            assert.deepEqual(t.lint(), [
+                {
+                    purpose: "iot-purpose:on",
+                    path: "",
+                    role: "write",
+                    attribute_codes: [ "on", "power" ],
+                },
+            ]);
+        });
+        it('clean', function(){
+            var t = new T();
+
+            assert.deepEqual(t.lint(), []);
+        });
+    });
+})
@@ -0,0 +1,179 @@
+/*
+ *  test_thing_history.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test per-attribute history
+ */
+
+"use strict";
+
+var assert = require("assert")
+var attribute = require("./instrument/attribute")
+var instrument_bridge = require("./instrument/bridge")
+var model = require("../model")
+var _ = require("../helpers")
+
+var T = model.make_model('T')
+    .attribute(attribute.make_boolean('on').control())
+    .attribute(
+        attribute.make_number('temperature').reading()
+            .purpose("iot-purpose:temperature")
+    )
+    .make();
+
+var _make_thing = function (paramd) {
+    var t = new T();
+    t.bind_bridge(instrument_bridge.make_bridge());
+    t.record_history(paramd || {});
+
+    return t;
+};
+
+var _reading = function (t, value, second) {
+    t.update("istate", {
+        temperature: value,
+        "@timestamp": "2016-06-20T00:00:0" + second + ".000Z",
+    });
+};
+
+/* --- tests --- */
+describe('test_thing_history', function(){
+    describe('record_history', function(){
+        it('bad arguments', function(){
+            var t = new T();
+
+            assert.throws(function() {
+                t.record_history(12);
+            }, Error);
+            assert.throws(function() {
+                t.record_history({ length: 0 });
+            }, Error);
+        });
+        it('not recorded by default', function(){
+            var t = new T();
+
+            _reading(t, 20, 1);
+
+            assert.deepEqual(t.history("temperature"), []);
+        });
+        it('turned off', function(){
+            var t = _make_thing();
+
+            _reading(t, 20, 1);
+            t.record_history(null);
+            _reading(t, 21, 2);
+
+            assert.deepEqual(t.history("temperature"), []);
+        });
+        it('shortened', function(){
+            var t = _make_thing();
+
+            _reading(t, 20, 1);
+            _reading(t, 21, 2);
+            _reading(t, 22, 3);
+            t.record_history({ length: 2 });
+
+            assert.deepEqual(_.pluck(t.history("temperature"), "value"), [ 21, 22 ]);
+        });
+    });
+    describe('history', function(){
+        it('istate', function(){
+            var t = _make_thing();
+
+            _reading(t, 20, 1);
+            _reading(t, 21, 2);
+
+            assert.deepEqual(t.history(":temperature"), [
+                { value: 20, "@timestamp": "2016-06-20T00:00:01.000Z", band: "istate" },
+                { value: 21, "@timestamp": "2016-06-20T00:00:02.000Z", band: "istate" },
+            ]);
+        });
+        it('unchanged values are not recorded', function(){
+            var t = _make_thing();
+
+            _reading(t, 20, 1);
+            _reading(t, 20, 2);
+
+            assert.strictEqual(t.history("temperature").length, 1);
+        });
+        it('ostate', function(){
+            var t = _make_thing();
+
+            t.set('on', true);
+
+            var entries = t.history("on");
+            assert.strictEqual(entries.length, 1);
+            assert.strictEqual(entries[0].value, true);
+            assert.strictEqual(entries[0].band, "ostate");
+            assert.ok(entries[0]["@timestamp"]);
+        });
+        it('band', function(){
+            var t = _make_thing();
+
+            t.set('on', true);
+            t.update("istate", { on: true, "@timestamp": "2016-06-20T00:00:01.000Z" });
+
+            assert.strictEqual(t.history("on").length, 2);
+            assert.deepEqual(_.pluck(t.history("on", { band: "istate" }), "band"), [ "istate" ]);
+        });
+        it('bounded', function(){
+            var t = _make_thing({ length: 3 });
+
+            for (var i = 1; i <= 5; i++) {
+                _reading(t, 20 + i, i);
+            }
+
+            assert.deepEqual(_.pluck(t.history("temperature"), "value"), [ 23, 24, 25 ]);
+        });
+        it('since', function(){
+            var t = _make_thing();
+
+            _reading(t, 20, 1);
+            _reading(t, 21, 2);
+            _reading(t, 22, 3);
+
+            assert.deepEqual(_.pluck(t.history("temperature", {
+                since: "2016-06-20T00:00:02.000Z",
+            }), "value"), [ 21, 22 ]);
+        });
+        it('limit', function(){
+            var t = _make_thing();
+
+            _reading(t, 20, 1);
+            _reading(t, 21, 2);
+            _reading(t, 22, 3);
+
+            assert.deepEqual(_.pluck(t.history("temperature", { limit: 2 }), "value"), [ 21, 22 ]);
+            assert.deepEqual(t.history("temperature", { limit: 0 }), []);
+        });
+        it('returns copies', function(){
+            var t = _make_thing();
+
+            _reading(t, 20, 1);
+            t.history("temperature")[0].value = 99;
+
+            assert.strictEqual(t.history("temperature")[0].value, 20);
+        });
+        it('unknown attribute', function(){
+            var t = _make_thing();
+
+            assert.deepEqual(t.history("nothing"), []);
+        });
+        it('bad arguments', function(){
+            var t = _make_thing();
+
+            assert.throws(function() {
+                t.history(12);
+            }, Error);
+            assert.throws(function() {
+                t.history("temperature", { limit: -1 });
+            }, Error);
+            assert.throws(function() {
+                t.history("temperature", { since: 12 });
+            }, Error);
+        });
+    });
+})
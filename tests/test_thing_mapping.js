@@ -0,0 +1,249 @@
+/*
+ *  test_thing_mapping.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test binding mappings between the Model and the Bridge
+ */
+
+"use strict";
+
+var assert = require("assert")
+var attribute = require("./instrument/attribute")
+var instrument_bridge = require("./instrument/bridge")
+var model = require("../model")
+var _ = require("../helpers")
+
+var T = model.make_model('T')
+    .attribute(attribute.make_boolean('on').reading().control())
+    .attribute(
+        attribute.make_number('brightness').reading().control()
+            .unit("iot-unit:math.fraction.percent")
+    )
+    .attribute(
+        attribute.make_number('temperature').reading().control()
+            .unit("iot-unit:temperature.si.celsius")
+    )
+    .attribute(attribute.make_integer('level').reading().control())
+    .attribute(attribute.make_string('mode').reading().control())
+    .make();
+
+var _make_thing = function (mapping) {
+    var t = new T();
+    t.bind_bridge(instrument_bridge.make_bridge({
+        binding: {
+            mapping: mapping,
+        },
+    }));
+
+    return t;
+};
+
+var _pulled = function (t, pulld) {
+    t.bridge_instance.pulled(pulld);
+
+    return t.state("istate");
+};
+
+/* --- tests --- */
+describe('test_thing_mapping', function(){
+    describe('binding', function(){
+        it('bad mapping', function(){
+            [
+                12,
+                { on: true },
+                { on: { "@flip": true } },
+                { on: { "@invert": "yes" } },
+                { brightness: { "@scale": 0 } },
+                { brightness: { "@offset": "10" } },
+                { temperature: { "@unit": 12 } },
+                { mode: { "@template": "no value here" } },
+                { mode: { "@push": "function" } },
+            ].map(function(mapping) {
+                assert.throws(function() {
+                    _make_thing(mapping);
+                }, Error);
+            });
+        });
+    });
+    describe('enumeration', function(){
+        var mapping = {
+            mode: {
+                heat: "H",
+                cool: "C",
+            },
+        };
+
+        it('pull', function(){
+            var t = _make_thing(mapping);
+
+            assert.strictEqual(_pulled(t, { mode: "C" }).mode, "cool");
+        });
+        it('push', function(done){
+            var t = _make_thing(mapping);
+
+            t.set("mode", "heat");
+
+            process.nextTick(function() {
+                assert.deepEqual(t.bridge_instance.pushes, [ { mode: "H" } ]);
+                done();
+            });
+        });
+    });
+    describe('invert', function(){
+        var mapping = {
+            on: {
+                "@invert": true,
+            },
+        };
+
+        it('pull', function(){
+            var t = _make_thing(mapping);
+
+            assert.strictEqual(_pulled(t, { on: true }).on, false);
+        });
+        it('push', function(done){
+            var t = _make_thing(mapping);
+
+            t.set("on", true);
+
+            process.nextTick(function() {
+                assert.deepEqual(t.bridge_instance.pushes, [ { on: false } ]);
+                done();
+            });
+        });
+    });
+    describe('scale', function(){
+        var mapping = {
+            brightness: {
+                "@scale": 100 / 255,
+            },
+            level: {
+                "@scale": 2,
+                "@offset": 10,
+            },
+        };
+
+        it('pull', function(){
+            var t = _make_thing(mapping);
+            var istate = _pulled(t, { brightness: 255, level: 5 });
+
+            assert.strictEqual(istate.brightness, 100);
+            assert.strictEqual(istate.level, 20);
+        });
+        it('push', function(done){
+            var t = _make_thing(mapping);
+
+            t.set("brightness", 100);
+            t.set("level", 20);
+
+            process.nextTick(function() {
+                assert.deepEqual(t.bridge_instance.pushes, [ { brightness: 255 }, { level: 5 } ]);
+                done();
+            });
+        });
+    });
+    describe('unit', function(){
+        var mapping = {
+            temperature: {
+                "@unit": "iot-unit:temperature.imperial.fahrenheit",
+            },
+            brightness: {
+                "@unit": "iot-unit:math.fraction.unit",
+            },
+        };
+
+        it('pull', function(){
+            var t = _make_thing(mapping);
+            var istate = _pulled(t, { temperature: 212, brightness: 0.5 });
+
+            assert.strictEqual(istate.temperature, 100);
+            assert.strictEqual(istate.brightness, 50);
+        });
+        it('push', function(done){
+            var t = _make_thing(mapping);
+
+            t.set("temperature", 0);
+
+            process.nextTick(function() {
+                assert.deepEqual(t.bridge_instance.pushes, [ { temperature: 32 } ]);
+                done();
+            });
+        });
+        it('impossible conversion is dropped', function(done){
+            var t = _make_thing({
+                temperature: {
+                    "@unit": "iot-unit:math.fraction.unit",
+                },
+            });
+
+            assert.strictEqual(_pulled(t, { temperature: 10 }).temperature, null);
+
+            t.set("temperature", 10);
+
+            process.nextTick(function() {
+                assert.deepEqual(t.bridge_instance.pushes, []);
+                done();
+            });
+        });
+    });
+    describe('template', function(){
+        var mapping = {
+            level: {
+                "@template": "L{value}.",
+            },
+            mode: {
+                "@template": "mode={value}",
+            },
+        };
+
+        it('pull', function(){
+            var t = _make_thing(mapping);
+            var istate = _pulled(t, { level: "L42.", mode: "mode=heat" });
+
+            assert.strictEqual(istate.level, 42);
+            assert.strictEqual(istate.mode, "heat");
+        });
+        it('push', function(done){
+            var t = _make_thing(mapping);
+
+            t.set("level", 7);
+
+            process.nextTick(function() {
+                assert.deepEqual(t.bridge_instance.pushes, [ { level: "L7." } ]);
+                done();
+            });
+        });
+    });
+    describe('functions', function(){
+        var mapping = {
+            mode: {
+                "@pull": function(value, attribute) {
+                    assert.strictEqual(attribute.code(), "mode");
+                    return value.toLowerCase();
+                },
+                "@push": function(value, attribute) {
+                    return value.toUpperCase();
+                },
+            },
+        };
+
+        it('pull', function(){
+            var t = _make_thing(mapping);
+
+            assert.strictEqual(_pulled(t, { mode: "HEAT" }).mode, "heat");
+        });
+        it('push', function(done){
+            var t = _make_thing(mapping);
+
+            t.set("mode", "cool");
+
+            process.nextTick(function() {
+                assert.deepEqual(t.bridge_instance.pushes, [ { mode: "COOL" } ]);
+                done();
+            });
+        });
+    });
+})
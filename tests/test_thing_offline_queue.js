@@ -0,0 +1,234 @@
+/*
+ *  test_thing_offline_queue.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test queueing commands while a Thing is not reachable
+ */
+
+"use strict";
+
+var assert = require("assert")
+var attribute = require("./instrument/attribute")
+var instrument_bridge = require("./instrument/bridge")
+var model = require("../model")
+var _ = require("../helpers")
+
+var T = model.make_model('T')
+    .attribute(attribute.make_boolean('on').control())
+    .attribute(
+        attribute.make_integer('brightness').control()
+            .maximum(100)
+            .minimum(0)
+    )
+    .make();
+
+var _make_thing = function (paramd) {
+    var b = instrument_bridge.make_bridge({
+        reachable: false,
+    });
+    var t = new T();
+    t.bind_bridge(b);
+    t.offline_queue(paramd || {});
+
+    return t;
+};
+
+/* --- tests --- */
+describe('test_thing_offline_queue', function(){
+    describe('offline_queue', function(){
+        it('bad arguments', function(){
+            var t = new T();
+
+            assert.throws(function() {
+                t.offline_queue(12);
+            }, Error);
+            assert.throws(function() {
+                t.offline_queue({ ttl: "1 second" });
+            }, Error);
+            assert.throws(function() {
+                t.offline_queue({ max_length: 1.5 });
+            }, Error);
+        });
+        it('not queueing by default', function(){
+            var b = instrument_bridge.make_bridge({
+                reachable: false,
+            });
+            var t = new T();
+            t.bind_bridge(b);
+
+            t.set('on', true);
+
+            assert.strictEqual(t.state("ostate").on, null);
+            assert.deepEqual(t.__queuedd, {});
+        });
+    });
+    describe('queue', function(){
+        it('holds ostate', function(){
+            var t = _make_thing();
+
+            t.set('on', true);
+
+            assert.strictEqual(t.state("ostate").on, true);
+            assert.strictEqual(t.__queuedd.on.length, 1);
+        });
+        it('emits queued', function(done){
+            var t = _make_thing();
+
+            t.on("queued", function(thing, attribute_code, value) {
+                assert.strictEqual(thing, t);
+                assert.strictEqual(attribute_code, "on");
+                assert.strictEqual(value, true);
+                done();
+            });
+
+            t.set('on', true);
+        });
+        it('max_length', function(done){
+            var t = _make_thing({ max_length: 2 });
+            var expireds = [];
+
+            t.on("expired", function(thing, attribute_code, value) {
+                expireds.push(value);
+            });
+
+            t.set('brightness', 10);
+            t.set('brightness', 20);
+            t.set('brightness', 30);
+
+            assert.deepEqual(_.pluck(t.__queuedd.brightness, "value"), [ 20, 30 ]);
+
+            process.nextTick(function() {
+                assert.deepEqual(expireds, [ 10 ]);
+                done();
+            });
+        });
+        it('ttl', function(done){
+            var t = _make_thing({ ttl: 5 });
+            var expireds = [];
+
+            t.on("expired", function(thing, attribute_code, value) {
+                expireds.push(value);
+            });
+
+            t.set('on', true);
+
+            setTimeout(function() {
+                assert.deepEqual(expireds, [ true ]);
+                assert.deepEqual(t.__queuedd, {});
+                assert.strictEqual(t.state("ostate").on, null);
+                done();
+            }, 30);
+        });
+        it('turned off', function(done){
+            var t = _make_thing();
+            var expireds = [];
+
+            t.on("expired", function(thing, attribute_code, value) {
+                expireds.push(value);
+            });
+
+            t.set('on', true);
+            t.offline_queue(null);
+
+            assert.deepEqual(t.__queuedd, {});
+            process.nextTick(function() {
+                assert.deepEqual(expireds, [ true ]);
+                done();
+            });
+        });
+    });
+    describe('replay', function(){
+        it('on pulled', function(done){
+            var t = _make_thing({ max_length: 2 });
+            var replayeds = [];
+
+            t.on("replayed", function(thing, attribute_code, value) {
+                replayeds.push([ attribute_code, value ]);
+            });
+
+            t.set('on', true);
+            t.set('brightness', 10);
+            t.set('brightness', 20);
+
+            t.bridge_instance._reachable = true;
+            t.bridge_instance.pulled();
+
+            assert.deepEqual(t.__queuedd, {});
+
+            setTimeout(function() {
+                assert.deepEqual(t.bridge_instance.pushes, [
+                    { on: true, brightness: 10 },
+                    { brightness: 20 },
+                ]);
+                assert.deepEqual(replayeds, [
+                    [ "on", true ],
+                    [ "brightness", 10 ],
+                    [ "brightness", 20 ],
+                ]);
+                done();
+            }, 10);
+        });
+        it('on bind_bridge', function(done){
+            var t = _make_thing();
+
+            t.set('on', true);
+
+            var b = instrument_bridge.make_bridge();
+            t.bind_bridge(b);
+
+            setTimeout(function() {
+                assert.deepEqual(b.pushes, [
+                    { on: true },
+                ]);
+                done();
+            }, 10);
+        });
+        it('expired are not replayed', function(done){
+            var t = _make_thing({ ttl: 1 });
+
+            t.set('on', true);
+
+            setTimeout(function() {
+                t.bridge_instance._reachable = true;
+                t.bridge_instance.pulled();
+
+                setTimeout(function() {
+                    assert.deepEqual(t.bridge_instance.pushes, []);
+                    done();
+                }, 10);
+            }, 10);
+        });
+        it('set_async resolves after replay', function(done){
+            var t = _make_thing();
+
+            t.set_async('on', true)
+                .then(function() {
+                    assert.deepEqual(t.bridge_instance.pushes, [
+                        { on: true },
+                    ]);
+                    done();
+                })
+                .catch(done);
+
+            setTimeout(function() {
+                t.bridge_instance._reachable = true;
+                t.bridge_instance.pulled();
+            }, 5);
+        });
+        it('set_async rejects on expiry', function(done){
+            var t = _make_thing({ ttl: 5 });
+
+            t.set_async('on', true)
+                .then(function() {
+                    done(new Error("should not resolve"));
+                })
+                .catch(function(error) {
+                    assert.ok(error.message.match(/expired/));
+                    done();
+                });
+        });
+    });
+})
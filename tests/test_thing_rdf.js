@@ -0,0 +1,238 @@
+/*
+ *  test_thing_rdf.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test RDF export of models and things
+ */
+
+"use strict";
+
+var assert = require("assert")
+var iotdb = require("../iotdb")
+var attribute = require("./instrument/attribute")
+var model = require("../model")
+var _ = require("../helpers")
+
+var T = model.make_model('T')
+    .name("Lamp")
+    .attribute(attribute.make_boolean('on').reading().control())
+    .attribute(attribute.make_number('level').reading())
+    .attribute(attribute.make_string('label').control())
+    .make();
+
+var _thing = function() {
+    var t = new T();
+    t._thing_id = "urn:iotdb:thing:Test:1";
+    t.update("istate", { on: true, level: 0.5, "@timestamp": "2016-06-20T12:00:00.000Z" });
+
+    return t;
+};
+
+/* --- tests --- */
+describe('test_thing_rdf', function() {
+    describe('_.rdf.ntriples', function() {
+        it('literals', function() {
+            var result = _.rdf.serialize({
+                "@id": "urn:a",
+                "http://example.com/ns#count": 3,
+                "http://example.com/ns#ratio": 1.5,
+                "http://example.com/ns#ok": false,
+                "http://example.com/ns#name": "a \"quoted\"\nline",
+                "http://example.com/ns#label": { "@value": "Salut", "@language": "fr" },
+            }, {
+                format: "ntriples",
+            });
+
+            assert.strictEqual(result, [
+                '<urn:a> <http://example.com/ns#count> "3"^^<http://www.w3.org/2001/XMLSchema#integer> .',
+                '<urn:a> <http://example.com/ns#ratio> "1.5E0"^^<http://www.w3.org/2001/XMLSchema#double> .',
+                '<urn:a> <http://example.com/ns#ok> "false"^^<http://www.w3.org/2001/XMLSchema#boolean> .',
+                '<urn:a> <http://example.com/ns#name> "a \\"quoted\\"\\nline" .',
+                '<urn:a> <http://example.com/ns#label> "Salut"@fr .',
+                '',
+            ].join("\n"));
+        });
+        it('known namespaces are IRIs', function() {
+            var ts = _.rdf.triples({
+                "@id": "urn:a",
+                "iot:purpose": "iot-purpose:on",
+            });
+
+            assert.deepEqual(ts[0].object, { type: "iri", value: "https://iotdb.org/pub/iot-purpose#on" });
+
+            ts = _.rdf.triples({
+                "@id": "urn:a",
+                "iot:purpose": "iot-purpose:on",
+            }, {
+                iris: false,
+            });
+            assert.strictEqual(ts[0].object.type, "literal");
+        });
+        it('@list and blank nodes', function() {
+            var result = _.rdf.serialize({
+                "@id": "urn:a",
+                "http://example.com/ns#steps": { "@list": [ "one", "two" ] },
+                "http://example.com/ns#child": { "http://example.com/ns#name": "b" },
+            }, {
+                format: "ntriples",
+            });
+
+            assert.strictEqual(result, [
+                '_:b0 <http://www.w3.org/1999/02/22-rdf-syntax-ns#first> "one" .',
+                '_:b0 <http://www.w3.org/1999/02/22-rdf-syntax-ns#rest> _:b1 .',
+                '_:b1 <http://www.w3.org/1999/02/22-rdf-syntax-ns#first> "two" .',
+                '_:b1 <http://www.w3.org/1999/02/22-rdf-syntax-ns#rest> <http://www.w3.org/1999/02/22-rdf-syntax-ns#nil> .',
+                '<urn:a> <http://example.com/ns#steps> _:b0 .',
+                '_:b2 <http://example.com/ns#name> "b" .',
+                '<urn:a> <http://example.com/ns#child> _:b2 .',
+                '',
+            ].join("\n"));
+        });
+        it('document blank nodes do not collide', function() {
+            var result = _.rdf.serialize([
+                { "@id": "_:b0", "http://x/p": { "@id": "_:b1" } },
+                { "http://x/q": { "@list": [ 1 ] } },
+            ], {
+                format: "ntriples",
+            });
+
+            assert.strictEqual(result, [
+                '_:b0 <http://x/p> _:b1 .',
+                '_:b3 <http://www.w3.org/1999/02/22-rdf-syntax-ns#first> "1"^^<http://www.w3.org/2001/XMLSchema#integer> .',
+                '_:b3 <http://www.w3.org/1999/02/22-rdf-syntax-ns#rest> <http://www.w3.org/1999/02/22-rdf-syntax-ns#nil> .',
+                '_:b2 <http://x/q> _:b3 .',
+                '',
+            ].join("\n"));
+        });
+        it('document blank node labels are kept together', function() {
+            var result = _.rdf.serialize([
+                { "@id": "_:x", "http://x/p": { "@id": "_:y" } },
+                { "@id": "_:y", "http://x/p": { "@id": "_:x" } },
+            ], {
+                format: "ntriples",
+            });
+
+            assert.strictEqual(result, [
+                '_:b0 <http://x/p> _:b1 .',
+                '_:b1 <http://x/p> _:b0 .',
+                '',
+            ].join("\n"));
+        });
+        it('relative IRIs are dropped', function() {
+            assert.strictEqual(_.rdf.serialize({
+                "@id": "#a",
+                "http://example.com/ns#name": "a",
+            }, {
+                format: "ntriples",
+            }), "");
+        });
+    });
+    describe('_.rdf.turtle', function() {
+        it('prefixes and grouping', function() {
+            var result = _.rdf.serialize({
+                "@id": "urn:a",
+                "@type": "iot:Thing",
+                "schema:name": "A",
+                "iot:purpose": [ "iot-purpose:on", "iot-purpose:level" ],
+                "iot:minimum": 0,
+            });
+
+            assert.strictEqual(result, [
+                '@prefix iot: <https://iotdb.org/pub/iot#> .',
+                '@prefix iot-purpose: <https://iotdb.org/pub/iot-purpose#> .',
+                '@prefix schema: <http://schema.org/> .',
+                '',
+                '<urn:a> a iot:Thing ;',
+                '    schema:name "A" ;',
+                '    iot:purpose iot-purpose:on, iot-purpose:level ;',
+                '    iot:minimum 0 .',
+                '',
+            ].join("\n"));
+        });
+        it('bad format', function() {
+            assert.throws(function() {
+                _.rdf.serialize({ "@id": "urn:a" }, { format: "rdfxml" });
+            }, Error);
+        });
+    });
+    describe('Model.rdf', function() {
+        it('model', function() {
+            var result = _thing().rdf({ format: "ntriples" });
+
+            assert.ok(result.indexOf('<file:///t> <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <https://iotdb.org/pub/iot#Model> .\n') !== -1);
+            assert.ok(result.indexOf('<file:///t> <https://iotdb.org/pub/iot#attribute> <file:///t#on> .\n') !== -1);
+            assert.ok(result.indexOf('<file:///t#on> <https://iotdb.org/pub/iot#type> <https://iotdb.org/pub/iot#type.boolean> .\n') !== -1);
+        });
+        it('meta', function() {
+            var result = _thing().rdf({ format: "ntriples" });
+
+            assert.ok(result.indexOf('<urn:iotdb:thing:Test:1> <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <https://iotdb.org/pub/iot#Thing> .\n') !== -1);
+            assert.ok(result.indexOf('<urn:iotdb:thing:Test:1> <https://iotdb.org/pub/iot#model> <file:///t> .\n') !== -1);
+            assert.ok(result.indexOf('<urn:iotdb:thing:Test:1> <http://schema.org/name> "Lamp" .\n') !== -1);
+        });
+        it('istate', function() {
+            var result = _thing().rdf({ format: "ntriples" });
+
+            assert.ok(result.indexOf('<urn:iotdb:thing:Test:1> <https://iotdb.org/pub/iot#istate> <urn:iotdb:thing:Test:1#istate> .\n') !== -1);
+            assert.ok(result.indexOf('<urn:iotdb:thing:Test:1#istate> <https://iotdb.org/pub/iot#timestamp> "2016-06-20T12:00:00.000Z"^^<http://www.w3.org/2001/XMLSchema#dateTime> .\n') !== -1);
+            assert.ok(result.indexOf('<urn:iotdb:thing:Test:1#istate> <file:///t#on> "true"^^<http://www.w3.org/2001/XMLSchema#boolean> .\n') !== -1);
+            assert.ok(result.indexOf('<urn:iotdb:thing:Test:1#istate> <file:///t#level> "5.0E-1"^^<http://www.w3.org/2001/XMLSchema#double> .\n') !== -1);
+        });
+        it('hybrid logical clock timestamp', function() {
+            var t = _thing();
+            t._itimestamp = "2016-06-20T12:00:00.000Z-0003-runner-a";
+
+            var result = t.rdf({ format: "ntriples" });
+            assert.ok(result.indexOf('<urn:iotdb:thing:Test:1#istate> <https://iotdb.org/pub/iot#timestamp> "2016-06-20T12:00:00.000Z"^^<http://www.w3.org/2001/XMLSchema#dateTime> .\n') !== -1);
+        });
+        it('ostate', function() {
+            var t = _thing();
+            t.attributes().filter(function(attribute) {
+                return attribute.code() === "label";
+            })[0]._ovalue = "hello";
+
+            var result = t.rdf({ format: "ntriples" });
+            assert.ok(result.indexOf('<urn:iotdb:thing:Test:1#ostate> <file:///t#label> "hello" .\n') !== -1);
+            assert.strictEqual(result.indexOf('<urn:iotdb:thing:Test:1#istate> <file:///t#label>'), -1);
+        });
+        it('turtle', function() {
+            var result = _thing().rdf();
+
+            assert.ok(result.indexOf('@prefix iot: <https://iotdb.org/pub/iot#> .\n') !== -1);
+            assert.ok(result.indexOf('<urn:iotdb:thing:Test:1> a iot:Thing ;\n') !== -1);
+            assert.ok(result.indexOf('    <file:///t#level> 5.0E-1 .\n') !== -1);
+        });
+        it('bands and base', function() {
+            var result = _thing().rdf({
+                format: "ntriples",
+                base: "http://example.com/models/lamp",
+                bands: [ "istate" ],
+            });
+
+            assert.ok(result.indexOf('<urn:iotdb:thing:Test:1#istate> <http://example.com/models/lamp#on> "true"^^<http://www.w3.org/2001/XMLSchema#boolean> .\n') !== -1);
+            assert.strictEqual(result.indexOf('#ostate>'), -1);
+            assert.strictEqual(result.indexOf('<urn:iotdb:thing:Test:1> <http://schema.org/name>'), -1);
+        });
+        it('without a thing id', function() {
+            var t = new T();
+
+            assert.ok(t.rdf({ format: "ntriples" }).match(/^_:b\d+ <https:\/\/iotdb.org\/pub\/iot#model> <file:\/\/\/t> \.$/m));
+        });
+        it('bad', function() {
+            var t = _thing();
+
+            assert.throws(function() {
+                t.rdf({ format: "rdfxml" });
+            }, Error);
+            assert.throws(function() {
+                t.rdf({ base: "lamp" });
+            }, Error);
+            assert.throws(function() {
+                t.rdf({ bands: [ "connection" ] });
+            }, Error);
+        });
+    });
+});
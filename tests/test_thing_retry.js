@@ -0,0 +1,344 @@
+/*
+ *  test_thing_retry.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test retrying failed pushes
+ */
+
+"use strict";
+
+var assert = require("assert")
+var attribute = require("./instrument/attribute")
+var instrument_bridge = require("./instrument/bridge")
+var model = require("../model")
+var _ = require("../helpers")
+
+var T = model.make_model('T')
+    .attribute(attribute.make_boolean('on').control())
+    .attribute(
+        attribute.make_integer('brightness').control()
+            .maximum(100)
+            .minimum(0)
+    )
+    .make();
+
+// fails the first 'failures' pushes
+var _make_thing = function (failures, paramd) {
+    paramd = _.defaults(paramd, {
+        push: function(pushd, done) {
+            if (failures-- > 0) {
+                done(new Error("device said no"));
+            } else {
+                done();
+            }
+        },
+    });
+
+    var b = instrument_bridge.make_bridge(paramd);
+    var t = new T();
+    t.bind_bridge(b);
+
+    return t;
+};
+
+/* --- tests --- */
+describe('test_thing_retry', function(){
+    describe('retry_policy', function(){
+        it('bad arguments', function(){
+            var t = new T();
+
+            assert.throws(function() {
+                t.retry_policy(12);
+            }, Error);
+            assert.throws(function() {
+                t.retry_policy({ attempts: 1.5 });
+            }, Error);
+            assert.throws(function() {
+                t.retry_policy({ delay: "1 second" });
+            }, Error);
+        });
+        it('defaults', function(){
+            var t = _make_thing(0);
+
+            assert.strictEqual(t._retry_policy(), null);
+
+            t.retry_policy({ attempts: 5 });
+            assert.deepEqual(t._retry_policy(), {
+                attempts: 5,
+                delay: 1000,
+                factor: 2,
+                max_delay: 30000,
+                jitter: 0.1,
+            });
+
+            t.retry_policy(null);
+            assert.strictEqual(t._retry_policy(), null);
+        });
+        it('from binding', function(){
+            var t = _make_thing(0, {
+                binding: {
+                    retry: { attempts: 4 },
+                },
+            });
+
+            assert.strictEqual(t._retry_policy().attempts, 4);
+
+            t.retry_policy({ attempts: 2 });
+            assert.strictEqual(t._retry_policy().attempts, 2);
+        });
+    });
+    describe('push', function(){
+        it('no retry by default', function(done){
+            var t = _make_thing(1);
+
+            t.set_async('on', true)
+                .then(function() {
+                    done(new Error("should not resolve"));
+                })
+                .catch(function(error) {
+                    assert.deepEqual(t.bridge_instance.pushes, [ { on: true } ]);
+                    done();
+                });
+        });
+        it('retries the same push', function(done){
+            var t = _make_thing(2);
+            t.retry_policy({ attempts: 3, delay: 1, jitter: 0 });
+
+            t.set_async('on', true)
+                .then(function() {
+                    assert.deepEqual(t.bridge_instance.pushes, [
+                        { on: true },
+                        { on: true },
+                        { on: true },
+                    ]);
+                    done();
+                })
+                .catch(done);
+        });
+        it('gives up after attempts', function(done){
+            var t = _make_thing(5);
+            t.retry_policy({ attempts: 3, delay: 1, jitter: 0 });
+
+            t.set_async('on', true)
+                .then(function() {
+                    done(new Error("should not resolve"));
+                })
+                .catch(function(error) {
+                    assert.strictEqual(error.message, "device said no");
+                    assert.strictEqual(t.bridge_instance.pushes.length, 3);
+                    assert.strictEqual(t._pushes, 0);
+                    assert.strictEqual(t.state("ostate").on, null);
+                    done();
+                });
+        });
+        it('retries exceptions', function(done){
+            var failures = 1;
+            var t = _make_thing(0, {
+                push: function(pushd, push_done) {
+                    if (failures-- > 0) {
+                        throw new Error("device blew up");
+                    }
+                    push_done();
+                },
+            });
+            t.retry_policy({ attempts: 2, delay: 1, jitter: 0 });
+
+            t.set_async('on', true)
+                .then(function() {
+                    assert.strictEqual(t.bridge_instance.pushes.length, 2);
+                    done();
+                })
+                .catch(done);
+        });
+        it('holds ostate while retrying', function(done){
+            var t = _make_thing(1);
+            t.retry_policy({ attempts: 2, delay: 20, jitter: 0 });
+
+            t.set('on', true);
+
+            setTimeout(function() {
+                assert.strictEqual(t.state("ostate").on, true);
+                done();
+            }, 5);
+        });
+        it('stops if superseded', function(done){
+            var t = _make_thing(1);
+            t.retry_policy({ attempts: 3, delay: 10, jitter: 0 });
+
+            t.start();
+            t.set('on', true);
+            t.set('brightness', 10);
+            t.end();
+
+            setTimeout(function() {
+                t.set('brightness', 20);
+            }, 2);
+
+            setTimeout(function() {
+                assert.deepEqual(t.bridge_instance.pushes, [
+                    { on: true, brightness: 10 },
+                    { brightness: 20 },
+                    { on: true },
+                ]);
+                done();
+            }, 30);
+        });
+        it('rejects if all superseded', function(done){
+            var t = _make_thing(1);
+            t.retry_policy({ attempts: 3, delay: 10, jitter: 0 });
+
+            var first = t.set_async('on', true);
+
+            setTimeout(function() {
+                t.set('on', false);
+            }, 2);
+
+            first
+                .then(function() {
+                    done(new Error("should not resolve"));
+                })
+                .catch(function(error) {
+                    assert.ok(error.message.match(/superseded/));
+                    assert.deepEqual(t.bridge_instance.pushes, [
+                        { on: true },
+                        { on: false },
+                    ]);
+                    done();
+                })
+                .catch(done);
+        });
+        it('rejects only superseded values', function(done){
+            var t = _make_thing(1);
+            t.retry_policy({ attempts: 3, delay: 10, jitter: 0 });
+
+            var on_error;
+            var brightness_error;
+
+            t.start();
+            t.set_async('on', true)
+                .then(function() {
+                    on_error = null;
+                }, function(error) {
+                    on_error = error;
+                });
+            t.set_async('brightness', 10)
+                .then(function() {
+                    brightness_error = null;
+                }, function(error) {
+                    brightness_error = error;
+                });
+            t.end();
+
+            setTimeout(function() {
+                t.set('brightness', 20);
+            }, 2);
+
+            setTimeout(function() {
+                assert.strictEqual(on_error, null);
+                assert.ok(brightness_error.message.match(/superseded/));
+                done();
+            }, 30);
+        });
+        it('superseded sub-model values', function(done){
+            var Oven = model.make_model('oven')
+                .attribute(attribute.make_integer('temperature').control())
+                .make();
+            var Stove = model.make_model('stove')
+                .attribute(attribute.make_boolean('on').control())
+                .submodel("oven", Oven)
+                .make();
+
+            var failures = 1;
+            var b = instrument_bridge.make_bridge({
+                push: function(pushd, push_done) {
+                    push_done((failures-- > 0) ? new Error("device said no") : null);
+                },
+            });
+            var t = new Stove();
+            t.bind_bridge(b);
+            t.retry_policy({ attempts: 3, delay: 10, jitter: 0 });
+
+            t.start();
+            t.set('on', true);
+            t.set('oven/temperature', 180);
+            t.end();
+
+            setTimeout(function() {
+                t.set('oven/temperature', 200);
+            }, 2);
+
+            setTimeout(function() {
+                assert.deepEqual(b.pushes, [
+                    { on: true, oven: { temperature: 180 } },
+                    { oven: { temperature: 200 } },
+                    { on: true },
+                ]);
+                done();
+            }, 30);
+        });
+    });
+    describe('cancel', function(){
+        it('disconnect', function(done){
+            var t = _make_thing(1);
+            var b = t.bridge_instance;
+            t.retry_policy({ attempts: 3, delay: 10, jitter: 0 });
+
+            t.set_async('on', true)
+                .then(function() {
+                    done(new Error("should not resolve"));
+                })
+                .catch(function(error) {
+                    assert.ok(error.message.match(/cancelled/));
+                    assert.deepEqual(t.__retries, []);
+
+                    setTimeout(function() {
+                        assert.deepEqual(b.pushes, [ { on: true } ]);
+                        done();
+                    }, 20);
+                });
+
+            setTimeout(function() {
+                t.disconnect();
+            }, 2);
+        });
+        it('one attribute', function(done){
+            var t = _make_thing(1);
+            t.retry_policy({ attempts: 3, delay: 10, jitter: 0 });
+
+            t.start();
+            t.set('on', true);
+            t.set('brightness', 10);
+            t.end();
+
+            setTimeout(function() {
+                t.cancel('brightness');
+            }, 2);
+
+            setTimeout(function() {
+                assert.deepEqual(t.bridge_instance.pushes, [
+                    { on: true, brightness: 10 },
+                    { on: true },
+                ]);
+                done();
+            }, 30);
+        });
+        it('timers do not keep the process alive', function(done){
+            var t = _make_thing(1);
+            t.retry_policy({ attempts: 2, delay: 1000, jitter: 0 });
+
+            t.set('on', true);
+
+            setTimeout(function() {
+                assert.strictEqual(t.__retries.length, 1);
+                assert.strictEqual(t.__retries[0].timer.hasRef(), false);
+
+                t.cancel();
+                assert.deepEqual(t.__retries, []);
+                done();
+            }, 2);
+        });
+    });
+})
@@ -0,0 +1,223 @@
+/*
+ *  test_thing_set_async.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test set_async
+ */
+
+"use strict";
+
+var assert = require("assert")
+var attribute = require("./instrument/attribute")
+var instrument_bridge = require("./instrument/bridge")
+var model = require("../model")
+var _ = require("../helpers")
+
+var T = model.make_model('T')
+    .attribute(attribute.make_boolean('on').control())
+    .attribute(
+        attribute.make_integer('brightness').control()
+            .maximum(100)
+            .minimum(0)
+    )
+    .make();
+
+var _make_thing = function (paramd) {
+    var b = instrument_bridge.make_bridge(paramd);
+    var t = new T();
+    t.bind_bridge(b);
+
+    return t;
+};
+
+/* --- tests --- */
+describe('test_thing_set_async', function(){
+    it('resolves', function(done){
+        var t = _make_thing();
+
+        t.set_async('on', true)
+            .then(function(thing) {
+                assert.strictEqual(thing, t);
+                assert.deepEqual(t.bridge_instance.pushes, [ { on: true } ]);
+                done();
+            })
+            .catch(done);
+    });
+    it('resolves after Bridge finishes', function(done){
+        var finished = false;
+        var t = _make_thing({
+            push: function(pushd, push_done) {
+                setTimeout(function() {
+                    finished = true;
+                    push_done();
+                }, 5);
+            },
+        });
+
+        t.set_async('on', true)
+            .then(function(thing) {
+                assert.ok(finished);
+                done();
+            })
+            .catch(done);
+    });
+    it('rejects with Bridge error', function(done){
+        var t = _make_thing({
+            push: function(pushd, push_done) {
+                push_done(new Error("device said no"));
+            },
+        });
+
+        t.set_async('on', true)
+            .then(function() {
+                done(new Error("should not resolve"));
+            })
+            .catch(function(error) {
+                assert.strictEqual(error.message, "device said no");
+                done();
+            });
+    });
+    it('rejects with Bridge exception', function(done){
+        var t = _make_thing({
+            push: function(pushd, push_done) {
+                throw new Error("device blew up");
+            },
+        });
+
+        t.set_async('on', true)
+            .then(function() {
+                done(new Error("should not resolve"));
+            })
+            .catch(function(error) {
+                assert.strictEqual(error.message, "device blew up");
+                done();
+            });
+    });
+    it('rejects if not reachable', function(done){
+        var t = _make_thing({
+            reachable: false,
+        });
+
+        t.set_async('on', true)
+            .then(function() {
+                done(new Error("should not resolve"));
+            })
+            .catch(function(error) {
+                assert.ok(error.message.match(/not reachable/));
+                assert.deepEqual(t.bridge_instance.pushes, []);
+                done();
+            });
+    });
+    it('rejects on timeout', function(done){
+        var t = _make_thing({
+            push: function(pushd, push_done) {},
+        });
+
+        t.set_async('on', true, { timeout: 5 })
+            .then(function() {
+                done(new Error("should not resolve"));
+            })
+            .catch(function(error) {
+                assert.ok(error.message.match(/timeout/));
+                assert.deepEqual(t.__waitersd, {});
+                done();
+            });
+    });
+    it('rejects on disconnect', function(done){
+        var t = _make_thing({
+            push: function(pushd, push_done) {},
+        });
+
+        t.set_async('on', true)
+            .then(function() {
+                done(new Error("should not resolve"));
+            })
+            .catch(function(error) {
+                assert.ok(error.message.match(/disconnected/));
+                assert.deepEqual(t.__asyncs, []);
+                done();
+            });
+
+        setTimeout(function() {
+            t.disconnect();
+        }, 2);
+    });
+    it('timer does not keep the process alive', function(){
+        var t = _make_thing({
+            push: function(pushd, push_done) {},
+        });
+        var timers = [];
+        var setTimeout = global.setTimeout;
+
+        global.setTimeout = function() {
+            var timer = setTimeout.apply(this, arguments);
+            timers.push(timer);
+
+            return timer;
+        };
+        try {
+            t.set_async('on', true).catch(function() {});
+        } finally {
+            global.setTimeout = setTimeout;
+        }
+
+        assert.strictEqual(timers.length, 1);
+        assert.strictEqual(timers[0].hasRef(), false);
+
+        t.disconnect();
+    });
+    it('rejects on unknown attribute', function(done){
+        var t = _make_thing();
+
+        t.set_async('nothing', true)
+            .then(function() {
+                done(new Error("should not resolve"));
+            })
+            .catch(function(error) {
+                assert.ok(error.message.match(/not found/));
+                done();
+            });
+    });
+    it('rejects on bad arguments', function(done){
+        var t = _make_thing();
+
+        t.set_async(12, true)
+            .then(function() {
+                done(new Error("should not resolve"));
+            })
+            .catch(function(error) {
+                done();
+            });
+    });
+    it('resolves if nothing to push', function(done){
+        var t = _make_thing({
+            push: function(pushd, push_done) {},
+        });
+
+        t.set('on', true);
+        t.set_async('on', true)
+            .then(function() {
+                assert.deepEqual(t.__waitersd, {});
+                done();
+            })
+            .catch(done);
+    });
+    it('transaction', function(done){
+        var t = _make_thing();
+
+        t.start();
+        var p1 = t.set_async('on', true);
+        var p2 = t.set_async('brightness', 20);
+        t.end();
+
+        Promise.all([ p1, p2 ])
+            .then(function() {
+                assert.deepEqual(t.bridge_instance.pushes, [ { on: true, brightness: 20 } ]);
+                done();
+            })
+            .catch(done);
+    });
+})
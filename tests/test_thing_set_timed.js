@@ -0,0 +1,214 @@
+/*
+ *  test_thing_set_timed.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test set with delay, transition and duration
+ */
+
+"use strict";
+
+var assert = require("assert")
+var attribute = require("./instrument/attribute")
+var instrument_bridge = require("./instrument/bridge")
+var model = require("../model")
+var _ = require("../helpers")
+
+var T = model.make_model('T')
+    .attribute(attribute.make_boolean('on').reading().control())
+    .attribute(
+        attribute.make_integer('brightness').reading().control()
+            .maximum(100)
+            .minimum(0)
+    )
+    .make();
+
+// the Bridge reports what it was sent
+var _make_thing = function () {
+    var t = new T();
+    t.bind_bridge(instrument_bridge.make_bridge({
+        push: function(pushd, done) {
+            done();
+            t.update("istate", _.defaults({ "@timestamp": _.timestamp.make() }, pushd));
+        },
+    }));
+
+    return t;
+};
+
+var _brightnesses = function (t) {
+    return t.bridge_instance.pushes
+        .filter(function(pushd) {
+            return pushd.brightness !== undefined;
+        })
+        .map(function(pushd) {
+            return pushd.brightness;
+        });
+};
+
+/* --- tests --- */
+describe('test_thing_set_timed', function(){
+    it('bad arguments', function(){
+        var t = _make_thing();
+
+        assert.throws(function() {
+            t.set("brightness", 10, 12);
+        }, Error);
+        assert.throws(function() {
+            t.set("brightness", 10, { delay: -1 });
+        }, Error);
+        assert.throws(function() {
+            t.set("brightness", 10, { transition: "slow" });
+        }, Error);
+        assert.throws(function() {
+            t.set("brightness", 10, { transition: 10, interval: 0 });
+        }, Error);
+    });
+    it('delay', function(done){
+        var t = _make_thing();
+
+        t.set("on", true, { delay: 10 });
+
+        setTimeout(function() {
+            assert.deepEqual(t.bridge_instance.pushes, []);
+        }, 2);
+        setTimeout(function() {
+            assert.deepEqual(t.bridge_instance.pushes, [ { on: true } ]);
+            done();
+        }, 30);
+    });
+    it('transition', function(done){
+        var t = _make_thing();
+
+        t.update("istate", { brightness: 0, "@timestamp": _.timestamp.make() });
+        t.set("brightness", 80, { transition: 20, interval: 5 });
+
+        setTimeout(function() {
+            assert.deepEqual(_brightnesses(t), [ 20, 40, 60, 80 ]);
+            done();
+        }, 60);
+    });
+    it('transition steps are one interval apart', function(done){
+        var t = _make_thing();
+
+        t.update("istate", { brightness: 0, "@timestamp": _.timestamp.make() });
+        t.set("brightness", 80, { transition: 100, interval: 50 });
+
+        setTimeout(function() {
+            assert.deepEqual(_brightnesses(t), []);
+        }, 20);
+        setTimeout(function() {
+            assert.deepEqual(_brightnesses(t), [ 40 ]);
+        }, 75);
+        setTimeout(function() {
+            assert.deepEqual(_brightnesses(t), [ 40, 80 ]);
+            done();
+        }, 140);
+    });
+    it('timers do not keep the process alive', function(){
+        var t = _make_thing();
+
+        t.set("on", true, { delay: 1000 });
+        assert.strictEqual(t.__timersd.on.hasRef(), false);
+
+        t.cancel();
+    });
+    it('transition of non-numeric sets right away', function(done){
+        var t = _make_thing();
+
+        t.set("on", true, { transition: 1000 });
+
+        setTimeout(function() {
+            assert.deepEqual(t.bridge_instance.pushes, [ { on: true } ]);
+            assert.deepEqual(t.__timersd, {});
+            done();
+        }, 10);
+    });
+    it('transition from unknown sets right away', function(done){
+        var t = _make_thing();
+
+        t.set("brightness", 50, { transition: 1000 });
+
+        setTimeout(function() {
+            assert.deepEqual(_brightnesses(t), [ 50 ]);
+            done();
+        }, 10);
+    });
+    it('duration', function(done){
+        var t = _make_thing();
+
+        t.update("istate", { on: false, "@timestamp": _.timestamp.make() });
+        t.set("on", true, { duration: 10 });
+
+        setTimeout(function() {
+            assert.deepEqual(t.bridge_instance.pushes, [ { on: true } ]);
+        }, 2);
+        setTimeout(function() {
+            assert.deepEqual(t.bridge_instance.pushes, [ { on: true }, { on: false } ]);
+            done();
+        }, 30);
+    });
+    it('newer set cancels', function(done){
+        var t = _make_thing();
+
+        t.update("istate", { brightness: 0, "@timestamp": _.timestamp.make() });
+        t.set("brightness", 80, { transition: 20, interval: 5 });
+
+        setTimeout(function() {
+            t.set("brightness", 10);
+        }, 7);
+
+        setTimeout(function() {
+            var brightnesses = _brightnesses(t);
+            assert.strictEqual(brightnesses[brightnesses.length - 1], 10);
+            assert.ok(brightnesses.indexOf(80) === -1);
+            assert.deepEqual(t.__timersd, {});
+            done();
+        }, 60);
+    });
+    it('other attributes are not cancelled', function(done){
+        var t = _make_thing();
+
+        t.set("on", true, { delay: 10 });
+        t.set("brightness", 10);
+
+        setTimeout(function() {
+            assert.deepEqual(t.bridge_instance.pushes, [ { brightness: 10 }, { on: true } ]);
+            done();
+        }, 30);
+    });
+    it('cancel', function(done){
+        var t = _make_thing();
+
+        t.set("on", true, { delay: 10 });
+        t.set("brightness", 10, { delay: 10 });
+        t.cancel("on");
+
+        setTimeout(function() {
+            assert.deepEqual(t.bridge_instance.pushes, [ { brightness: 10 } ]);
+
+            t.set("on", true, { delay: 10 });
+            t.cancel();
+
+            setTimeout(function() {
+                assert.deepEqual(t.bridge_instance.pushes, [ { brightness: 10 } ]);
+                done();
+            }, 20);
+        }, 20);
+    });
+    it('disconnect cancels', function(done){
+        var t = _make_thing();
+        var b = t.bridge_instance;
+
+        t.set("on", true, { delay: 10 });
+        t.disconnect();
+
+        setTimeout(function() {
+            assert.deepEqual(b.pushes, []);
+            assert.deepEqual(t.__timersd, {});
+            done();
+        }, 30);
+    });
+})
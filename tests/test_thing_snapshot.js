@@ -0,0 +1,165 @@
+/*
+ *  test_thing_snapshot.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test snapshot / restore
+ */
+
+"use strict";
+
+var assert = require("assert")
+var attribute = require("./instrument/attribute")
+var instrument_bridge = require("./instrument/bridge")
+var model = require("../model")
+var _ = require("../helpers")
+
+var T = model.make_model('T')
+    .attribute(attribute.make_boolean('on').control().reading())
+    .attribute(
+        attribute.make_integer('brightness').control().reading()
+            .maximum(100)
+            .minimum(0)
+    )
+    .make();
+
+var U = model.make_model('U')
+    .attribute(attribute.make_boolean('on').control().reading())
+    .make();
+
+var _make_thing = function (M) {
+    var t = new (M || T)();
+    t.bind_bridge(instrument_bridge.make_bridge());
+
+    return t;
+};
+
+// the Bridge never finishes, so ostate is not cleared
+var _make_pushing_thing = function () {
+    var t = new T();
+    t.bind_bridge(instrument_bridge.make_bridge({
+        push: function(pushd, done) {},
+    }));
+
+    return t;
+};
+
+/* --- tests --- */
+describe('test_thing_snapshot', function(){
+    describe('snapshot', function(){
+        it('bands', function(){
+            var t = _make_thing();
+
+            t.update("istate", { on: true, brightness: 10, "@timestamp": "2016-06-20T00:00:01.000Z" });
+
+            var snapshotd = t.snapshot();
+
+            assert.ok(snapshotd["@timestamp"]);
+            assert.deepEqual(snapshotd.istate, {
+                on: true,
+                brightness: 10,
+                "@timestamp": "2016-06-20T00:00:01.000Z",
+            });
+            assert.strictEqual(snapshotd.ostate.on, null);
+            assert.strictEqual(snapshotd.meta["iot:model-id"], "t");
+            assert.strictEqual(snapshotd.connection["iot:reachable"], true);
+            assert.ok(snapshotd.model);
+        });
+        it('serializable', function(){
+            var t = _make_thing();
+
+            t.update("istate", { on: true, "@timestamp": "2016-06-20T00:00:01.000Z" });
+
+            var snapshotd = t.snapshot();
+            assert.deepEqual(JSON.parse(JSON.stringify(snapshotd)), snapshotd);
+        });
+        it('is a copy', function(){
+            var t = _make_thing();
+
+            var snapshotd = t.snapshot();
+            snapshotd.istate.on = true;
+
+            assert.strictEqual(t.state("istate").on, null);
+        });
+    });
+    describe('restore', function(){
+        it('istate', function(){
+            var t1 = _make_thing();
+            t1.update("istate", { on: true, brightness: 10, "@timestamp": "2016-06-20T00:00:01.000Z" });
+
+            var t2 = _make_thing();
+            t2.restore(t1.snapshot());
+
+            assert.deepEqual(t2.state("istate"), t1.state("istate"));
+        });
+        it('older istate ignored', function(){
+            var t1 = _make_thing();
+            t1.update("istate", { on: true, "@timestamp": "2016-06-20T00:00:01.000Z" });
+
+            var t2 = _make_thing();
+            t2.update("istate", { on: false, "@timestamp": "2016-06-20T00:00:02.000Z" });
+            t2.restore(t1.snapshot());
+
+            assert.strictEqual(t2.state("istate").on, false);
+        });
+        it('ostate pushes', function(done){
+            var t1 = _make_pushing_thing();
+            t1.set('brightness', 50);
+
+            var t2 = _make_thing();
+            t2.restore(t1.snapshot());
+
+            setTimeout(function() {
+                assert.deepEqual(t2.bridge_instance.pushes, [ { brightness: 50 } ]);
+                done();
+            }, 10);
+        });
+        it('only some bands', function(done){
+            var t1 = _make_pushing_thing();
+            t1.update("istate", { on: true, "@timestamp": "2016-06-20T00:00:01.000Z" });
+            t1.set('brightness', 50);
+
+            var t2 = _make_thing();
+            t2.restore(t1.snapshot(), { bands: [ "istate" ] });
+
+            assert.strictEqual(t2.state("istate").on, true);
+
+            setTimeout(function() {
+                assert.deepEqual(t2.bridge_instance.pushes, []);
+                done();
+            }, 10);
+        });
+        it('meta', function(){
+            var t1 = _make_thing();
+            t1.update("meta", { "schema:description": "the kitchen light" });
+
+            var t2 = _make_thing();
+            t2.restore(t1.snapshot());
+
+            assert.strictEqual(t2.state("meta")["schema:description"], "the kitchen light");
+        });
+        it('different model', function(){
+            var t1 = _make_thing();
+            var u = _make_thing(U);
+
+            assert.throws(function() {
+                u.restore(t1.snapshot());
+            }, Error);
+        });
+        it('bad arguments', function(){
+            var t = _make_thing();
+
+            assert.throws(function() {
+                t.restore(12);
+            }, Error);
+            assert.throws(function() {
+                t.restore({}, { bands: "istate" });
+            }, Error);
+            assert.throws(function() {
+                t.restore({}, { bands: [ "model" ] });
+            }, Error);
+        });
+    });
+})
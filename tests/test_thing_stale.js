@@ -0,0 +1,218 @@
+/*
+ *  test_thing_stale.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test istate values going stale
+ */
+
+"use strict";
+
+var assert = require("assert")
+var attribute = require("./instrument/attribute")
+var instrument_bridge = require("./instrument/bridge")
+var model = require("../model")
+var _ = require("../helpers")
+
+var T = model.make_model('T')
+    .attribute(attribute.make_number('temperature').reading().ttl(10))
+    .attribute(attribute.make_number('humidity').reading())
+    .make();
+
+var _make_thing = function (binding) {
+    var t = new T();
+    t.bind_bridge(instrument_bridge.make_bridge({
+        binding: binding,
+    }));
+
+    return t;
+};
+
+var _istate = function (t, updated) {
+    t.update("istate", _.defaults({ "@timestamp": _.timestamp.make() }, updated));
+};
+
+/* --- tests --- */
+describe('test_thing_stale', function(){
+    describe('attribute', function(){
+        it('ttl', function(){
+            var a = attribute.make_number('temperature');
+
+            assert.strictEqual(a.ttl(), null);
+            a.ttl(1000);
+            assert.strictEqual(a.ttl(), 1000);
+        });
+        it('bad ttl', function(){
+            assert.throws(function() {
+                attribute.make_number('temperature').ttl("1 hour");
+            }, Error);
+            assert.throws(function() {
+                attribute.make_number('temperature').ttl(0);
+            }, Error);
+        });
+    });
+    describe('staleness', function(){
+        it('bad arguments', function(){
+            var t = new T();
+
+            assert.throws(function() {
+                t.staleness(12);
+            }, Error);
+            assert.throws(function() {
+                t.staleness({ ttl: 10 });
+            }, Error);
+            assert.throws(function() {
+                t.staleness({ ttl: { humidity: -1 } });
+            }, Error);
+            assert.throws(function() {
+                t.staleness({ nullify: "yes" });
+            }, Error);
+        });
+    });
+    describe('stale', function(){
+        it('marked', function(done){
+            var t = _make_thing();
+
+            _istate(t, { temperature: 20, humidity: 50 });
+
+            assert.strictEqual(t.state("connection")["iot:stale"], undefined);
+
+            setTimeout(function() {
+                var istate = t.state("istate");
+                assert.strictEqual(istate.temperature, 20);
+                assert.strictEqual(istate["@stale"], undefined);
+                assert.deepEqual(t.state("connection")["iot:stale"], [ "temperature" ]);
+                done();
+            }, 30);
+        });
+        it('emits stale', function(done){
+            var t = _make_thing();
+
+            t.on("stale", function(thing, attribute_code, value) {
+                assert.strictEqual(thing, t);
+                assert.strictEqual(attribute_code, "temperature");
+                assert.strictEqual(value, 20);
+                done();
+            });
+
+            _istate(t, { temperature: 20 });
+        });
+        it('connection notified', function(done){
+            var t = _make_thing();
+
+            _istate(t, { temperature: 20 });
+
+            t.__emitter.on("connection", function() {
+                assert.deepEqual(t.state("connection")["iot:stale"], [ "temperature" ]);
+                done();
+            });
+        });
+        it('same value keeps it fresh', function(done){
+            var t = _make_thing();
+
+            _istate(t, { temperature: 20 });
+            setTimeout(function() {
+                _istate(t, { temperature: 20 });
+            }, 6);
+
+            setTimeout(function() {
+                assert.strictEqual(t.state("connection")["iot:stale"], undefined);
+            }, 12);
+            setTimeout(function() {
+                assert.deepEqual(t.state("connection")["iot:stale"], [ "temperature" ]);
+                done();
+            }, 40);
+        });
+        it('fresh again', function(done){
+            var t = _make_thing();
+
+            _istate(t, { temperature: 20 });
+
+            setTimeout(function() {
+                assert.deepEqual(t.state("connection")["iot:stale"], [ "temperature" ]);
+
+                _istate(t, { temperature: 21 });
+
+                assert.strictEqual(t.state("connection")["iot:stale"], undefined);
+                done();
+            }, 30);
+        });
+        it('nullify', function(done){
+            var t = _make_thing();
+            var changes = [];
+
+            t.staleness({ nullify: true });
+            t.on_change(function(thing, codes, cs) {
+                changes = changes.concat(cs);
+            });
+
+            _istate(t, { temperature: 20 });
+
+            setTimeout(function() {
+                var istate = t.state("istate");
+                assert.strictEqual(istate.temperature, null);
+                assert.deepEqual(t.state("connection")["iot:stale"], [ "temperature" ]);
+
+                var last = changes[changes.length - 1];
+                assert.strictEqual(last.attribute_code, "temperature");
+                assert.strictEqual(last.previous, 20);
+                assert.strictEqual(last.origin, "stale");
+                done();
+            }, 30);
+        });
+        it('ttl from Thing', function(done){
+            var t = _make_thing();
+
+            t.staleness({ ttl: { humidity: 5 } });
+
+            _istate(t, { humidity: 50 });
+
+            setTimeout(function() {
+                assert.deepEqual(t.state("connection")["iot:stale"], [ "humidity" ]);
+                done();
+            }, 30);
+        });
+        it('ttl from binding', function(done){
+            var t = _make_thing({
+                staleness: {
+                    ttl: { humidity: 5 },
+                    nullify: true,
+                },
+            });
+
+            _istate(t, { humidity: 50 });
+
+            setTimeout(function() {
+                assert.deepEqual(t.state("connection")["iot:stale"], [ "humidity" ]);
+                assert.strictEqual(t.state("istate").humidity, null);
+                done();
+            }, 30);
+        });
+        it('no ttl', function(done){
+            var t = _make_thing();
+
+            _istate(t, { humidity: 50 });
+
+            setTimeout(function() {
+                assert.strictEqual(t.state("connection")["iot:stale"], undefined);
+                assert.deepEqual(t.__ttld, {});
+                done();
+            }, 30);
+        });
+        it('disconnect cancels', function(done){
+            var t = _make_thing();
+
+            _istate(t, { temperature: 20 });
+            t.disconnect();
+
+            assert.deepEqual(t.__ttld, {});
+
+            setTimeout(function() {
+                assert.strictEqual(t.state("connection")["iot:stale"], undefined);
+                done();
+            }, 30);
+        });
+    });
+})
@@ -0,0 +1,223 @@
+/*
+ *  test_thing_submodel.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test models embedding sub-models
+ */
+
+"use strict";
+
+var assert = require("assert")
+var fs = require("fs")
+var path = require("path")
+var attribute = require("./instrument/attribute")
+var instrument_bridge = require("./instrument/bridge")
+var model = require("../model")
+var _ = require("../helpers")
+
+var Oven = model.make_model('oven')
+    .name("Oven")
+    .attribute(attribute.make_boolean('on').reading().control())
+    .attribute(
+        attribute.make_integer('temperature').reading().control()
+            .purpose("iot-purpose:temperature")
+    )
+    .make();
+
+var Stove = model.make_model('stove')
+    .attribute(attribute.make_boolean('on').reading().control())
+    .submodel("oven", Oven)
+    .make();
+
+var Kitchen = model.make_model('kitchen')
+    .submodel("stove", Stove)
+    .make();
+
+var _make_thing = function (M) {
+    var t = new (M || Stove)();
+    t.bind_bridge(instrument_bridge.make_bridge());
+
+    return t;
+};
+
+var _timestamp = function (second) {
+    return "2016-06-20T00:00:0" + second + ".000Z";
+};
+
+/* --- tests --- */
+describe('test_thing_submodel', function(){
+    describe('ModelMaker', function(){
+        it('bad arguments', function(){
+            assert.throws(function() {
+                model.make_model('x').submodel("a/b", Oven);
+            }, Error);
+            assert.throws(function() {
+                model.make_model('x').submodel("oven", {});
+            }, Error);
+        });
+        it('attributes', function(){
+            var t = new Stove();
+
+            assert.deepEqual(_.map(t.attributes(), function(a) { return a.code(); }), [
+                "on",
+                "oven/on",
+                "oven/temperature",
+            ]);
+        });
+        it('nested', function(){
+            var t = new Kitchen();
+
+            assert.ok(t.__attributed["stove/oven/temperature"]);
+        });
+        it('from JSON-LD', function(){
+            var jsonld = JSON.parse(fs.readFileSync(path.join(__dirname, "data", "abstract-stove-oven.jsonld")));
+            var AbstractOven = model.make_model_from_jsonld(jsonld);
+            var M = model.make_model('stove')
+                .submodel("oven", AbstractOven)
+                .make();
+            var t = new M();
+
+            var rd = t.find("oven/temperature_c");
+            assert.strictEqual(rd.attribute.code(), "oven/temperature_c");
+        });
+    });
+    describe('find', function(){
+        it('by code', function(){
+            var t = new Stove();
+
+            assert.strictEqual(t.find("on").attribute.code(), "on");
+            assert.strictEqual(t.find("oven/on").attribute.code(), "oven/on");
+        });
+        it('by purpose', function(){
+            var t = new Stove();
+
+            assert.strictEqual(t.find("oven/:temperature").attribute.code(), "oven/temperature");
+            assert.strictEqual(t.find("oven/iot-purpose:temperature").attribute.code(), "oven/temperature");
+        });
+        it('purpose only at that level', function(){
+            var t = new Stove();
+
+            assert.strictEqual(t.find(":temperature"), undefined);
+        });
+        it('with model code', function(){
+            var t = new Stove();
+
+            assert.strictEqual(t.find("stove/oven/:temperature").attribute.code(), "oven/temperature");
+        });
+        it('nested', function(){
+            var t = new Kitchen();
+
+            assert.strictEqual(t.find("stove/oven/:temperature").attribute.code(), "stove/oven/temperature");
+            assert.strictEqual(t.find("kitchen/stove/oven/:temperature").attribute.code(), "stove/oven/temperature");
+        });
+        it('leading keys that are not sub-models are ignored', function(){
+            var t = new Stove();
+
+            assert.strictEqual(t.find("fridge/:temperature"), undefined);
+            assert.strictEqual(t.find("fridge/on").attribute.code(), "on");
+            assert.strictEqual(t.find("fridge/oven/on").attribute.code(), "oven/on");
+            assert.strictEqual(t.find("fridge/oven/nothing"), undefined);
+        });
+    });
+    describe('get / set / on', function(){
+        it('set', function(done){
+            var t = _make_thing();
+
+            t.set("oven/:temperature", 200);
+
+            assert.strictEqual(t.state("ostate").oven.temperature, 200);
+
+            setTimeout(function() {
+                assert.deepEqual(t.bridge_instance.pushes, [ { oven: { temperature: 200 } } ]);
+                done();
+            }, 10);
+        });
+        it('get', function(){
+            var t = _make_thing();
+
+            t.update("istate", { oven: { temperature: 180 }, "@timestamp": _timestamp(1) });
+
+            assert.strictEqual(t.get("oven/:temperature"), 180);
+            assert.strictEqual(t.get("oven/temperature"), 180);
+        });
+        it('update with path codes', function(){
+            var t = _make_thing();
+
+            t.update("istate", { "oven/on": true, "@timestamp": _timestamp(1) });
+
+            assert.strictEqual(t.get("oven/on"), true);
+            assert.strictEqual(t.get("on"), null);
+        });
+        it('state is nested', function(){
+            var t = _make_thing();
+
+            t.update("istate", { on: true, oven: { on: false }, "@timestamp": _timestamp(1) });
+
+            assert.deepEqual(t.state("istate"), {
+                on: true,
+                oven: {
+                    on: false,
+                    temperature: null,
+                },
+                "@timestamp": _timestamp(1),
+            });
+        });
+        it('on', function(done){
+            var t = _make_thing();
+
+            t.on("oven/:temperature", function(thing, attribute, value) {
+                assert.strictEqual(thing, t);
+                assert.strictEqual(attribute.code(), "oven/temperature");
+                assert.strictEqual(value, 180);
+                done();
+            });
+
+            t.update("istate", { oven: { temperature: 180 }, "@timestamp": _timestamp(1) });
+        });
+    });
+    describe('jsonld', function(){
+        it('nesting', function(){
+            var t = new Kitchen();
+            var jsonld = _.ld.compact(t.jsonld());
+
+            assert.strictEqual(jsonld["iot:attribute"], undefined);
+
+            var stoved = jsonld["iot:submodel"][0];
+            assert.strictEqual(stoved["@id"], "#stove");
+            assert.strictEqual(stoved["@type"], "iot:Model");
+            assert.deepEqual(_.pluck(stoved["iot:attribute"], "@id"), [ "#stove/on" ]);
+
+            var ovend = stoved["iot:submodel"][0];
+            assert.strictEqual(ovend["@id"], "#stove/oven");
+            assert.strictEqual(ovend["schema:name"], "Oven");
+            assert.deepEqual(_.pluck(ovend["iot:attribute"], "@id"), [ "#stove/oven/on", "#stove/oven/temperature" ]);
+        });
+        it('no sub-models', function(){
+            var t = new Oven();
+            var jsonld = _.ld.compact(t.jsonld());
+
+            assert.strictEqual(jsonld["iot:submodel"], undefined);
+            assert.strictEqual(jsonld["iot:attribute"].length, 2);
+        });
+        it('round trip', function(){
+            var K = model.make_model_from_jsonld(new Kitchen().jsonld());
+            var t = new K();
+
+            assert.strictEqual(t.code(), "kitchen");
+            assert.deepEqual(_.keys(t.__propertyd), []);
+            assert.deepEqual(t.attributes().map(function(attribute) {
+                return attribute.code();
+            }), [ "stove/on", "stove/oven/on", "stove/oven/temperature" ]);
+            assert.deepEqual(t.__submodels.map(function(submodel) {
+                return submodel.code;
+            }), [ "stove", "stove/oven" ]);
+            assert.strictEqual(t.find("stove/oven/temperature").attribute.code(), "stove/oven/temperature");
+            assert.strictEqual(_.ld.compact(t.jsonld())["iot:submodel"][0]["iot:submodel"][0]["schema:name"], "Oven");
+
+            assert.deepEqual(_.ld.compact(t.jsonld()), _.ld.compact(new Kitchen().jsonld()));
+        });
+    });
+})
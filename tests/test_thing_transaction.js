@@ -0,0 +1,230 @@
+/*
+ *  test_thing_transaction.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test start / end / transaction
+ */
+
+"use strict";
+
+var assert = require("assert")
+var attribute = require("./instrument/attribute")
+var instrument_bridge = require("./instrument/bridge")
+var model = require("../model")
+var _ = require("../helpers")
+
+var T = model.make_model('T')
+    .attribute(attribute.make_boolean('on').control())
+    .attribute(
+        attribute.make_integer('brightness').control()
+            .maximum(100)
+            .minimum(0)
+    )
+    .attribute(attribute.make_string('color').control())
+    .make();
+
+var _make_thing = function () {
+    var b = instrument_bridge.make_bridge();
+    var t = new T();
+    t.bind_bridge(b);
+
+    return t;
+};
+
+/* --- tests --- */
+describe('test_thing_transaction', function(){
+    describe('no transaction', function(){
+        it('one push per set', function(done){
+            var t = _make_thing();
+
+            t.set('on', true);
+            t.set('brightness', 50);
+
+            setTimeout(function() {
+                assert.deepEqual(t.bridge_instance.pushes, [
+                    { on: true },
+                    { brightness: 50 },
+                ]);
+                done();
+            }, 10);
+        });
+    });
+    describe('start / end', function(){
+        it('one push', function(done){
+            var t = _make_thing();
+
+            t.start();
+            t.set('on', true);
+            t.set('brightness', 50);
+            t.set('color', 'red');
+
+            assert.strictEqual(t.state("ostate").brightness, 50);
+
+            t.end();
+
+            setTimeout(function() {
+                assert.deepEqual(t.bridge_instance.pushes, [
+                    { on: true, brightness: 50, color: 'red' },
+                ]);
+                done();
+            }, 10);
+        });
+        it('one ostate notification', function(done){
+            // the Bridge never finishes, so ostate is not cleared
+            var b = instrument_bridge.make_bridge({
+                push: function(pushd, done) {},
+            });
+            var t = new T();
+            t.bind_bridge(b);
+            var count = 0;
+
+            t.on("ostate", function() {
+                count++;
+            });
+
+            t.start();
+            t.set('on', true);
+            t.set('brightness', 50);
+            t.end();
+
+            process.nextTick(function() {
+                assert.strictEqual(count, 1);
+                done();
+            });
+        });
+        it('one istate notification', function(done){
+            var t = _make_thing();
+            var icount = 0;
+            var scount = 0;
+            var ocount = 0;
+
+            t.on("istate", function() {
+                icount++;
+            });
+            t.on("state", function() {
+                scount++;
+            });
+            t.on(":on", function() {
+                ocount++;
+            });
+
+            t.start();
+            t.update("istate", { on: true, "@timestamp": "2016-06-20T00:00:01.000Z" });
+            t.update("istate", { on: false, "@timestamp": "2016-06-20T00:00:02.000Z" });
+            t.update("istate", { brightness: 10, "@timestamp": "2016-06-20T00:00:03.000Z" });
+
+            process.nextTick(function() {
+                assert.strictEqual(icount, 0);
+                assert.strictEqual(scount, 0);
+                assert.strictEqual(ocount, 0);
+
+                t.end();
+
+                process.nextTick(function() {
+                    assert.strictEqual(icount, 1);
+                    assert.strictEqual(scount, 1);
+                    assert.strictEqual(ocount, 1);
+                    done();
+                });
+            });
+        });
+        it('on(null) gets every attribute', function(done){
+            var t = _make_thing();
+            var codes = [];
+
+            t.on(null, function(thing, attribute) {
+                codes.push(attribute.code());
+            });
+
+            t.start();
+            t.update("istate", { on: true, brightness: 10, "@timestamp": "2016-06-20T00:00:01.000Z" });
+            t.end();
+
+            process.nextTick(function() {
+                assert.deepEqual(codes.sort(), [ "brightness", "on" ]);
+                done();
+            });
+        });
+        it('nothing until end', function(done){
+            var t = _make_thing();
+
+            t.start();
+            t.set('on', true);
+
+            setTimeout(function() {
+                assert.deepEqual(t.bridge_instance.pushes, []);
+
+                t.end();
+
+                setTimeout(function() {
+                    assert.deepEqual(t.bridge_instance.pushes, [
+                        { on: true },
+                    ]);
+                    done();
+                }, 10);
+            }, 10);
+        });
+        it('nested', function(done){
+            var t = _make_thing();
+
+            t.start();
+            t.set('on', true);
+            t.start();
+            t.set('brightness', 50);
+            t.end();
+            t.set('color', 'blue');
+            t.end();
+
+            setTimeout(function() {
+                assert.deepEqual(t.bridge_instance.pushes, [
+                    { on: true, brightness: 50, color: 'blue' },
+                ]);
+                done();
+            }, 10);
+        });
+        it('end without start', function(){
+            var t = _make_thing();
+
+            t.end();
+            assert.strictEqual(t._transaction, null);
+        });
+    });
+    describe('transaction', function(){
+        it('one push', function(done){
+            var t = _make_thing();
+
+            t.transaction(function(thing) {
+                thing.set('on', true);
+                thing.set('brightness', 50);
+            });
+
+            setTimeout(function() {
+                assert.deepEqual(t.bridge_instance.pushes, [
+                    { on: true, brightness: 50 },
+                ]);
+                done();
+            }, 10);
+        });
+        it('ended on exception', function(){
+            var t = _make_thing();
+
+            assert.throws(function() {
+                t.transaction(function(thing) {
+                    throw new Error("oops");
+                });
+            }, Error);
+
+            assert.strictEqual(t._transaction, null);
+        });
+        it('bad argument', function(){
+            var t = _make_thing();
+
+            assert.throws(function() {
+                t.transaction(12);
+            }, Error);
+        });
+    });
+})
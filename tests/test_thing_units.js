@@ -0,0 +1,198 @@
+/*
+ *  test_thing_units.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test get and set with units
+ */
+
+"use strict";
+
+var assert = require("assert")
+var attribute = require("./instrument/attribute")
+var instrument_bridge = require("./instrument/bridge")
+var model = require("../model")
+var iotdb = require("../iotdb")
+var _ = require("../helpers")
+
+var UNITS_KEY = "/homestar/runner/settings/units";
+
+var T = model.make_model('T')
+    .attribute(
+        attribute.make_number('temperature').reading().control()
+            .unit("iot-unit:temperature.si.celsius")
+    )
+    .attribute(
+        attribute.make_number('brightness').reading().control()
+            .unit("iot-unit:math.fraction.percent")
+    )
+    .attribute(attribute.make_integer('level').reading().control())
+    .make();
+
+var _make_thing = function () {
+    var t = new T();
+    t.bind_bridge(instrument_bridge.make_bridge());
+    t.update("istate", {
+        temperature: 100,
+        brightness: 50,
+        level: 3,
+        "@timestamp": _.timestamp.make(),
+    });
+
+    return t;
+};
+
+/* --- tests --- */
+describe('test_thing_units', function(){
+    afterEach(function() {
+        iotdb.keystore().set(UNITS_KEY, null);
+    });
+    describe('get', function(){
+        it('no unit', function(){
+            var t = _make_thing();
+
+            assert.strictEqual(t.get("temperature"), 100);
+        });
+        it('unit', function(){
+            var t = _make_thing();
+
+            assert.strictEqual(t.get("temperature", { unit: "iot-unit:temperature.imperial.fahrenheit" }), 212);
+            assert.strictEqual(t.get("brightness", { unit: "iot-unit:math.fraction.unit" }), 0.5);
+        });
+        it('same unit', function(){
+            var t = _make_thing();
+
+            assert.strictEqual(t.get("temperature", { unit: "iot-unit:temperature.si.celsius" }), 100);
+        });
+        it('impossible', function(){
+            var t = _make_thing();
+
+            assert.throws(function() {
+                t.get("temperature", { unit: "iot-unit:math.fraction.unit" });
+            }, /cannot convert/);
+            assert.throws(function() {
+                t.get("level", { unit: "iot-unit:math.fraction.unit" });
+            }, /iot:unit/);
+        });
+        it('bad arguments', function(){
+            var t = _make_thing();
+
+            assert.throws(function() {
+                t.get("temperature", 12);
+            }, Error);
+            assert.throws(function() {
+                t.get("temperature", { unit: 12 });
+            }, Error);
+        });
+    });
+    describe('set', function(){
+        it('unit', function(){
+            var t = _make_thing();
+
+            t.set("temperature", { value: 212, unit: "iot-unit:temperature.imperial.fahrenheit" });
+
+            assert.strictEqual(t.state("ostate").temperature, 100);
+        });
+        it('impossible', function(){
+            var t = _make_thing();
+
+            assert.throws(function() {
+                t.set("temperature", { value: 1, unit: "iot-unit:math.fraction.unit" });
+            }, /cannot convert/);
+            assert.throws(function() {
+                t.set("level", { value: 1, unit: "iot-unit:math.fraction.unit" });
+            }, /iot:unit/);
+            assert.strictEqual(t.state("ostate").temperature, null);
+        });
+        it('bad arguments', function(){
+            var t = _make_thing();
+
+            assert.throws(function() {
+                t.set("temperature", { value: "hot", unit: "iot-unit:temperature.si.celsius" });
+            }, Error);
+            assert.throws(function() {
+                t.set("temperature", { value: 10, unit: 12 });
+            }, Error);
+        });
+        it('set_async rejects impossible', function(done){
+            var t = _make_thing();
+
+            t.set_async("temperature", { value: 1, unit: "iot-unit:math.fraction.unit" })
+                .then(function() {
+                    done(new Error("should not resolve"));
+                })
+                .catch(function(error) {
+                    assert.ok(error.message.match(/cannot convert/));
+                    assert.deepEqual(t.__waitersd, {});
+                    done();
+                });
+        });
+    });
+    describe('preferred units', function(){
+        it('get', function(){
+            var t = _make_thing();
+
+            iotdb.keystore().set(UNITS_KEY, {
+                temperature: "iot-unit:temperature.imperial.fahrenheit",
+            });
+
+            assert.strictEqual(t.get("temperature"), 212);
+            assert.strictEqual(t.get("brightness"), 50);
+            assert.strictEqual(t.get("temperature", { unit: "iot-unit:temperature.si.kelvin" }), 373.15);
+        });
+        it('set', function(){
+            var t = _make_thing();
+
+            iotdb.keystore().set(UNITS_KEY, {
+                temperature: "iot-unit:temperature.imperial.fahrenheit",
+            });
+
+            t.set("temperature", 32);
+            assert.strictEqual(t.state("ostate").temperature, 0);
+
+            t.set("temperature", { value: 10, unit: "iot-unit:temperature.si.celsius" });
+            assert.strictEqual(t.state("ostate").temperature, 10);
+        });
+        it('cached until the keystore changes', function(){
+            var t = _make_thing();
+            var keystore = iotdb.keystore();
+
+            keystore.set(UNITS_KEY, {
+                temperature: "iot-unit:temperature.imperial.fahrenheit",
+            });
+            assert.strictEqual(t.get("temperature"), 212);
+
+            var get = keystore.get;
+            var gets = 0;
+            keystore.get = function() {
+                gets++;
+                return get.apply(keystore, arguments);
+            };
+
+            try {
+                t.get("temperature");
+                t.set("temperature", 32);
+                assert.strictEqual(gets, 0);
+
+                keystore.set(UNITS_KEY, {
+                    temperature: "iot-unit:temperature.si.kelvin",
+                });
+                assert.strictEqual(t.get("temperature"), 373.15);
+            } finally {
+                keystore.get = get;
+            }
+        });
+        it('increment is in the attribute unit', function(){
+            var t = _make_thing();
+
+            iotdb.keystore().set(UNITS_KEY, {
+                temperature: "iot-unit:temperature.imperial.fahrenheit",
+            });
+
+            t.increment("temperature", 1);
+            assert.strictEqual(t.state("ostate").temperature, 101);
+        });
+    });
+})
@@ -0,0 +1,217 @@
+/*
+ *  test_thing_verifier.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test checking that the istate follows pushed ostate
+ */
+
+"use strict";
+
+var assert = require("assert")
+var attribute = require("./instrument/attribute")
+var instrument_bridge = require("./instrument/bridge")
+var model = require("../model")
+var _ = require("../helpers")
+
+var T = model.make_model('T')
+    .attribute(attribute.make_boolean('locked').reading().control())
+    .attribute(attribute.make_boolean('beep').control())
+    .make();
+
+// paramd.echo: the Bridge reports what it was sent
+var _make_thing = function (paramd) {
+    paramd = _.defaults(paramd, {
+        echo: false,
+        timeout: 10,
+    });
+
+    var t = new T();
+    t.bind_bridge(instrument_bridge.make_bridge({
+        push: function(pushd, done) {
+            done();
+
+            if (paramd.echo) {
+                setTimeout(function() {
+                    t.bridge_instance.pulled(pushd);
+                }, paramd.echo);
+            }
+        },
+    }));
+    t.verifier({ timeout: paramd.timeout });
+
+    return t;
+};
+
+/* --- tests --- */
+describe('test_thing_verifier', function(){
+    describe('verifier', function(){
+        it('bad arguments', function(){
+            var t = new T();
+
+            assert.throws(function() {
+                t.verifier(12);
+            }, Error);
+            assert.throws(function() {
+                t.verifier({ timeout: "1 second" });
+            }, Error);
+        });
+        it('not verifying by default', function(done){
+            var t = new T();
+            t.bind_bridge(instrument_bridge.make_bridge());
+
+            t.on("diverged", function() {
+                done(new Error("should not diverge"));
+            });
+
+            t.set("locked", true);
+
+            setTimeout(function() {
+                assert.deepEqual(t.__verifyingd, {});
+                done();
+            }, 20);
+        });
+    });
+    describe('events', function(){
+        it('confirmed', function(done){
+            var t = _make_thing({ echo: 1 });
+
+            t.on("confirmed", function(thing, attribute_code, value, ivalue) {
+                assert.strictEqual(thing, t);
+                assert.strictEqual(attribute_code, "locked");
+                assert.strictEqual(value, true);
+                assert.strictEqual(ivalue, true);
+                assert.deepEqual(t.__verifyingd, {});
+                done();
+            });
+
+            t.set("locked", true);
+        });
+        it('iot:clear-value', function(done){
+            var C = model.make_model('C')
+                .attribute(
+                    attribute.make_integer('scene').reading().control()
+                        .property("iot:clear-value", true)
+                )
+                .make();
+
+            var t = new C();
+            t.bind_bridge(instrument_bridge.make_bridge({
+                push: function(pushd, push_done) {
+                    push_done();
+                    setTimeout(function() {
+                        t.bridge_instance.pulled(pushd);
+                    }, 1);
+                },
+            }));
+            t.verifier({ timeout: 10 });
+
+            t.on("diverged", function() {
+                done(new Error("should not diverge"));
+            });
+            t.on("confirmed", function(thing, attribute_code, value, ivalue) {
+                assert.strictEqual(attribute_code, "scene");
+                assert.strictEqual(value, 3);
+                assert.strictEqual(ivalue, 3);
+                done();
+            });
+
+            t.set("scene", 3);
+        });
+        it('already there', function(done){
+            var t = _make_thing();
+
+            t.update("istate", { locked: true, "@timestamp": "2016-06-20T00:00:01.000Z" });
+            t.on("confirmed", function(thing, attribute_code) {
+                assert.strictEqual(attribute_code, "locked");
+                done();
+            });
+
+            t.set("locked", true);
+        });
+        it('diverged', function(done){
+            var t = _make_thing();
+
+            t.on("diverged", function(thing, attribute_code, value, ivalue) {
+                assert.strictEqual(attribute_code, "locked");
+                assert.strictEqual(value, true);
+                assert.strictEqual(ivalue, null);
+                assert.deepEqual(t.state("connection")["iot:diverged"], [ "locked" ]);
+                done();
+            });
+
+            t.set("locked", true);
+        });
+        it('late', function(done){
+            var t = _make_thing({ echo: 30 });
+            var events = [];
+
+            t.on("diverged", function(thing, attribute_code) {
+                events.push("diverged");
+            });
+            t.on("confirmed", function(thing, attribute_code) {
+                events.push("confirmed");
+
+                assert.deepEqual(events, [ "diverged", "confirmed" ]);
+                assert.strictEqual(t.state("connection")["iot:diverged"], undefined);
+                done();
+            });
+
+            t.set("locked", true);
+        });
+        it('connection notified', function(done){
+            var t = _make_thing();
+
+            t.__emitter.on("connection", function() {
+                assert.deepEqual(t.state("connection")["iot:diverged"], [ "locked" ]);
+                done();
+            });
+
+            t.set("locked", true);
+        });
+        it('write-only attributes are not verified', function(done){
+            var t = _make_thing();
+
+            t.on("diverged", function() {
+                done(new Error("should not diverge"));
+            });
+
+            t.set("beep", true);
+
+            setTimeout(done, 30);
+        });
+        it('failed pushes are not verified', function(done){
+            var t = new T();
+            t.bind_bridge(instrument_bridge.make_bridge({
+                push: function(pushd, push_done) {
+                    push_done(new Error("device said no"));
+                },
+            }));
+            t.verifier({ timeout: 10 });
+
+            t.on("diverged", function() {
+                done(new Error("should not diverge"));
+            });
+
+            t.set("locked", true);
+
+            setTimeout(done, 30);
+        });
+        it('disconnect cancels', function(done){
+            var t = _make_thing();
+
+            t.on("diverged", function() {
+                done(new Error("should not diverge"));
+            });
+
+            t.set("locked", true);
+            setTimeout(function() {
+                t.disconnect();
+            }, 2);
+
+            setTimeout(done, 30);
+        });
+    });
+})
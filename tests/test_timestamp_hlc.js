@@ -0,0 +1,222 @@
+/*
+ *  test_timestamp_hlc.js
+ *
+ *  David Janes
+ *  IOTDB
+ *  2016-06-20
+ *
+ *  Test hybrid logical clock timestamps
+ */
+
+"use strict";
+
+var assert = require("assert")
+var attribute = require("./instrument/attribute")
+var model = require("../model")
+var Meta = require("../meta").Meta;
+var Band = require("../next-gen/band").Band;
+var _ = require("../helpers")
+
+var T = model.make_model('T')
+    .attribute(attribute.make_integer('level').reading())
+    .make();
+
+var fake_thing = {
+    thing_id: function() {
+        return "urn:iotdb:thing:fake_thing:1"
+    },
+    name: function() {
+        return "";
+    },
+    code: function() {
+        return "fake";
+    },
+    meta_changed: function() {
+    },
+};
+
+var _ahead = function(ms, counter, node_id) {
+    return (new Date(Date.now() + ms)).toISOString() + "-" + (counter || "0000") + "-" + (node_id || "runner-b");
+};
+
+/* --- tests --- */
+describe('test_timestamp_hlc', function(){
+    afterEach(function() {
+        _.timestamp.hlc(null);
+    });
+
+    describe('hlc', function(){
+        it('off by default', function() {
+            assert.strictEqual(_.timestamp.hlc(), null);
+            assert.ok(_.timestamp.make().match(/^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.\d{3}Z$/));
+        });
+        it('settings', function() {
+            _.timestamp.hlc({ node_id: "runner-a", skew: 1000 });
+
+            assert.deepEqual(_.timestamp.hlc(), { node_id: "runner-a", skew: 1000 });
+
+            _.timestamp.hlc({});
+            assert.strictEqual(_.timestamp.hlc().skew, 60 * 1000);
+            assert.ok(_.timestamp.hlc().node_id.length);
+        });
+        it('bad arguments', function() {
+            assert.throws(function() {
+                _.timestamp.hlc("runner-a");
+            }, Error);
+            assert.throws(function() {
+                _.timestamp.hlc({ node_id: "" });
+            }, Error);
+            assert.throws(function() {
+                _.timestamp.hlc({ skew: -1 });
+            }, Error);
+        });
+    });
+    describe('make', function(){
+        it('always increasing', function() {
+            _.timestamp.hlc({ node_id: "runner-a" });
+
+            var previous = _.timestamp.make();
+            assert.ok(previous.match(/Z-\d{4}-runner-a$/));
+
+            for (var i = 0; i < 50; i++) {
+                var next = _.timestamp.make();
+                assert.strictEqual(_.timestamp.compare(previous, next), -1);
+                previous = next;
+            }
+        });
+        it('after received', function() {
+            _.timestamp.hlc({ node_id: "runner-a" });
+
+            var remote = _ahead(5000, "0007");
+            assert.ok(_.timestamp.receive(remote));
+
+            var ts = _.timestamp.make();
+            assert.strictEqual(_.timestamp.compare(remote, ts), -1);
+            assert.strictEqual(_.timestamp.parse(ts).physical, _.timestamp.parse(remote).physical);
+            assert.strictEqual(_.timestamp.parse(ts).counter, 9);
+        });
+        it('advance', function() {
+            _.timestamp.hlc({ node_id: "runner-a" });
+
+            var remote = _ahead(5000);
+            assert.strictEqual(_.timestamp.compare(remote, _.timestamp.advance(remote)), -1);
+        });
+    });
+    describe('parse', function(){
+        it('hlc', function() {
+            assert.deepEqual(_.timestamp.parse("2016-06-20T12:00:00.000Z-0003-runner-a"), {
+                physical: Date.parse("2016-06-20T12:00:00.000Z"),
+                counter: 3,
+                node_id: "runner-a",
+            });
+        });
+        it('plain', function() {
+            assert.deepEqual(_.timestamp.parse("2016-06-20T12:00:00.000Z"), {
+                physical: Date.parse("2016-06-20T12:00:00.000Z"),
+                counter: 0,
+                node_id: "",
+            });
+        });
+        it('bad', function() {
+            assert.strictEqual(_.timestamp.parse("yesterday"), null);
+            assert.strictEqual(_.timestamp.parse(12), null);
+        });
+    });
+    describe('compare', function(){
+        it('order', function() {
+            assert.strictEqual(_.timestamp.compare("2016-06-20T12:00:00.000Z", "2016-06-20T12:00:00.000Z-0000-a"), -1);
+            assert.strictEqual(_.timestamp.compare("2016-06-20T12:00:00.000Z-0002-a", "2016-06-20T12:00:00.000Z-0010-a"), -1);
+            assert.strictEqual(_.timestamp.compare("2016-06-20T12:00:00.001Z-0000-a", "2016-06-20T12:00:00.000Z-9999-z"), 1);
+            assert.strictEqual(_.timestamp.compare("2016-06-20T12:00:00.000Z-0001-a", "2016-06-20T12:00:00.000Z-0001-a"), 0);
+        });
+        it('tie-break by node id', function() {
+            assert.strictEqual(_.timestamp.compare("2016-06-20T12:00:00.000Z-0001-runner-b", "2016-06-20T12:00:00.000Z-0001-runner-a"), 1);
+            assert.strictEqual(_.timestamp.compare("2016-06-20T12:00:00.000Z-0001-runner-a", "2016-06-20T12:00:00.000Z-0001-runner-b"), -1);
+        });
+    });
+    describe('check', function(){
+        it('tie-break is deterministic', function() {
+            _.timestamp.hlc({ node_id: "runner-a" });
+
+            var a = "2016-06-20T12:00:00.000Z-0001-runner-a";
+            var b = "2016-06-20T12:00:00.000Z-0001-runner-b";
+
+            assert.strictEqual(_.timestamp.check.values(a, b), true);
+            assert.strictEqual(_.timestamp.check.values(b, a), false);
+            assert.strictEqual(_.timestamp.check.values(a, a), true);
+        });
+        it('skew tolerance', function() {
+            _.timestamp.hlc({ node_id: "runner-a", skew: 10 * 1000 });
+
+            var old = _.timestamp.make();
+
+            assert.strictEqual(_.timestamp.check.values(old, _ahead(5 * 1000)), true);
+            assert.strictEqual(_.timestamp.check.values(old, _ahead(60 * 1000)), false);
+            assert.strictEqual(_.timestamp.receive(_ahead(60 * 1000)), false);
+        });
+    });
+    describe('Model.update', function(){
+        it('skewed runner does not win', function() {
+            _.timestamp.hlc({ node_id: "runner-a" });
+
+            var t = new T();
+
+            // runner-b's clock is 5 seconds ahead
+            t.update("istate", { level: 1, "@timestamp": _ahead(5000) });
+            assert.strictEqual(t.state("istate").level, 1);
+
+            // a later local write must not be dropped
+            t.update("istate", { level: 2, "@timestamp": _.timestamp.make() });
+            assert.strictEqual(t.state("istate").level, 2);
+        });
+        it('without HLC the later write is dropped', function() {
+            var t = new T();
+
+            t.update("istate", { level: 1, "@timestamp": (new Date(Date.now() + 5000)).toISOString() });
+            t.update("istate", { level: 2, "@timestamp": _.timestamp.make() });
+            assert.strictEqual(t.state("istate").level, 1);
+        });
+        it('too far ahead is rejected', function() {
+            _.timestamp.hlc({ node_id: "runner-a", skew: 1000 });
+
+            var t = new T();
+
+            t.update("istate", { level: 1, "@timestamp": _ahead(60 * 1000) });
+            assert.strictEqual(t.state("istate").level, null);
+        });
+    });
+    describe('Meta.update', function(){
+        it('skewed runner does not win', function() {
+            _.timestamp.hlc({ node_id: "runner-a" });
+
+            var meta = new Meta(fake_thing);
+
+            meta.update({ "schema:description": "B", "@timestamp": _ahead(5000) }, {
+                check_timestamp: true,
+                set_timestamp: true,
+            });
+            assert.strictEqual(meta.get("schema:description"), "B");
+
+            meta.update({ "schema:description": "A", "@timestamp": _.timestamp.make() }, {
+                check_timestamp: true,
+                set_timestamp: true,
+            });
+            assert.strictEqual(meta.get("schema:description"), "A");
+        });
+    });
+    describe('Band.update', function(){
+        it('skewed runner does not win', function() {
+            _.timestamp.hlc({ node_id: "runner-a" });
+
+            var band = new Band();
+            band._init(fake_thing, {}, "istate");
+
+            var remote = _ahead(5000);
+            band.update({ level: 1, "@timestamp": remote });
+            assert.strictEqual(band.timestamp(), remote);
+
+            band.update({ level: 2, "@timestamp": _.timestamp.make() });
+            assert.deepEqual(band._d, { level: 2 });
+        });
+    });
+})
@@ -501,6 +501,76 @@ ThingArray.prototype.set = function () {
     return self;
 };
 
+/**
+ *  Call {@link Thing#toggle Model.toggle} on
+ *  every item in the ThingArray.
+ *
+ *  @return {this}
+ */
+ThingArray.prototype.toggle = function () {
+    var self = this;
+
+    self._apply_command(model.Model.prototype.toggle, arguments);
+
+    return self;
+};
+
+/**
+ *  Call {@link Thing#increment Model.increment} on
+ *  every item in the ThingArray.
+ *
+ *  @return {this}
+ */
+ThingArray.prototype.increment = function () {
+    var self = this;
+
+    self._apply_command(model.Model.prototype.increment, arguments);
+
+    return self;
+};
+
+/**
+ *  Call {@link Thing#decrement Model.decrement} on
+ *  every item in the ThingArray.
+ *
+ *  @return {this}
+ */
+ThingArray.prototype.decrement = function () {
+    var self = this;
+
+    self._apply_command(model.Model.prototype.decrement, arguments);
+
+    return self;
+};
+
+/**
+ *  Call {@link Thing#start Model.start} on
+ *  every item in the ThingArray.
+ *
+ *  @return {this}
+ */
+ThingArray.prototype.start = function () {
+    var self = this;
+
+    self._apply_command(model.Model.prototype.start, arguments);
+
+    return self;
+};
+
+/**
+ *  Call {@link Thing#end Model.end} on
+ *  every item in the ThingArray.
+ *
+ *  @return {this}
+ */
+ThingArray.prototype.end = function () {
+    var self = this;
+
+    self._apply_command(model.Model.prototype.end, arguments);
+
+    return self;
+};
+
 /**
  *  Call {@link Thing#update Model.update} on
  *  every item in the ThingArray.
@@ -653,7 +723,7 @@ ThingArray.prototype._filter_test = function (queryd, thing) {
         }
 
         var query_band = match[1];
-        var query_inner_key = match[2];
+        var query_inner_key = _.ld.compact(match[2]);
         var query_values = _.ld.list(queryd, query_key, []);
 
         if (query_band === "meta") {